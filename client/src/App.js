@@ -5,7 +5,9 @@ import { StripeProvider } from './contexts/StripeContext';
 import ProtectedRoute from './components/ProtectedRoute';
 import Layout from './components/Layout';
 import VerifyOTP from './pages/VerifyOTP';
+import OAuthCallback from './pages/OAuthCallback';
 import Admin from './pages/Admin';
+import Profile from './pages/Profile';
 
 // Pages
 import Home from './pages/Home';
@@ -22,7 +24,6 @@ const MyBookings = () => <div className="min-h-screen flex items-center justify-
 const ProviderDashboard = () => <div className="min-h-screen flex items-center justify-center"><h1 className="text-2xl">Provider Dashboard - Coming Soon</h1></div>;
 const ProviderRegistration = () => <div className="min-h-screen flex items-center justify-center"><h1 className="text-2xl">Provider Registration - Coming Soon</h1></div>;
 const AdminDashboard = () => <div className="min-h-screen flex items-center justify-center"><h1 className="text-2xl">Admin Dashboard - Coming Soon</h1></div>;
-const Profile = () => <div className="min-h-screen flex items-center justify-center"><h1 className="text-2xl">Profile - Coming Soon</h1></div>;
 
 function App() {
   return (
@@ -32,6 +33,7 @@ function App() {
           <Routes>
             {/* Public routes */}
             <Route path="/verify-otp" element={<VerifyOTP />} />
+            <Route path="/oauth/callback" element={<OAuthCallback />} />
             
             <Route path="/" element={<Layout />}>
               <Route index element={<Home />} />
@@ -0,0 +1,118 @@
+import React, { useState, useEffect } from 'react';
+import { twoFactorAPI } from '../services/api';
+import { Shield } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+// Second step of a login: asks for an authenticator code, or walks the user
+// through setting up two-factor authentication when their role requires it
+const TwoFactorChallenge = ({ challengeToken, setupRequired, onComplete }) => {
+  const [code, setCode] = useState('');
+  const [setup, setSetup] = useState(null);
+  const [result, setResult] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  useEffect(() => {
+    if (!setupRequired) {
+      return;
+    }
+
+    twoFactorAPI.setup(challengeToken)
+      .then(response => setSetup(response.data))
+      .catch(error => toast.error(error.response?.data?.message || 'Failed to start two-factor setup'));
+  }, [challengeToken, setupRequired]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+
+    try {
+      const response = setupRequired
+        ? await twoFactorAPI.enable(code, challengeToken)
+        : await twoFactorAPI.verify(challengeToken, code);
+
+      // Recovery codes are shown once, before moving on
+      if (response.data.recoveryCodes) {
+        setResult(response.data);
+      } else {
+        onComplete(response.data);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Invalid code');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  if (result) {
+    return (
+      <div className="mt-8 space-y-6">
+        <p className="text-sm text-gray-700">
+          Save these recovery codes somewhere safe. Each one can be used once to sign in if you lose your authenticator app.
+        </p>
+        <ul className="grid grid-cols-2 gap-2 font-mono text-sm bg-gray-100 p-4 rounded-md">
+          {result.recoveryCodes.map(recoveryCode => (
+            <li key={recoveryCode}>{recoveryCode}</li>
+          ))}
+        </ul>
+        <button
+          type="button"
+          onClick={() => onComplete(result)}
+          className="w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700"
+        >
+          Continue
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+      <div className="flex items-center text-sm text-gray-700">
+        <Shield className="h-5 w-5 mr-2 text-primary-600" />
+        {setupRequired
+          ? 'Your account requires two-factor authentication. Add this key to your authenticator app, then enter the code it shows.'
+          : 'Enter the code from your authenticator app, or one of your recovery codes.'}
+      </div>
+
+      {setup && (
+        <div className="bg-gray-100 p-4 rounded-md text-sm break-all">
+          <p className="font-mono">{setup.secret}</p>
+          <a href={setup.otpauthUri} className="mt-2 inline-block font-medium text-primary-600 hover:text-primary-500">
+            Open in authenticator app
+          </a>
+        </div>
+      )}
+
+      <div>
+        <label htmlFor="code" className="block text-sm font-medium text-gray-700">
+          Authentication code
+        </label>
+        <input
+          id="code"
+          name="code"
+          type="text"
+          required
+          autoComplete="one-time-code"
+          className="input-field mt-1 text-center tracking-widest"
+          placeholder={setupRequired ? '000000' : '000000 or recovery code'}
+          value={code}
+          onChange={(e) => setCode(e.target.value.trim())}
+        />
+      </div>
+
+      <button
+        type="submit"
+        disabled={isLoading}
+        className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {isLoading ? (
+          <div className="loading-spinner"></div>
+        ) : (
+          'Verify'
+        )}
+      </button>
+    </form>
+  );
+};
+
+export default TwoFactorChallenge;
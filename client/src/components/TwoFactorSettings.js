@@ -0,0 +1,192 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { twoFactorAPI } from '../services/api';
+import { Shield } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+// Turn two-factor authentication on or off for the signed-in user, and
+// replace their recovery codes
+const TwoFactorSettings = () => {
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null);
+  // 'regenerate' or 'disable' while asking for a code
+  const [action, setAction] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const fetchStatus = useCallback(async () => {
+    try {
+      const response = await twoFactorAPI.getStatus();
+      setStatus(response.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load two-factor status');
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchStatus();
+  }, [fetchStatus]);
+
+  const reset = () => {
+    setSetup(null);
+    setAction(null);
+    setCode('');
+    setPassword('');
+  };
+
+  const handleStartSetup = async () => {
+    setIsLoading(true);
+    try {
+      const response = await twoFactorAPI.setup();
+      setSetup(response.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to start two-factor setup');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+
+    try {
+      let response;
+      if (setup) {
+        response = await twoFactorAPI.enable(code);
+      } else if (action === 'regenerate') {
+        response = await twoFactorAPI.regenerateRecoveryCodes(code);
+      } else {
+        response = await twoFactorAPI.disable(password, code);
+      }
+
+      // Recovery codes are shown once
+      setRecoveryCodes(response.data.recoveryCodes || null);
+      toast.success(response.data.message);
+      reset();
+      fetchStatus();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Invalid code');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  if (!status) {
+    return <div className="loading-spinner"></div>;
+  }
+
+  return (
+    <div className="card space-y-4">
+      <div className="flex items-center">
+        <Shield className="h-5 w-5 mr-2 text-primary-600" />
+        <h2 className="text-lg font-semibold text-gray-900">Two-factor authentication</h2>
+      </div>
+
+      <p className="text-sm text-gray-700">
+        {status.enabled
+          ? `On. ${status.recoveryCodesRemaining} unused recovery code(s) left.`
+          : 'Off. Sign-ins only need your password.'}
+        {status.required && ' Your account type requires it.'}
+      </p>
+
+      {recoveryCodes && (
+        <div className="space-y-2">
+          <p className="text-sm text-gray-700">
+            Save these recovery codes somewhere safe. Each one can be used once to sign in if you lose your authenticator app.
+          </p>
+          <ul className="grid grid-cols-2 gap-2 font-mono text-sm bg-gray-100 p-4 rounded-md">
+            {recoveryCodes.map(recoveryCode => (
+              <li key={recoveryCode}>{recoveryCode}</li>
+            ))}
+          </ul>
+          <button type="button" onClick={() => setRecoveryCodes(null)} className="btn-secondary">
+            Done
+          </button>
+        </div>
+      )}
+
+      {!setup && !action && !recoveryCodes && (
+        <div className="flex space-x-2">
+          {status.enabled ? (
+            <>
+              <button type="button" onClick={() => setAction('regenerate')} className="btn-secondary">
+                New recovery codes
+              </button>
+              {!status.required && (
+                <button type="button" onClick={() => setAction('disable')} className="btn-secondary">
+                  Turn off
+                </button>
+              )}
+            </>
+          ) : (
+            <button type="button" onClick={handleStartSetup} disabled={isLoading} className="btn-primary">
+              Turn on
+            </button>
+          )}
+        </div>
+      )}
+
+      {(setup || action) && (
+        <form className="space-y-4" onSubmit={handleSubmit}>
+          {setup && (
+            <div className="bg-gray-100 p-4 rounded-md text-sm break-all">
+              <p className="mb-2 text-gray-700">Add this key to your authenticator app, then enter the code it shows.</p>
+              <p className="font-mono">{setup.secret}</p>
+              <a href={setup.otpauthUri} className="mt-2 inline-block font-medium text-primary-600 hover:text-primary-500">
+                Open in authenticator app
+              </a>
+            </div>
+          )}
+
+          {action === 'disable' && (
+            <div>
+              <label htmlFor="password" className="block text-sm font-medium text-gray-700">
+                Password
+              </label>
+              <input
+                id="password"
+                name="password"
+                type="password"
+                required
+                autoComplete="current-password"
+                className="input-field mt-1"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+              />
+            </div>
+          )}
+
+          <div>
+            <label htmlFor="code" className="block text-sm font-medium text-gray-700">
+              Authentication code
+            </label>
+            <input
+              id="code"
+              name="code"
+              type="text"
+              required
+              autoComplete="one-time-code"
+              className="input-field mt-1 text-center tracking-widest"
+              placeholder={setup ? '000000' : '000000 or recovery code'}
+              value={code}
+              onChange={(e) => setCode(e.target.value.trim())}
+            />
+          </div>
+
+          <div className="flex space-x-2">
+            <button type="submit" disabled={isLoading} className="btn-primary disabled:opacity-50 disabled:cursor-not-allowed">
+              {isLoading ? <div className="loading-spinner"></div> : 'Confirm'}
+            </button>
+            <button type="button" onClick={reset} className="btn-secondary">
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
@@ -1,5 +1,5 @@
 import React, { createContext, useContext, useReducer, useEffect } from 'react';
-import { authAPI } from '../services/api';
+import { authAPI, oidcAPI } from '../services/api';
 import toast from 'react-hot-toast';
 
 const AuthContext = createContext();
@@ -81,6 +81,7 @@ export const AuthProvider = ({ children }) => {
           });
         } catch (error) {
           localStorage.removeItem('token');
+          localStorage.removeItem('refreshToken');
           dispatch({ type: 'AUTH_FAILURE', payload: error.response?.data?.message || 'Authentication failed' });
         }
       } else {
@@ -91,24 +92,59 @@ export const AuthProvider = ({ children }) => {
     checkAuth();
   }, []);
 
+  // Store the tokens of a finished login
+  const completeLogin = ({ token, refreshToken, user }) => {
+    localStorage.setItem('token', token);
+    localStorage.setItem('refreshToken', refreshToken);
+    dispatch({
+      type: 'AUTH_SUCCESS',
+      payload: { user, token }
+    });
+  };
+
+  // Logins that still need a second factor return a challenge instead of tokens
+  const getTwoFactorChallenge = (data) => {
+    if (!data.challengeToken) {
+      return null;
+    }
+    dispatch({ type: 'AUTH_FAILURE', payload: null });
+    return {
+      challengeToken: data.challengeToken,
+      setupRequired: Boolean(data.twoFactorSetupRequired)
+    };
+  };
+
   const login = async (credentials) => {
     dispatch({ type: 'AUTH_START' });
     try {
       const response = await authAPI.login(credentials);
-      const { token, user } = response.data;
-      
-      localStorage.setItem('token', token);
-      dispatch({
-        type: 'AUTH_SUCCESS',
-        payload: { user, token }
-      });
+
+      const twoFactor = getTwoFactorChallenge(response.data);
+      if (twoFactor) {
+        toast(response.data.message);
+        return { success: false, twoFactor };
+      }
+
+      completeLogin(response.data);
       
       toast.success('Login successful!');
       return { success: true };
     } catch (error) {
-      const message = error.response?.data?.message || 'Login failed';
+      const data = error.response?.data;
+      const message = data?.message || 'Login failed';
       dispatch({ type: 'AUTH_FAILURE', payload: message });
       toast.error(message);
+
+      // Unverified accounts are sent a fresh code to verify with
+      if (data?.requiresVerification) {
+        return {
+          success: false,
+          error: message,
+          requiresVerification: true,
+          userId: data.userId,
+          otpChannel: data.otpChannel
+        };
+      }
       return { success: false, error: message };
     }
   };
@@ -117,8 +153,8 @@ export const AuthProvider = ({ children }) => {
     dispatch({ type: 'AUTH_START' });
     try {
       const response = await authAPI.register(userData);
-      toast.success('Registration successful! Please verify your phone number.');
-      return { success: true, userId: response.data.userId };
+      toast.success(response.data.message);
+      return { success: true, userId: response.data.userId, otpChannel: response.data.otpChannel };
     } catch (error) {
       const message = error.response?.data?.message || 'Registration failed';
       dispatch({ type: 'AUTH_FAILURE', payload: message });
@@ -131,13 +167,14 @@ export const AuthProvider = ({ children }) => {
     dispatch({ type: 'AUTH_START' });
     try {
       const response = await authAPI.verifyOTP(userId, otp);
-      const { token, user } = response.data;
-      
-      localStorage.setItem('token', token);
-      dispatch({
-        type: 'AUTH_SUCCESS',
-        payload: { user, token }
-      });
+
+      const twoFactor = getTwoFactorChallenge(response.data);
+      if (twoFactor) {
+        toast.success('Account verified successfully!');
+        return { success: false, twoFactor };
+      }
+
+      completeLogin(response.data);
       
       toast.success('Account verified successfully!');
       return { success: true };
@@ -149,6 +186,62 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Finish signing in through an identity provider with the code it sent
+  // back. New users may be asked for details the provider didn't share.
+  const loginWithProvider = async (code, details = {}) => {
+    try {
+      const response = await oidcAPI.exchange(code, details);
+
+      if (response.data.profileRequired) {
+        return {
+          success: false,
+          profileRequired: true,
+          missing: response.data.missing,
+          profile: response.data.profile
+        };
+      }
+
+      const twoFactor = getTwoFactorChallenge(response.data);
+      if (twoFactor) {
+        toast(response.data.message);
+        return { success: false, twoFactor };
+      }
+
+      // New accounts confirm a phone number the provider didn't verify
+      if (response.data.requiresVerification) {
+        toast.success(response.data.message);
+        return {
+          success: false,
+          requiresVerification: true,
+          userId: response.data.userId,
+          otpChannel: response.data.otpChannel
+        };
+      }
+
+      completeLogin(response.data);
+
+      toast.success(response.data.message);
+      return { success: true };
+    } catch (error) {
+      const data = error.response?.data;
+      const message = data?.message || 'Sign-in failed';
+      dispatch({ type: 'AUTH_FAILURE', payload: message });
+      toast.error(message);
+
+      // Unverified accounts are sent a fresh code to verify with
+      if (data?.requiresVerification) {
+        return {
+          success: false,
+          error: message,
+          requiresVerification: true,
+          userId: data.userId,
+          otpChannel: data.otpChannel
+        };
+      }
+      return { success: false, error: message };
+    }
+  };
+
   const logout = async () => {
     try {
       await authAPI.logout();
@@ -156,6 +249,7 @@ export const AuthProvider = ({ children }) => {
       console.error('Logout error:', error);
     } finally {
       localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
       dispatch({ type: 'LOGOUT' });
       toast.success('Logged out successfully');
     }
@@ -220,6 +314,8 @@ export const AuthProvider = ({ children }) => {
   const value = {
     ...state,
     login,
+    completeLogin,
+    loginWithProvider,
     register,
     verifyOTP,
     logout,
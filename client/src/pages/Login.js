@@ -1,7 +1,10 @@
 import React, { useState, useEffect } from 'react';
 import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import { oidcAPI } from '../services/api';
+import TwoFactorChallenge from '../components/TwoFactorChallenge';
 import { Eye, EyeOff, Mail, Lock } from 'lucide-react';
+import toast from 'react-hot-toast';
 
 const Login = () => {
   const [formData, setFormData] = useState({
@@ -11,9 +14,15 @@ const Login = () => {
   const [showPassword, setShowPassword] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
   
-  const { login, isAuthenticated } = useAuth();
+  const { login, completeLogin, isAuthenticated } = useAuth();
   const navigate = useNavigate();
   const location = useLocation();
+
+  // Set when the password is accepted but a second factor is needed
+  const [twoFactor, setTwoFactor] = useState(location.state?.twoFactor || null);
+
+  // Identity providers configured on the server, e.g. Google
+  const [providers, setProviders] = useState([]);
   
   const from = location.state?.from?.pathname || '/dashboard';
 
@@ -23,6 +32,12 @@ const Login = () => {
     }
   }, [isAuthenticated, navigate, from]);
 
+  useEffect(() => {
+    oidcAPI.getProviders()
+      .then(response => setProviders(response.data.providers))
+      .catch(() => setProviders([]));
+  }, []);
+
   const handleChange = (e) => {
     setFormData({
       ...formData,
@@ -38,6 +53,15 @@ const Login = () => {
       const result = await login(formData);
       if (result.success) {
         navigate(from, { replace: true });
+      } else if (result.twoFactor) {
+        setTwoFactor(result.twoFactor);
+      } else if (result.requiresVerification) {
+        navigate('/verify-otp', {
+          state: {
+            userId: result.userId,
+            otpChannel: result.otpChannel
+          }
+        });
       }
     } catch (error) {
       console.error('Login error:', error);
@@ -46,6 +70,12 @@ const Login = () => {
     }
   };
 
+  const handleTwoFactorComplete = (data) => {
+    completeLogin(data);
+    toast.success('Login successful!');
+    navigate(from, { replace: true });
+  };
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
       <div className="max-w-md w-full space-y-8">
@@ -67,91 +97,114 @@ const Login = () => {
           </p>
         </div>
         
-        <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
-          <div className="space-y-4">
-            <div>
-              <label htmlFor="identifier" className="block text-sm font-medium text-gray-700">
-                Email or Phone Number
-              </label>
-              <div className="mt-1 relative">
-                <input
-                  id="identifier"
-                  name="identifier"
-                  type="text"
-                  required
-                  className="input-field pl-10"
-                  placeholder="Enter your email or phone"
-                  value={formData.identifier}
-                  onChange={handleChange}
-                />
-                <Mail className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+        {twoFactor ? (
+          <TwoFactorChallenge
+            challengeToken={twoFactor.challengeToken}
+            setupRequired={twoFactor.setupRequired}
+            onComplete={handleTwoFactorComplete}
+          />
+        ) : (
+          <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+            <div className="space-y-4">
+              <div>
+                <label htmlFor="identifier" className="block text-sm font-medium text-gray-700">
+                  Email or Phone Number
+                </label>
+                <div className="mt-1 relative">
+                  <input
+                    id="identifier"
+                    name="identifier"
+                    type="text"
+                    required
+                    className="input-field pl-10"
+                    placeholder="Enter your email or phone"
+                    value={formData.identifier}
+                    onChange={handleChange}
+                  />
+                  <Mail className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+                </div>
               </div>
-            </div>
             
-            <div>
-              <label htmlFor="password" className="block text-sm font-medium text-gray-700">
-                Password
-              </label>
-              <div className="mt-1 relative">
-                <input
-                  id="password"
-                  name="password"
-                  type={showPassword ? 'text' : 'password'}
-                  required
-                  className="input-field pl-10 pr-10"
-                  placeholder="Enter your password"
-                  value={formData.password}
-                  onChange={handleChange}
-                />
-                <Lock className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
-                <button
-                  type="button"
-                  className="absolute right-3 top-1/2 transform -translate-y-1/2 text-gray-400 hover:text-gray-600"
-                  onClick={() => setShowPassword(!showPassword)}
+              <div>
+                <label htmlFor="password" className="block text-sm font-medium text-gray-700">
+                  Password
+                </label>
+                <div className="mt-1 relative">
+                  <input
+                    id="password"
+                    name="password"
+                    type={showPassword ? 'text' : 'password'}
+                    required
+                    className="input-field pl-10 pr-10"
+                    placeholder="Enter your password"
+                    value={formData.password}
+                    onChange={handleChange}
+                  />
+                  <Lock className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+                  <button
+                    type="button"
+                    className="absolute right-3 top-1/2 transform -translate-y-1/2 text-gray-400 hover:text-gray-600"
+                    onClick={() => setShowPassword(!showPassword)}
+                  >
+                    {showPassword ? <EyeOff className="h-4 w-4" /> : <Eye className="h-4 w-4" />}
+                  </button>
+                </div>
+              </div>
+            </div>
+
+            <div className="flex items-center justify-between">
+              <div className="text-sm">
+                <Link
+                  to="/forgot-password"
+                  className="font-medium text-primary-600 hover:text-primary-500"
                 >
-                  {showPassword ? <EyeOff className="h-4 w-4" /> : <Eye className="h-4 w-4" />}
-                </button>
+                  Forgot your password?
+                </Link>
               </div>
             </div>
-          </div>
 
-          <div className="flex items-center justify-between">
-            <div className="text-sm">
-              <Link
-                to="/forgot-password"
-                className="font-medium text-primary-600 hover:text-primary-500"
+            <div>
+              <button
+                type="submit"
+                disabled={isLoading}
+                className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed"
               >
-                Forgot your password?
-              </Link>
+                {isLoading ? (
+                  <div className="loading-spinner"></div>
+                ) : (
+                  'Sign in'
+                )}
+              </button>
             </div>
-          </div>
 
-          <div>
-            <button
-              type="submit"
-              disabled={isLoading}
-              className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed"
-            >
-              {isLoading ? (
-                <div className="loading-spinner"></div>
-              ) : (
-                'Sign in'
-              )}
-            </button>
-          </div>
+            {providers.length > 0 && (
+              <div className="space-y-2">
+                <p className="text-center text-sm text-gray-500">Or continue with</p>
+                {providers.map(provider => (
+                  <a
+                    key={provider.name}
+                    href={oidcAPI.getStartUrl(provider.name)}
+                    className="w-full flex justify-center py-2 px-4 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+                  >
+                    {provider.label}
+                  </a>
+                ))}
+              </div>
+            )}
 
-          <div className="text-center">
-            <p className="text-sm text-gray-600">
-              Don't have an account?{' '}
-              <Link
-                to="/register"
-                className="font-medium text-primary-600 hover:text-primary-500"
-              >
-                Sign up here
-              </Link>
-            </p>
-          </div>
-        </form>
+            <div className="text-center">
+              <p className="text-sm text-gray-600">
+                Don't have an account?{' '}
+                <Link
+                  to="/register"
+                  className="font-medium text-primary-600 hover:text-primary-500"
+                >
+                  Sign up here
+                </Link>
+              </p>
+            </div>
+          </form>
+        )}
       </div>
     </div>
   );
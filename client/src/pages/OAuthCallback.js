@@ -0,0 +1,171 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { Phone, User } from 'lucide-react';
+
+const ERROR_MESSAGES = {
+  access_denied: 'Sign-in was cancelled.',
+  invalid_state: 'This sign-in link has expired. Please try again.',
+  email_unverified: 'Your account with this provider has no verified email address.',
+  account_deactivated: 'Your account has been deactivated.',
+  provider_unavailable: 'The sign-in provider is unavailable. Please try again later.',
+  sign_in_failed: 'Sign-in failed. Please try again.'
+};
+
+const FIELD_LABELS = {
+  phone: 'Phone Number',
+  firstName: 'First Name',
+  lastName: 'Last Name'
+};
+
+// Where identity providers send users back to. Exchanges the one-time code
+// for a session, asking new users for anything the provider didn't share.
+const OAuthCallback = () => {
+  const [searchParams] = useSearchParams();
+  const code = searchParams.get('code');
+  const [error, setError] = useState(searchParams.get('error'));
+  const [missing, setMissing] = useState(null);
+  const [formData, setFormData] = useState({});
+  const [isLoading, setIsLoading] = useState(false);
+
+  const { loginWithProvider } = useAuth();
+  const navigate = useNavigate();
+
+  // The code works once, so don't send it twice when effects re-run
+  const exchanged = useRef(false);
+
+  const handleResult = useCallback((result) => {
+    if (result.success) {
+      navigate('/dashboard', { replace: true });
+    } else if (result.twoFactor) {
+      navigate('/login', { replace: true, state: { twoFactor: result.twoFactor } });
+    } else if (result.requiresVerification) {
+      navigate('/verify-otp', {
+        replace: true,
+        state: {
+          userId: result.userId,
+          otpChannel: result.otpChannel
+        }
+      });
+    } else if (result.profileRequired) {
+      setMissing(result.missing);
+      setFormData(result.profile || {});
+    } else {
+      setError('sign_in_failed');
+    }
+  }, [navigate]);
+
+  useEffect(() => {
+    if (!code || exchanged.current) {
+      return;
+    }
+    exchanged.current = true;
+
+    loginWithProvider(code).then(handleResult);
+  }, [code, loginWithProvider, handleResult]);
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+
+    try {
+      const details = {};
+      missing.forEach(field => {
+        details[field] = formData[field];
+      });
+
+      const result = await loginWithProvider(code, details);
+      if (!result.error || result.requiresVerification) {
+        handleResult(result);
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  if (error || !code) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-md w-full space-y-6 text-center">
+          <p className="text-gray-700">{ERROR_MESSAGES[error] || ERROR_MESSAGES.sign_in_failed}</p>
+          <Link to="/login" className="font-medium text-primary-600 hover:text-primary-500">
+            Back to sign in
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  if (!missing) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <div className="loading-spinner"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        <div>
+          <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+            Finish creating your account
+          </h2>
+          <p className="mt-2 text-center text-sm text-gray-600">
+            {formData.email}
+          </p>
+        </div>
+
+        <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+          <div className="space-y-4">
+            {missing.map(field => (
+              <div key={field}>
+                <label htmlFor={field} className="block text-sm font-medium text-gray-700">
+                  {FIELD_LABELS[field]}
+                </label>
+                <div className="mt-1 relative">
+                  <input
+                    id={field}
+                    name={field}
+                    type={field === 'phone' ? 'tel' : 'text'}
+                    required
+                    className="input-field pl-10"
+                    placeholder={`Enter your ${FIELD_LABELS[field].toLowerCase()}`}
+                    value={formData[field] || ''}
+                    onChange={handleChange}
+                  />
+                  {field === 'phone' ? (
+                    <Phone className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+                  ) : (
+                    <User className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <button
+            type="submit"
+            disabled={isLoading}
+            className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isLoading ? (
+              <div className="loading-spinner"></div>
+            ) : (
+              'Create account'
+            )}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default OAuthCallback;
@@ -0,0 +1,13 @@
+import React from 'react';
+import TwoFactorSettings from '../components/TwoFactorSettings';
+
+const Profile = () => {
+  return (
+    <div className="max-w-2xl mx-auto py-8 px-4 space-y-6">
+      <h1 className="text-2xl font-bold text-gray-900">Profile Settings</h1>
+      <TwoFactorSettings />
+    </div>
+  );
+};
+
+export default Profile;
@@ -11,7 +11,8 @@ const Register = () => {
     phone: '',
     password: '',
     confirmPassword: '',
-    role: 'customer'
+    role: 'customer',
+    otpChannel: 'sms'
   });
   const [showPassword, setShowPassword] = useState(false);
   const [showConfirmPassword, setShowConfirmPassword] = useState(false);
@@ -44,7 +45,9 @@ const Register = () => {
         navigate('/verify-otp', { 
           state: { 
             userId: result.userId,
-            phone: formData.phone 
+            phone: formData.phone,
+            email: formData.email,
+            otpChannel: result.otpChannel
           } 
         });
       }
@@ -155,6 +158,36 @@ const Register = () => {
                 <Phone className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
               </div>
             </div>
+
+            <div>
+              <span className="block text-sm font-medium text-gray-700">
+                Send verification code by
+              </span>
+              <div className="mt-2 flex space-x-6">
+                <label className="inline-flex items-center text-sm text-gray-700">
+                  <input
+                    type="radio"
+                    name="otpChannel"
+                    value="sms"
+                    checked={formData.otpChannel === 'sms'}
+                    onChange={handleChange}
+                    className="mr-2"
+                  />
+                  SMS
+                </label>
+                <label className="inline-flex items-center text-sm text-gray-700">
+                  <input
+                    type="radio"
+                    name="otpChannel"
+                    value="email"
+                    checked={formData.otpChannel === 'email'}
+                    onChange={handleChange}
+                    className="mr-2"
+                  />
+                  Email
+                </label>
+              </div>
+            </div>
             
             <div>
               <label htmlFor="password" className="block text-sm font-medium text-gray-700">
@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { useQuery } from 'react-query';
 import { Link } from 'react-router-dom';
 import { providersAPI } from '../services/api';
+import { formatLowestPrice } from '../utils/currency';
 import { Search, MapPin, Star, Clock, Filter } from 'lucide-react';
 
 const SearchProviders = () => {
@@ -172,7 +173,7 @@ const SearchProviders = () => {
                             Services: {provider.services.length}
                           </div>
                           <div className="text-sm text-gray-500">
-                            From ${Math.min(...provider.services.map(s => s.price))}
+                            From {formatLowestPrice(provider.services)}
                           </div>
                         </div>
                         
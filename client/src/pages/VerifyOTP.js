@@ -1,7 +1,9 @@
 import React, { useState } from 'react';
 import { useLocation, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import { authAPI } from '../services/api';
 import { Shield, ArrowLeft } from 'lucide-react';
+import toast from 'react-hot-toast';
 
 const VerifyOTP = () => {
   const [otp, setOtp] = useState('');
@@ -10,7 +12,13 @@ const VerifyOTP = () => {
   const navigate = useNavigate();
   const location = useLocation();
   
-  const { userId, phone } = location.state || {};
+  const { userId, phone, email } = location.state || {};
+  const [otpChannel, setOtpChannel] = useState(location.state?.otpChannel || 'sms');
+
+  const otherChannel = otpChannel === 'email' ? 'sms' : 'email';
+  const destination = otpChannel === 'email'
+    ? email || 'your email address'
+    : phone || 'your phone number';
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -26,6 +34,8 @@ const VerifyOTP = () => {
       const result = await verifyOTP(userId, otp);
       if (result.success) {
         navigate('/dashboard');
+      } else if (result.twoFactor) {
+        navigate('/login', { state: { twoFactor: result.twoFactor } });
       }
     } catch (error) {
       console.error('OTP verification error:', error);
@@ -34,9 +44,14 @@ const VerifyOTP = () => {
     }
   };
 
-  const handleResend = () => {
-    // In a real app, this would resend the OTP
-    alert('OTP resent! Check your phone for the new code.');
+  const handleResend = async (channel = otpChannel) => {
+    try {
+      const response = await authAPI.resendOTP(userId, channel);
+      setOtpChannel(response.data.otpChannel);
+      toast.success(response.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to resend code');
+    }
   };
 
   return (
@@ -47,10 +62,10 @@ const VerifyOTP = () => {
             <Shield className="h-6 w-6 text-white" />
           </div>
           <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
-            Verify your phone number
+            Verify your {otpChannel === 'email' ? 'email address' : 'phone number'}
           </h2>
           <p className="mt-2 text-center text-sm text-gray-600">
-            We sent a 6-digit code to {phone || 'your phone number'}
+            We sent a 6-digit code to {destination}
           </p>
         </div>
         
@@ -93,12 +108,21 @@ const VerifyOTP = () => {
               Didn't receive the code?{' '}
               <button
                 type="button"
-                onClick={handleResend}
+                onClick={() => handleResend()}
                 className="font-medium text-primary-600 hover:text-primary-500"
               >
                 Resend
               </button>
             </p>
+            <p className="mt-2 text-sm text-gray-600">
+              <button
+                type="button"
+                onClick={() => handleResend(otherChannel)}
+                className="font-medium text-primary-600 hover:text-primary-500"
+              >
+                Send the code by {otherChannel === 'email' ? 'email' : 'SMS'} instead
+              </button>
+            </p>
           </div>
 
           <div className="text-center">
@@ -24,15 +24,71 @@ api.interceptors.request.use(
   }
 );
 
-// Response interceptor to handle errors
+const clearSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  window.location.href = '/login';
+};
+
+// Refresh tokens are single-use, so concurrent 401s share one refresh. Tabs
+// share the stored tokens too: a lock held across tabs lets one of them
+// refresh, and the others pick up the tokens it stored.
+const REFRESH_LOCK = 'bookeasy-token-refresh';
+let refreshPromise = null;
+
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const staleRefreshToken = localStorage.getItem('refreshToken');
+
+    const refresh = async () => {
+      const refreshToken = localStorage.getItem('refreshToken');
+      // Another tab refreshed (or signed out) while this one waited
+      if (refreshToken !== staleRefreshToken) {
+        if (!refreshToken) {
+          throw new Error('Signed out in another tab');
+        }
+        return localStorage.getItem('token');
+      }
+
+      const { data } = await axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken });
+      localStorage.setItem('token', data.token);
+      localStorage.setItem('refreshToken', data.refreshToken);
+      return data.token;
+    };
+
+    // Browsers without the Web Locks API refresh per tab
+    refreshPromise = (navigator.locks ? navigator.locks.request(REFRESH_LOCK, refresh) : refresh())
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+// Response interceptor to refresh an expired access token and retry once
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      localStorage.removeItem('token');
-      window.location.href = '/login';
+  async (error) => {
+    const { config, response } = error;
+
+    if (response?.status !== 401) {
+      return Promise.reject(error);
+    }
+
+    if (config._retry || !localStorage.getItem('refreshToken')) {
+      clearSession();
+      return Promise.reject(error);
+    }
+
+    try {
+      const token = await refreshAccessToken();
+      config._retry = true;
+      config.headers.Authorization = `Bearer ${token}`;
+      return api(config);
+    } catch (refreshError) {
+      clearSession();
+      return Promise.reject(error);
     }
-    return Promise.reject(error);
   }
 );
 
@@ -41,15 +97,35 @@ export const authAPI = {
   register: (userData) => api.post('/auth/register', userData),
   login: (credentials) => api.post('/auth/login', credentials),
   verifyOTP: (userId, otp) => api.post('/auth/verify-otp', { userId, otp }),
+  resendOTP: (userId, otpChannel) => api.post('/auth/resend-otp', { userId, otpChannel }),
   getMe: () => api.get('/auth/me'),
   logout: () => api.post('/auth/logout'),
-  forgotPassword: (identifier) => api.post('/auth/forgot-password', { identifier }),
+  logoutAll: () => api.post('/auth/logout-all'),
+  forgotPassword: (identifier, otpChannel) => api.post('/auth/forgot-password', { identifier, otpChannel }),
   resetPassword: (userId, otp, newPassword) => 
     api.post('/auth/reset-password', { userId, otp, newPassword }),
   updateProfile: (profileData) => api.put('/users/profile', profileData),
   changePassword: (passwordData) => api.put('/users/change-password', passwordData),
 };
 
+// Two-factor authentication API
+export const twoFactorAPI = {
+  getStatus: () => api.get('/auth/2fa/status'),
+  setup: (challengeToken) => api.post('/auth/2fa/setup', { challengeToken }),
+  enable: (code, challengeToken) => api.post('/auth/2fa/enable', { code, challengeToken }),
+  verify: (challengeToken, code) => api.post('/auth/2fa/verify', { challengeToken, code }),
+  regenerateRecoveryCodes: (code) => api.post('/auth/2fa/recovery-codes', { code }),
+  disable: (password, code) => api.post('/auth/2fa/disable', { password, code }),
+};
+
+// OpenID Connect sign-in API
+export const oidcAPI = {
+  getProviders: () => api.get('/auth/oidc/providers'),
+  // Sign-in starts with a full-page visit, not an API call
+  getStartUrl: (provider) => `${API_BASE_URL}/auth/oidc/${provider}/start`,
+  exchange: (code, details) => api.post('/auth/oidc/exchange', { code, ...details }),
+};
+
 // Providers API
 export const providersAPI = {
   search: (params) => api.get('/providers/search', { params }),
@@ -58,6 +134,9 @@ export const providersAPI = {
   register: (providerData) => api.post('/providers/register', providerData),
   updateProfile: (profileData) => api.put('/providers/profile', profileData),
   updateAvailability: (availabilityData) => api.put('/providers/availability', availabilityData),
+  updatePolicies: (policyData) => api.put('/providers/policies', policyData),
+  createPackage: (packageData) => api.post('/providers/packages', packageData),
+  updatePackage: (packageId, packageData) => api.put(`/providers/packages/${packageId}`, packageData),
   getDashboardStats: () => api.get('/providers/dashboard/stats'),
 };
 
@@ -76,8 +155,36 @@ export const bookingsAPI = {
 export const paymentsAPI = {
   createPaymentIntent: (bookingId) => api.post('/payments/create-payment-intent', { bookingId }),
   confirmPayment: (paymentIntentId) => api.post('/payments/confirm-payment', { paymentIntentId }),
+  createBalancePaymentIntent: (bookingId) => api.post('/payments/balance-payment-intent', { bookingId }),
   getHistory: (params) => api.get('/payments/history', { params }),
   processRefund: (bookingId, reason) => api.post('/payments/refund', { bookingId, reason }),
+  getReceipt: (bookingId) => api.get(`/payments/${bookingId}/receipt`, { responseType: 'text' }),
+  downloadReceipt: (bookingId) => api.get(`/payments/${bookingId}/receipt`, { params: { format: 'pdf' }, responseType: 'blob' }),
+  startPayoutOnboarding: () => api.post('/payments/connect/onboard'),
+  getPayoutStatus: () => api.get('/payments/connect/status'),
+};
+
+// Reviews API
+export const reviewsAPI = {
+  create: (reviewData) => api.post('/reviews', reviewData),
+  getProviderReviews: (providerId, params) => api.get(`/reviews/provider/${providerId}`, { params }),
+  voteHelpful: (id) => api.post(`/reviews/${id}/helpful`),
+  setVisibility: (id, isVisible) => api.put(`/reviews/${id}/visibility`, { isVisible }),
+};
+
+// Coupons API
+export const couponsAPI = {
+  createCoupon: (data) => api.post('/coupons', data),
+  getCoupons: (params) => api.get('/coupons', { params }),
+  updateCoupon: (id, data) => api.put(`/coupons/${id}`, data),
+  validateCoupon: (data) => api.post('/coupons/validate', data),
+};
+
+// Packages API
+export const packagesAPI = {
+  purchase: (providerId, packageId) => api.post('/packages/purchase', { providerId, packageId }),
+  confirmPurchase: (paymentIntentId) => api.post('/packages/confirm', { paymentIntentId }),
+  getMine: (params) => api.get('/packages/mine', { params }),
 };
 
 // Admin API
@@ -88,6 +195,12 @@ export const adminAPI = {
   verifyProvider: (id, isVerified) => api.put(`/admin/providers/${id}/verify`, { isVerified }),
   updateUserStatus: (id, isActive) => api.put(`/admin/users/${id}/status`, { isActive }),
   getBookings: (params) => api.get('/admin/bookings', { params }),
+  getTaxRates: () => api.get('/admin/tax-rates'),
+  saveTaxRate: (data) => api.put('/admin/tax-rates', data),
+  deleteTaxRate: (id) => api.delete(`/admin/tax-rates/${id}`),
+  getDisputes: (params) => api.get('/admin/disputes', { params }),
+  getDispute: (bookingId) => api.get(`/admin/disputes/${bookingId}`),
+  submitDisputeEvidence: (bookingId, data) => api.post(`/admin/disputes/${bookingId}/evidence`, data),
 };
 
 export default api;
\ No newline at end of file
@@ -0,0 +1,30 @@
+// Format an amount in a service's or booking's currency, e.g. "$12.50" or "¥1,200".
+// Intl knows which currencies have no minor unit, so zero-decimal
+// currencies like JPY are shown without decimals.
+export const formatCurrency = (amount, currency = 'usd') => {
+  return new Intl.NumberFormat(undefined, {
+    style: 'currency',
+    currency: currency.toUpperCase()
+  }).format(amount);
+};
+
+// Cheapest service as a formatted price, e.g. for "From $25.00". Prices in
+// different currencies can't be compared, so only services in the provider's
+// main currency (the one most of its services use) are considered.
+export const formatLowestPrice = (services = []) => {
+  if (services.length === 0) {
+    return null;
+  }
+
+  const counts = {};
+  services.forEach(s => {
+    const currency = s.currency || 'usd';
+    counts[currency] = (counts[currency] || 0) + 1;
+  });
+  const mainCurrency = Object.keys(counts).reduce((main, c) => (counts[c] > counts[main] ? c : main));
+
+  const cheapest = services
+    .filter(s => (s.currency || 'usd') === mainCurrency)
+    .reduce((min, s) => (s.price < min.price ? s : min));
+  return formatCurrency(cheapest.price, mainCurrency);
+};
@@ -6,11 +6,18 @@ const rateLimit = require('express-rate-limit');
 require('dotenv').config();
 
 const authRoutes = require('./routes/auth');
+const twoFactorRoutes = require('./routes/twoFactor');
+const oidcRoutes = require('./routes/oidc');
 const userRoutes = require('./routes/users');
 const providerRoutes = require('./routes/providers');
 const bookingRoutes = require('./routes/bookings');
 const paymentRoutes = require('./routes/payments');
 const adminRoutes = require('./routes/admin');
+const reviewRoutes = require('./routes/reviews');
+const couponRoutes = require('./routes/coupons');
+const packageRoutes = require('./routes/packages');
+const webhookRoutes = require('./routes/webhooks');
+const { startJobs } = require('./jobs');
 
 const app = express();
 
@@ -21,6 +28,10 @@ app.use(cors({
   credentials: true
 }));
 
+// Stripe webhooks need the raw body for signature checks, and Stripe's
+// retries must not be rate limited, so mount them before both
+app.use('/api/payments/webhook', webhookRoutes);
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -37,7 +48,11 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/appointme
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('✅ Connected to MongoDB'))
+.then(() => {
+  console.log('✅ Connected to MongoDB');
+  // Background jobs need the database, so start them once connected
+  startJobs();
+})
 .catch(err => {
   console.error('❌ MongoDB connection error:', err);
   console.log('⚠️  Continuing without MongoDB for testing...');
@@ -46,11 +61,16 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/appointme
 
 // Routes
 app.use('/api/auth', authRoutes);
+app.use('/api/auth/2fa', twoFactorRoutes);
+app.use('/api/auth/oidc', oidcRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/providers', providerRoutes);
 app.use('/api/bookings', bookingRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/packages', packageRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
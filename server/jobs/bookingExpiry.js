@@ -0,0 +1,67 @@
+const Booking = require('../models/Booking');
+const Coupon = require('../models/Coupon');
+const stripe = require('../utils/stripe');
+const { BOOKING_HOLD_MINUTES } = require('../utils/scheduling');
+const { cancelPaymentIntent } = require('../utils/payments');
+
+// Cancel the booking's open PaymentIntent. Returns false when the customer
+// has paid or a payment is in flight, in which case the booking is kept.
+const cancelBookingPaymentIntent = async (booking) => {
+  const paymentIntentId = booking.payment.stripePaymentIntentId;
+  if (!paymentIntentId) {
+    return true;
+  }
+
+  return cancelPaymentIntent(await stripe.paymentIntents.retrieve(paymentIntentId));
+};
+
+// Cancel pending bookings whose payment hold has run out, freeing their slots
+const expireUnpaidBookings = async () => {
+  const now = new Date();
+  const legacyCutoff = new Date(now.getTime() - BOOKING_HOLD_MINUTES * 60 * 1000);
+
+  const bookings = await Booking.find({
+    status: 'pending',
+    'payment.status': { $in: ['pending', 'failed'] },
+    $or: [
+      { 'payment.holdExpiresAt': { $lte: now } },
+      { 'payment.holdExpiresAt': { $exists: false }, createdAt: { $lte: legacyCutoff } }
+    ]
+  });
+
+  for (const booking of bookings) {
+    try {
+      if (!(await cancelBookingPaymentIntent(booking))) {
+        continue;
+      }
+
+      // Conditional update so a payment confirmed meanwhile is never overwritten
+      const result = await Booking.updateOne(
+        { _id: booking._id, status: 'pending', 'payment.status': { $in: ['pending', 'failed'] } },
+        {
+          $set: {
+            status: 'cancelled',
+            'payment.status': 'cancelled',
+            cancellation: {
+              cancelledBy: 'system',
+              cancelledAt: new Date(),
+              reason: 'Payment was not completed in time'
+            }
+          }
+        }
+      );
+
+      if (result.modifiedCount > 0) {
+        // The customer never paid, so the coupon use doesn't count
+        await Coupon.releaseRedemption(booking._id);
+        console.log(`Expired unpaid booking ${booking._id}`);
+      }
+    } catch (error) {
+      console.error(`Error expiring booking ${booking._id}:`, error.message);
+    }
+  }
+};
+
+module.exports = {
+  expireUnpaidBookings
+};
@@ -0,0 +1,58 @@
+const { sendDueReminders } = require('./reminders');
+const { expireUnpaidBookings } = require('./bookingExpiry');
+
+// Background jobs run inside the API process on a fixed interval
+const jobs = [
+  {
+    name: 'booking-reminders',
+    interval: (parseInt(process.env.REMINDER_CHECK_INTERVAL) || 5) * 60 * 1000, // minutes
+    run: sendDueReminders
+  },
+  {
+    name: 'booking-expiry',
+    interval: 60 * 1000, // every minute
+    run: expireUnpaidBookings
+  }
+];
+
+const timers = [];
+
+// Start every job; a run is skipped while the previous one is still going
+const startJobs = () => {
+  jobs.forEach(job => {
+    let isRunning = false;
+
+    const tick = async () => {
+      if (isRunning) {
+        return;
+      }
+
+      isRunning = true;
+      try {
+        await job.run();
+      } catch (error) {
+        console.error(`Job ${job.name} failed:`, error);
+      } finally {
+        isRunning = false;
+      }
+    };
+
+    const timer = setInterval(tick, job.interval);
+    // Don't keep the process alive just for background jobs
+    timer.unref();
+    timers.push(timer);
+
+    tick();
+    console.log(`⏰ Job ${job.name} scheduled every ${job.interval / 60000} minutes`);
+  });
+};
+
+const stopJobs = () => {
+  timers.forEach(timer => clearInterval(timer));
+  timers.length = 0;
+};
+
+module.exports = {
+  startJobs,
+  stopJobs
+};
@@ -0,0 +1,103 @@
+const Booking = require('../models/Booking');
+const { sendBookingReminder, sendBookingReminderSMS } = require('../utils/notifications');
+
+// Hours before an appointment that reminders go out, e.g. "24,2"
+const REMINDER_HOURS = (process.env.REMINDER_HOURS || '24,2')
+  .split(',')
+  .map(Number)
+  .filter(hours => hours > 0)
+  .sort((a, b) => a - b);
+
+const senders = {
+  email: sendBookingReminder,
+  sms: sendBookingReminderSMS
+};
+
+// Smallest reminder window the appointment has entered, so a booking made
+// late only gets the most relevant reminder rather than every missed one
+const getDueWindow = (hoursUntilAppointment) => {
+  return REMINDER_HOURS.find(hours => hoursUntilAppointment <= hours);
+};
+
+// Channels the customer has opted into and can be reached on
+const getChannels = (customer) => {
+  const notifications = customer.preferences?.notifications || {};
+  const channels = [];
+
+  if (notifications.email !== false && customer.email) {
+    channels.push('email');
+  }
+
+  if (notifications.sms !== false && customer.phone) {
+    channels.push('sms');
+  }
+
+  return channels;
+};
+
+// Send one reminder, claiming it first so it is never sent twice. The claim
+// is written before delivery: a crash mid-send leaves it 'pending' rather
+// than letting a restarted process send it again.
+const sendReminder = async (booking, type, hoursBefore) => {
+  const claim = await Booking.updateOne(
+    {
+      _id: booking._id,
+      status: 'confirmed',
+      reminders: { $not: { $elemMatch: { type, hoursBefore } } }
+    },
+    { $push: { reminders: { type, hoursBefore, status: 'pending' } } }
+  );
+
+  if (claim.modifiedCount === 0) {
+    return;
+  }
+
+  let status = 'sent';
+  try {
+    await senders[type](booking.customer, booking);
+  } catch (error) {
+    console.error(`Reminder ${type} failed for booking ${booking._id}:`, error.message);
+    status = 'failed';
+  }
+
+  await Booking.updateOne(
+    { _id: booking._id, reminders: { $elemMatch: { type, hoursBefore } } },
+    { $set: { 'reminders.$.status': status, 'reminders.$.sentAt': new Date() } }
+  );
+};
+
+// Find confirmed bookings inside a reminder window and notify their customers
+const sendDueReminders = async () => {
+  if (REMINDER_HOURS.length === 0) {
+    return;
+  }
+
+  const now = new Date();
+
+  // Appointment dates are calendar days, so pad the range by a day on each
+  // side to cover every time zone; exact timing is checked below
+  const rangeStart = new Date(now.getTime() - 24 * 60 * 60 * 1000);
+  const rangeEnd = new Date(now.getTime() + (REMINDER_HOURS[REMINDER_HOURS.length - 1] + 24) * 60 * 60 * 1000);
+
+  const bookings = await Booking.find({
+    status: 'confirmed',
+    appointmentDate: { $gte: rangeStart, $lte: rangeEnd }
+  }).populate('customer', 'firstName lastName email phone preferences');
+
+  for (const booking of bookings) {
+    const hoursUntilAppointment = booking.hoursUntilAppointment(now);
+    const hoursBefore = getDueWindow(hoursUntilAppointment);
+
+    if (hoursUntilAppointment <= 0 || !hoursBefore || !booking.customer) {
+      continue;
+    }
+
+    for (const type of getChannels(booking.customer)) {
+      await sendReminder(booking, type, hoursBefore);
+    }
+  }
+};
+
+module.exports = {
+  sendDueReminders
+};
@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 
 const auth = async (req, res, next) => {
   try {
@@ -20,9 +21,30 @@ const auth = async (req, res, next) => {
       return res.status(401).json({ message: 'Account is deactivated' });
     }
 
+    // Roles that require two-factor authentication can't use the API until
+    // it is set up (through the setup challenge issued at login)
+    if (user.isTwoFactorRequired() && !user.twoFactor?.enabled) {
+      return res.status(403).json({
+        message: 'Two-factor authentication must be set up for this account',
+        twoFactorSetupRequired: true
+      });
+    }
+
+    // Signed-out and revoked sessions lose access before the token expires
+    const session = decoded.sessionId && await Session.findById(decoded.sessionId);
+    if (!session || !session.isActive() || session.user.toString() !== user._id.toString()) {
+      return res.status(401).json({ message: 'Session has expired' });
+    }
+
     req.user = user;
+    req.sessionId = session._id;
     next();
   } catch (error) {
+    // Expected every few minutes; the client refreshes and retries
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({ message: 'Token has expired' });
+    }
+
     console.error('Auth middleware error:', error);
     res.status(401).json({ message: 'Token is not valid' });
   }
@@ -63,9 +85,26 @@ const requireProvider = async (req, res, next) => {
   }
 };
 
+// Load the provider profile of provider users, for routes that customers
+// can use too
+const loadProvider = async (req, res, next) => {
+  try {
+    if (req.user.role === 'provider') {
+      const Provider = require('../models/Provider');
+      req.provider = await Provider.findOne({ user: req.user._id });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Provider middleware error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
 module.exports = {
   auth,
   requireRole,
-  requireProvider
+  requireProvider,
+  loadProvider
 };
 
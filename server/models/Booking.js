@@ -1,4 +1,12 @@
 const mongoose = require('mongoose');
+const {
+  DEFAULT_TIMEZONE,
+  BOOKING_HOLD_MINUTES,
+  ACTIVE_BOOKING_STATUSES,
+  toDateTime
+} = require('../utils/scheduling');
+const { cancellationPolicySchema, getRefundPercent } = require('./schemas/cancellationPolicy');
+const { DEFAULT_CURRENCY, roundAmount } = require('../utils/currency');
 
 const bookingSchema = new mongoose.Schema({
   customer: {
@@ -38,11 +46,19 @@ const bookingSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  timezone: {
+    type: String, // provider's IANA zone when booked; start/end times are wall-clock in it
+    default: DEFAULT_TIMEZONE
+  },
   status: {
     type: String,
     enum: ['pending', 'confirmed', 'in-progress', 'completed', 'cancelled', 'no-show'],
     default: 'pending'
   },
+  policy: {
+    type: cancellationPolicySchema, // provider's policy when booked
+    default: () => ({})
+  },
   notes: {
     type: String,
     maxlength: 500
@@ -51,20 +67,77 @@ const bookingSchema = new mongoose.Schema({
   providerNotes: String,
   payment: {
     stripePaymentIntentId: String,
+    // 'package': paid with a prepaid session credit instead of a charge
+    method: {
+      type: String,
+      enum: ['card', 'package'],
+      default: 'card'
+    },
+    packagePurchase: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PackagePurchase'
+    },
+    creditRestoredAt: Date, // package credit given back on cancellation
+    // Price after any discount, before tax
+    subtotal: Number,
+    tax: {
+      name: String,
+      rate: Number, // percent
+      amount: Number
+    },
+    // Total charged: subtotal plus tax
     amount: {
       type: Number,
       required: true
     },
     currency: {
       type: String,
-      default: 'usd'
+      default: DEFAULT_CURRENCY
     },
     status: {
       type: String,
       enum: ['pending', 'succeeded', 'failed', 'cancelled'],
       default: 'pending'
     },
-    paidAt: Date
+    paidAt: Date,
+    // Coupon applied at booking; amount above is the price after the discount
+    discount: {
+      coupon: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Coupon'
+      },
+      code: String,
+      amount: Number
+    },
+    holdExpiresAt: Date, // unpaid bookings are released after this
+    transferDestination: String, // provider's Stripe account for destination charges
+    applicationFeeAmount: Number, // platform fee in cents
+    // 'deposit': only depositAmount is charged at booking time; the rest is
+    // the balance, settled on completion. The fields above then describe the
+    // deposit charge.
+    schedule: {
+      type: String,
+      enum: ['full', 'deposit'],
+      default: 'full'
+    },
+    depositAmount: Number,
+    depositRefundable: Boolean,
+    balanceDue: {
+      type: String,
+      enum: ['on-completion', 'in-person']
+    },
+    stripeCustomerId: String,
+    stripePaymentMethodId: String, // saved with the deposit for charging the balance
+    balance: {
+      amount: Number,
+      stripePaymentIntentId: String,
+      status: {
+        type: String,
+        enum: ['pending', 'succeeded', 'failed', 'paid-in-person', 'cancelled']
+      },
+      paidAt: Date,
+      failureReason: String
+    }
   },
   location: {
     type: {
@@ -89,10 +162,11 @@ const bookingSchema = new mongoose.Schema({
       type: String,
       enum: ['email', 'sms']
     },
+    hoursBefore: Number, // reminder window this attempt belongs to
     sentAt: Date,
     status: {
       type: String,
-      enum: ['sent', 'failed']
+      enum: ['pending', 'sent', 'failed'] // pending: claimed, delivery not yet confirmed
     }
   }],
   cancellation: {
@@ -106,7 +180,35 @@ const bookingSchema = new mongoose.Schema({
     refundStatus: {
       type: String,
       enum: ['pending', 'processed', 'failed']
-    }
+    },
+    stripeRefundId: String,
+    refundedAt: Date,
+    refundFailureReason: String,
+    refundAttempts: Number // failed attempts, so a retry gets a fresh idempotency key
+  },
+  invoice: {
+    number: String, // assigned when the first receipt is issued
+    issuedAt: Date,
+    claimedAt: Date // set while a receipt request is assigning the number
+  },
+  // Chargeback raised by the customer's bank against the payment
+  dispute: {
+    stripeDisputeId: String,
+    status: String, // Stripe dispute status
+    reason: String,
+    amount: Number,
+    openedAt: Date,
+    evidenceDueBy: Date,
+    evidenceSubmittedAt: Date,
+    evidenceSubmittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    outcome: {
+      type: String,
+      enum: ['won', 'lost', 'warning_closed']
+    },
+    closedAt: Date
   },
   review: {
     rating: {
@@ -140,53 +242,113 @@ bookingSchema.index({ customer: 1, appointmentDate: 1 });
 bookingSchema.index({ provider: 1, appointmentDate: 1 });
 bookingSchema.index({ status: 1 });
 bookingSchema.index({ 'payment.status': 1 });
+bookingSchema.index({ 'payment.stripePaymentIntentId': 1 });
+bookingSchema.index({ 'payment.balance.stripePaymentIntentId': 1 });
+bookingSchema.index({ 'cancellation.stripeRefundId': 1 });
+bookingSchema.index({ 'dispute.stripeDisputeId': 1 });
+bookingSchema.index({ 'invoice.number': 1 }, { unique: true, sparse: true });
+bookingSchema.index({ status: 1, 'payment.holdExpiresAt': 1 });
 
 // Virtual for appointment datetime
 bookingSchema.virtual('appointmentDateTime').get(function() {
-  const date = new Date(this.appointmentDate);
-  const [hours, minutes] = this.startTime.split(':');
-  date.setHours(parseInt(hours), parseInt(minutes), 0, 0);
-  return date;
+  return toDateTime(this.appointmentDate, this.startTime, this.timezone);
 });
 
+// Method to get the hours remaining until the appointment starts
+bookingSchema.methods.hoursUntilAppointment = function(now = new Date()) {
+  return (this.appointmentDateTime - now) / (1000 * 60 * 60);
+};
+
 // Method to check if booking can be cancelled
 bookingSchema.methods.canBeCancelled = function() {
-  const now = new Date();
-  const appointmentTime = this.appointmentDateTime;
-  const hoursUntilAppointment = (appointmentTime - now) / (1000 * 60 * 60);
-  
-  // Can cancel if more than 2 hours before appointment
-  return hoursUntilAppointment > 2 && this.status === 'confirmed';
+  return this.hoursUntilAppointment() > this.policy.cancelCutoffHours && this.status === 'confirmed';
 };
 
 // Method to check if booking can be rescheduled
 bookingSchema.methods.canBeRescheduled = function() {
-  const now = new Date();
-  const appointmentTime = this.appointmentDateTime;
-  const hoursUntilAppointment = (appointmentTime - now) / (1000 * 60 * 60);
-  
-  // Can reschedule if more than 4 hours before appointment
-  return hoursUntilAppointment > 4 && this.status === 'confirmed';
+  return this.hoursUntilAppointment() > this.policy.rescheduleCutoffHours && this.status === 'confirmed';
+};
+
+// Method to get the subtotal/discount/tax/total breakdown of the booking's
+// price. Bookings from before tax was recorded were charged the bare amount.
+bookingSchema.methods.getPriceBreakdown = function() {
+  const { payment } = this;
+
+  return {
+    price: this.service.price,
+    discount: payment.discount?.amount || 0,
+    packageCredit: payment.method === 'package' ? this.service.price : 0,
+    subtotal: payment.subtotal !== undefined ? payment.subtotal : payment.amount,
+    tax: payment.tax?.amount || 0,
+    taxName: payment.tax?.name,
+    taxRate: payment.tax?.rate || 0,
+    total: payment.amount,
+    currency: payment.currency
+  };
+};
+
+// Method to get the amount charged when the booking is paid for
+bookingSchema.methods.getUpfrontAmount = function() {
+  return this.payment.schedule === 'deposit' ? this.payment.depositAmount : this.payment.amount;
 };
 
-// Method to calculate refund amount
+// Method to get the part of the upfront payment that refunds may return
+bookingSchema.methods.getRefundableAmount = function() {
+  if (this.payment.schedule === 'deposit' && !this.payment.depositRefundable) {
+    return 0;
+  }
+  return this.getUpfrontAmount();
+};
+
+// Method to calculate refund amount under the booking's policy
 bookingSchema.methods.calculateRefund = function() {
-  const now = new Date();
-  const appointmentTime = this.appointmentDateTime;
-  const hoursUntilAppointment = (appointmentTime - now) / (1000 * 60 * 60);
-  
-  if (hoursUntilAppointment > 24) {
-    return this.payment.amount; // Full refund
-  } else if (hoursUntilAppointment > 2) {
-    return this.payment.amount * 0.5; // 50% refund
-  } else {
-    return 0; // No refund
+  const refundPercent = getRefundPercent(this.policy.refundTiers, this.hoursUntilAppointment());
+  return roundAmount(this.getRefundableAmount() * refundPercent / 100, this.payment.currency);
+};
+
+// Method to calculate the refund owed after a no-show fee is kept
+bookingSchema.methods.calculateNoShowRefund = function() {
+  return roundAmount(this.getRefundableAmount() * (100 - this.policy.noShowFeePercent) / 100, this.payment.currency);
+};
+
+// Method to check if an unpaid booking has outlived its hold on the slot
+bookingSchema.methods.isHoldExpired = function(now = new Date()) {
+  if (this.status !== 'pending' || !['pending', 'failed'].includes(this.payment.status)) {
+    return false;
+  }
+
+  // Bookings from before holds were recorded fall back to their creation time
+  const holdExpiresAt = this.payment.holdExpiresAt ||
+    new Date(this.createdAt.getTime() + BOOKING_HOLD_MINUTES * 60 * 1000);
+
+  return holdExpiresAt <= now;
+};
+
+// Static method to find a provider's active bookings on a given date
+bookingSchema.statics.findActiveOnDate = function({ provider, appointmentDate, excludeId }) {
+  const dayStart = new Date(appointmentDate);
+  dayStart.setUTCHours(0, 0, 0, 0);
+  const dayEnd = new Date(dayStart);
+  dayEnd.setUTCDate(dayEnd.getUTCDate() + 1);
+
+  const query = {
+    provider,
+    appointmentDate: { $gte: dayStart, $lt: dayEnd },
+    status: { $in: ACTIVE_BOOKING_STATUSES }
+  };
+
+  if (excludeId) {
+    query._id = { $ne: excludeId };
   }
+
+  return this.find(query).select('appointmentDate startTime endTime status');
 };
 
 // Pre-save middleware to validate appointment date
+// Only checked when the time is set, so past bookings can still be updated
 bookingSchema.pre('save', function(next) {
-  if (this.appointmentDate < new Date()) {
+  const isScheduleChanged = this.isModified('appointmentDate') || this.isModified('startTime');
+  if (isScheduleChanged && this.appointmentDateTime < new Date()) {
     return next(new Error('Appointment date cannot be in the past'));
   }
   next();
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Named sequences, e.g. for invoice numbers
+const counterSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  value: {
+    type: Number,
+    default: 0
+  }
+});
+
+// Static method to atomically take the next value of a sequence
+counterSchema.statics.next = async function(name) {
+  const counter = await this.findOneAndUpdate(
+    { name },
+    { $inc: { value: 1 } },
+    { new: true, upsert: true }
+  );
+
+  return counter.value;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,198 @@
+const mongoose = require('mongoose');
+const CouponRedemption = require('./CouponRedemption');
+const { DEFAULT_CURRENCY, roundAmount } = require('../utils/currency');
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  description: String,
+  discountType: {
+    type: String,
+    enum: ['percent', 'fixed'],
+    required: true
+  },
+  // Percentage off, or an amount off in the booking's currency
+  discountValue: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Currency of a fixed discount; it only applies to services priced in it
+  currency: {
+    type: String,
+    lowercase: true,
+    default: DEFAULT_CURRENCY
+  },
+  // 'platform': any booking; 'provider': one provider's services;
+  // 'service': a single service of that provider
+  scope: {
+    type: String,
+    enum: ['platform', 'provider', 'service'],
+    default: 'platform'
+  },
+  provider: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Provider'
+  },
+  serviceName: String,
+  startsAt: Date,
+  expiresAt: Date,
+  maxRedemptions: Number, // across all customers; unlimited when unset
+  perCustomerLimit: {
+    type: Number,
+    default: 1
+  },
+  redemptionCount: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+couponSchema.index({ provider: 1 });
+
+couponSchema.pre('validate', function(next) {
+  if (this.scope !== 'platform' && !this.provider) {
+    this.invalidate('provider', 'Provider is required for provider and service coupons');
+  }
+
+  if (this.scope === 'service' && !this.serviceName) {
+    this.invalidate('serviceName', 'Service is required for service coupons');
+  }
+
+  if (this.discountType === 'percent' && this.discountValue > 100) {
+    this.invalidate('discountValue', 'Percentage discount cannot exceed 100');
+  }
+
+  next();
+});
+
+// Static method to find a coupon by the code a customer typed
+couponSchema.statics.findByCode = function(code) {
+  return this.findOne({ code: String(code).trim().toUpperCase() });
+};
+
+// Method to check whether the coupon applies to a booking. Returns a message
+// describing why it can't be used, or null if it can.
+couponSchema.methods.getIneligibilityReason = async function({ provider, serviceName, currency, customerId, now = new Date() }) {
+  if (!this.isActive || (this.startsAt && this.startsAt > now)) {
+    return 'This coupon is not active';
+  }
+
+  if (this.expiresAt && this.expiresAt <= now) {
+    return 'This coupon has expired';
+  }
+
+  if (this.scope !== 'platform' && this.provider.toString() !== provider._id.toString()) {
+    return 'This coupon is not valid for this provider';
+  }
+
+  if (this.scope === 'service' && this.serviceName !== serviceName) {
+    return 'This coupon is not valid for this service';
+  }
+
+  if (this.discountType === 'fixed' && this.currency !== currency) {
+    return 'This coupon is not valid for this currency';
+  }
+
+  if (this.maxRedemptions && this.redemptionCount >= this.maxRedemptions) {
+    return 'This coupon has reached its usage limit';
+  }
+
+  if (this.perCustomerLimit) {
+    const used = await CouponRedemption.countDocuments({
+      coupon: this._id,
+      customer: customerId,
+      status: 'active'
+    });
+
+    if (used >= this.perCustomerLimit) {
+      return 'You have already used this coupon';
+    }
+  }
+
+  return null;
+};
+
+// Method to calculate the discount on an amount, never more than the amount
+couponSchema.methods.calculateDiscount = function(amount, currency) {
+  const discount = this.discountType === 'percent'
+    ? roundAmount(amount * this.discountValue / 100, currency)
+    : this.discountValue;
+
+  return Math.min(discount, amount);
+};
+
+// Method to redeem the coupon for a booking. The usage count and the
+// customer's slot are claimed atomically so concurrent bookings can't exceed
+// maxRedemptions or perCustomerLimit. Resolves to { redemption }, or to
+// { reason } if a limit was reached meanwhile.
+couponSchema.methods.redeem = async function({ booking, customerId, discountAmount }) {
+  const filter = { _id: this._id };
+  if (this.maxRedemptions) {
+    filter.redemptionCount = { $lt: this.maxRedemptions };
+  }
+
+  const claimed = await this.constructor.updateOne(filter, { $inc: { redemptionCount: 1 } });
+  if (claimed.modifiedCount === 0) {
+    return { reason: 'This coupon has reached its usage limit' };
+  }
+
+  const slots = this.perCustomerLimit
+    ? Array.from({ length: this.perCustomerLimit }, (_, i) => i + 1)
+    : [undefined];
+
+  for (const slot of slots) {
+    try {
+      const redemption = await CouponRedemption.create({
+        coupon: this._id,
+        code: this.code,
+        booking: booking._id,
+        customer: customerId,
+        slot,
+        discountAmount
+      });
+      return { redemption };
+    } catch (error) {
+      // Slot taken by another of the customer's bookings; try the next one
+      if (error.code !== 11000 || !error.keyPattern?.slot) {
+        await this.constructor.updateOne({ _id: this._id }, { $inc: { redemptionCount: -1 } });
+        throw error;
+      }
+    }
+  }
+
+  await this.constructor.updateOne({ _id: this._id }, { $inc: { redemptionCount: -1 } });
+  return { reason: 'You have already used this coupon' };
+};
+
+// Static method to give back a booking's coupon use, e.g. when the booking
+// is released without being paid for
+couponSchema.statics.releaseRedemption = async function(bookingId) {
+  const redemption = await CouponRedemption.findOneAndUpdate(
+    { booking: bookingId, status: 'active' },
+    { $set: { status: 'released', releasedAt: new Date() } }
+  );
+
+  if (redemption) {
+    await this.updateOne({ _id: redemption.coupon }, { $inc: { redemptionCount: -1 } });
+  }
+
+  return redemption;
+};
+
+module.exports = mongoose.model('Coupon', couponSchema);
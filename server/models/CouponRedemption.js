@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// One use of a coupon on a booking
+const couponRedemptionSchema = new mongoose.Schema({
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  code: String,
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true,
+    unique: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Which of the customer's allowed uses this is (1..perCustomerLimit);
+  // unset when the coupon has no per-customer limit
+  slot: Number,
+  discountAmount: {
+    type: Number,
+    required: true
+  },
+  // 'released' when the booking was dropped unpaid and the use was given back
+  status: {
+    type: String,
+    enum: ['active', 'released'],
+    default: 'active'
+  },
+  releasedAt: Date
+}, {
+  timestamps: true
+});
+
+couponRedemptionSchema.index({ coupon: 1, customer: 1, status: 1 });
+// A customer's active uses each hold a distinct slot, so concurrent bookings
+// can't go over the per-customer limit
+couponRedemptionSchema.index(
+  { coupon: 1, customer: 1, slot: 1 },
+  { unique: true, partialFilterExpression: { status: 'active', slot: { $exists: true } } }
+);
+
+module.exports = mongoose.model('CouponRedemption', couponRedemptionSchema);
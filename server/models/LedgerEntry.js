@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+const { DEFAULT_CURRENCY } = require('../utils/currency');
+
+// Append-only record of money moving through the platform for a booking or
+// a package purchase.
+// Amounts are signed integers in the smallest currency unit (e.g. cents):
+// positive for money received, negative for money returned.
+const ledgerEntrySchema = new mongoose.Schema({
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  packagePurchase: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PackagePurchase'
+  },
+  provider: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Provider',
+    required: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  type: {
+    type: String,
+    enum: ['charge', 'platform_fee', 'provider_share', 'refund', 'chargeback'],
+    required: true
+  },
+  // Whose earnings the entry counts towards; charges are gross and belong to neither
+  party: {
+    type: String,
+    enum: ['platform', 'provider']
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    default: DEFAULT_CURRENCY
+  },
+  // Stripe object the entry came from (PaymentIntent, refund, dispute)
+  reference: String,
+  // Unique per real-world event, so webhook retries can't record it twice
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  description: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+ledgerEntrySchema.index({ provider: 1, createdAt: -1 });
+ledgerEntrySchema.index({ booking: 1 });
+
+// Entries are never changed or removed; corrections are new entries
+const rejectChange = function(next) {
+  next(new Error('Ledger entries are immutable'));
+};
+
+ledgerEntrySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectChange(next);
+  }
+  next();
+});
+
+ledgerEntrySchema.pre([
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+], rejectChange);
+
+// Static method to add entries, skipping any whose key was already recorded
+ledgerEntrySchema.statics.record = async function(entries) {
+  const recorded = [];
+
+  for (const entry of entries) {
+    try {
+      recorded.push(await this.create(entry));
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+  }
+
+  return recorded;
+};
+
+// Static method to total entries by type and party, in the smallest currency
+// unit. Amounts in different currencies can't be added up, so the result is
+// keyed by currency, e.g. { usd: { grossVolume, ... } }.
+ledgerEntrySchema.statics.summarize = async function(match = {}) {
+  const rows = await this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { type: '$type', party: '$party', currency: '$currency' },
+        total: { $sum: '$amount' }
+      }
+    }
+  ]);
+
+  const summaries = {};
+
+  rows.forEach(({ _id, total }) => {
+    if (!summaries[_id.currency]) {
+      summaries[_id.currency] = {
+        grossVolume: 0,
+        refunded: 0,
+        chargebacks: 0,
+        platformRevenue: 0,
+        providerEarnings: 0
+      };
+    }
+    const summary = summaries[_id.currency];
+
+    if (_id.type === 'charge') {
+      summary.grossVolume += total;
+    }
+
+    if (_id.type === 'refund') {
+      summary.refunded -= total;
+    }
+
+    if (_id.type === 'chargeback') {
+      summary.chargebacks -= total;
+    }
+
+    if (_id.party === 'platform') {
+      summary.platformRevenue += total;
+    } else if (_id.party === 'provider') {
+      summary.providerEarnings += total;
+    }
+  });
+
+  return summaries;
+};
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
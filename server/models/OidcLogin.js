@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// How long a sign-in may take, from leaving for the identity provider to
+// the client exchanging the result
+const LOGIN_TTL = 10 * 60 * 1000; // 10 minutes
+
+const hashCode = (code) => crypto.createHash('sha256').update(code).digest('hex');
+
+// One OpenID Connect sign-in in progress. Holds the values that tie the
+// provider's callback to the request that started it (state, nonce, PKCE
+// verifier), then the result until the client exchanges it for tokens.
+const oidcLoginSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  state: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  nonce: String,
+  codeVerifier: String,
+  callbackAt: Date, // when the provider sent the user back
+  // Set by the callback: the matched user, or the profile of someone new
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  profile: {
+    subject: String,
+    email: String,
+    firstName: String,
+    lastName: String,
+    phone: String // only when the provider has verified it
+  },
+  // Unverified account with the same email that the new account replaces
+  replacesUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  exchangeCodeHash: {
+    type: String,
+    index: true,
+    sparse: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+oidcLoginSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to record a sign-in that is leaving for the provider
+oidcLoginSchema.statics.start = function({ provider, state, nonce, codeVerifier }) {
+  return this.create({
+    provider,
+    state,
+    nonce,
+    codeVerifier,
+    expiresAt: new Date(Date.now() + LOGIN_TTL)
+  });
+};
+
+// Static method to take the sign-in a callback's state belongs to. Each
+// state is accepted once. Resolves to the sign-in as it was, so with the
+// PKCE verifier that is removed from the stored copy.
+oidcLoginSchema.statics.consumeState = function(provider, state) {
+  return this.findOneAndUpdate(
+    {
+      provider,
+      state,
+      callbackAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    },
+    { $set: { callbackAt: new Date() }, $unset: { codeVerifier: '' } }
+  );
+};
+
+// Method to store the callback's result and return the one-time code the
+// client exchanges for it
+oidcLoginSchema.methods.complete = async function({ user, profile, replacesUser }) {
+  const code = crypto.randomBytes(32).toString('hex');
+
+  this.user = user;
+  this.profile = profile;
+  this.replacesUser = replacesUser;
+  this.codeVerifier = undefined;
+  this.exchangeCodeHash = hashCode(code);
+  await this.save();
+
+  return code;
+};
+
+// Static method to find a completed sign-in by its exchange code
+oidcLoginSchema.statics.findByExchangeCode = function(code) {
+  return this.findOne({
+    exchangeCodeHash: hashCode(String(code)),
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Static method to use up a sign-in once it has been exchanged. Resolves to
+// null if another request already did.
+oidcLoginSchema.statics.finish = function(loginId) {
+  return this.findOneAndDelete({ _id: loginId });
+};
+
+module.exports = mongoose.model('OidcLogin', oidcLoginSchema);
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// Minimum gap between codes for one user, and how many codes a user or a
+// destination (phone number or email address) may be sent per window
+const RESEND_COOLDOWN_SECONDS = parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 60;
+const RESEND_LIMIT = parseInt(process.env.OTP_RESEND_LIMIT) || 5;
+const RESEND_WINDOW_MINUTES = parseInt(process.env.OTP_RESEND_WINDOW_MINUTES) || 60;
+
+// A verification code sent to a user. Kept for one window to rate-limit
+// further sends.
+const otpDeliverySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  channel: {
+    type: String,
+    enum: ['sms', 'email'],
+    required: true
+  },
+  destination: {
+    type: String,
+    required: true
+  },
+  sentAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+otpDeliverySchema.index({ user: 1, sentAt: -1 });
+otpDeliverySchema.index({ destination: 1, sentAt: -1 });
+otpDeliverySchema.index({ sentAt: 1 }, { expireAfterSeconds: RESEND_WINDOW_MINUTES * 60 });
+
+// Static method to reserve a send to a user's destination. The send is
+// recorded first and then checked against the limits, so concurrent
+// requests can't both slip under them. Resolves to 0 if the code may be
+// sent, or the number of seconds to wait.
+otpDeliverySchema.statics.claim = async function({ user, channel, destination, now = new Date() }) {
+  const delivery = await this.create({ user, channel, destination, sentAt: now });
+  const windowStart = new Date(now.getTime() - RESEND_WINDOW_MINUTES * 60 * 1000);
+
+  const waits = [];
+
+  const previous = await this.findOne({ user, _id: { $ne: delivery._id } })
+    .sort({ sentAt: -1 });
+  if (previous) {
+    const cooldownEnds = previous.sentAt.getTime() + RESEND_COOLDOWN_SECONDS * 1000;
+    if (cooldownEnds > now.getTime()) {
+      waits.push(cooldownEnds - now.getTime());
+    }
+  }
+
+  for (const field of ['user', 'destination']) {
+    const recent = await this.find({ [field]: field === 'user' ? user : destination, sentAt: { $gt: windowStart } })
+      .sort({ sentAt: 1 })
+      .limit(RESEND_LIMIT + 1);
+
+    // Over the limit: wait until enough earlier sends leave the window
+    if (recent.length > RESEND_LIMIT) {
+      waits.push(recent[0].sentAt.getTime() + RESEND_WINDOW_MINUTES * 60 * 1000 - now.getTime());
+    }
+  }
+
+  if (waits.length === 0) {
+    return 0;
+  }
+
+  await this.deleteOne({ _id: delivery._id });
+  return Math.ceil(Math.max(...waits) / 1000);
+};
+
+module.exports = mongoose.model('OtpDelivery', otpDeliverySchema);
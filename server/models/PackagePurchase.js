@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+const { DEFAULT_CURRENCY } = require('../utils/currency');
+
+// A customer's purchase of one of a provider's packages, holding the
+// session credits it gave them. Details of the package are copied so later
+// edits to it don't change what was bought.
+const packagePurchaseSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  provider: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Provider',
+    required: true
+  },
+  packageId: {
+    type: mongoose.Schema.Types.ObjectId, // entry in provider.packages
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  serviceName: {
+    type: String,
+    required: true
+  },
+  sessionCount: {
+    type: Number,
+    required: true
+  },
+  creditsRemaining: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  price: {
+    type: Number, // package price, before tax
+    required: true
+  },
+  tax: {
+    name: String,
+    rate: Number, // percent
+    amount: Number
+  },
+  // Total charged: price plus tax
+  amount: Number,
+  currency: {
+    type: String,
+    default: DEFAULT_CURRENCY
+  },
+  // 'pending' until paid; only active purchases have usable credits
+  status: {
+    type: String,
+    enum: ['pending', 'active', 'cancelled'],
+    default: 'pending'
+  },
+  validityDays: Number,
+  expiresAt: Date, // set when paid, from validityDays
+  payment: {
+    stripePaymentIntentId: String,
+    status: {
+      type: String,
+      enum: ['pending', 'succeeded', 'failed'],
+      default: 'pending'
+    },
+    paidAt: Date,
+    transferDestination: String, // provider's Stripe account for destination charges
+    applicationFeeAmount: Number // platform fee in the smallest currency unit
+  }
+}, {
+  timestamps: true
+});
+
+packagePurchaseSchema.index({ customer: 1, status: 1 });
+packagePurchaseSchema.index({ 'payment.stripePaymentIntentId': 1 });
+
+// Method to get the amount charged for the purchase. Purchases from before
+// tax was recorded were charged the bare price.
+packagePurchaseSchema.methods.getTotal = function() {
+  return this.amount !== undefined ? this.amount : this.price;
+};
+
+// Method to mark the purchase paid and start its credits' validity (does not save)
+packagePurchaseSchema.methods.activate = function(paymentIntent) {
+  const now = new Date();
+
+  this.status = 'active';
+  this.payment.stripePaymentIntentId = paymentIntent.id;
+  this.payment.status = 'succeeded';
+  this.payment.paidAt = now;
+
+  if (this.validityDays) {
+    this.expiresAt = new Date(now.getTime() + this.validityDays * 24 * 60 * 60 * 1000);
+  }
+};
+
+// Static method to take one credit for a booking. The decrement is atomic,
+// so concurrent bookings can't spend the same credit. Resolves to the
+// purchase, or null if it has no usable credit for the service.
+packagePurchaseSchema.statics.redeemCredit = function({ purchaseId, customer, provider, serviceName, now = new Date() }) {
+  return this.findOneAndUpdate(
+    {
+      _id: purchaseId,
+      customer,
+      provider,
+      serviceName,
+      status: 'active',
+      creditsRemaining: { $gt: 0 },
+      $or: [
+        { expiresAt: { $exists: false } },
+        { expiresAt: null },
+        { expiresAt: { $gt: now } }
+      ]
+    },
+    { $inc: { creditsRemaining: -1 } },
+    { new: true }
+  );
+};
+
+// Static method to give back a credit, e.g. when its booking is cancelled
+packagePurchaseSchema.statics.restoreCredit = function(purchaseId) {
+  return this.findOneAndUpdate(
+    {
+      _id: purchaseId,
+      $expr: { $lt: ['$creditsRemaining', '$sessionCount'] }
+    },
+    { $inc: { creditsRemaining: 1 } },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('PackagePurchase', packagePurchaseSchema);
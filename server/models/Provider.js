@@ -1,4 +1,19 @@
 const mongoose = require('mongoose');
+const {
+  DEFAULT_TIMEZONE,
+  SLOT_INTERVAL,
+  ACTIVE_BOOKING_STATUSES,
+  timeToMinutes,
+  minutesToTime,
+  rangesOverlap,
+  getDayName,
+  isValidTimeZone,
+  toDateTime,
+  formatTime,
+  toDateKey
+} = require('../utils/scheduling');
+const { DEFAULT_CURRENCY, isValidCurrency } = require('../utils/currency');
+const { cancellationPolicySchema } = require('./schemas/cancellationPolicy');
 
 const providerSchema = new mongoose.Schema({
   user: {
@@ -33,6 +48,70 @@ const providerSchema = new mongoose.Schema({
       required: true,
       min: 0
     },
+    currency: {
+      type: String, // ISO code the price (and any fixed deposit) is in
+      lowercase: true,
+      default: DEFAULT_CURRENCY,
+      validate: {
+        validator: isValidCurrency,
+        message: props => `${props.value} is not a valid currency`
+      }
+    },
+    deposit: {
+      type: {
+        type: String,
+        enum: ['none', 'percent', 'fixed'],
+        default: 'none'
+      },
+      value: {
+        type: Number, // percent of the price, or a fixed amount
+        min: 0
+      },
+      refundable: {
+        type: Boolean,
+        default: true
+      },
+      balanceDue: {
+        type: String,
+        enum: ['on-completion', 'in-person'], // charged to the saved card, or paid at the appointment
+        default: 'on-completion'
+      }
+    },
+    taxable: {
+      type: Boolean, // sales tax for the provider's location is added when true
+      default: true
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    }
+  }],
+  // Prepaid bundles of sessions of one service, e.g. 5 massages for the price of 4
+  packages: [{
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    description: String,
+    serviceName: {
+      type: String, // service the sessions can be booked for
+      required: true
+    },
+    sessionCount: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    price: {
+      type: Number, // in the service's currency
+      required: true,
+      min: 0
+    },
+    validityDays: {
+      type: Number, // credits expire this long after purchase; never when unset
+      min: 1
+    },
     isActive: {
       type: Boolean,
       default: true
@@ -55,6 +134,14 @@ const providerSchema = new mongoose.Schema({
       default: 10 // miles
     }
   },
+  timezone: {
+    type: String, // IANA zone the provider's working hours are expressed in
+    default: DEFAULT_TIMEZONE,
+    validate: {
+      validator: isValidTimeZone,
+      message: props => `${props.value} is not a valid time zone`
+    }
+  },
   availability: {
     workingDays: [{
       day: {
@@ -63,6 +150,10 @@ const providerSchema = new mongoose.Schema({
       },
       startTime: String, // HH:MM format
       endTime: String,   // HH:MM format
+      breaks: [{         // e.g. lunch; no appointments may overlap these
+        startTime: String,
+        endTime: String
+      }],
       isAvailable: {
         type: Boolean,
         default: true
@@ -72,6 +163,24 @@ const providerSchema = new mongoose.Schema({
       date: Date,
       reason: String
     }],
+    bufferTime: {
+      type: Number,
+      default: 0, // minutes kept free between appointments
+      min: 0
+    },
+    maxBookingsPerDay: {
+      type: Number, // unlimited when unset
+      min: 1
+    },
+    minLeadTime: {
+      type: Number,
+      default: 0, // hours of notice required before an appointment
+      min: 0
+    },
+    maxLeadTime: {
+      type: Number, // days ahead bookings are accepted; unlimited when unset
+      min: 1
+    },
     timeSlots: [{
       date: Date,
       slots: [{
@@ -84,7 +193,26 @@ const providerSchema = new mongoose.Schema({
       }]
     }]
   },
-  stripeAccountId: String,
+  cancellationPolicy: {
+    type: cancellationPolicySchema,
+    default: () => ({})
+  },
+  stripeAccountId: String, // Stripe Connect account that receives payouts
+  stripeAccountStatus: {
+    chargesEnabled: {
+      type: Boolean,
+      default: false
+    },
+    payoutsEnabled: {
+      type: Boolean,
+      default: false
+    },
+    detailsSubmitted: {
+      type: Boolean,
+      default: false
+    },
+    updatedAt: Date
+  },
   isVerified: {
     type: Boolean,
     default: false
@@ -125,6 +253,22 @@ const providerSchema = new mongoose.Schema({
 
 // Index for location-based searches
 providerSchema.index({ 'location.coordinates': '2dsphere' });
+providerSchema.index({ stripeAccountId: 1 });
+
+// Virtual for whether payments can be routed to the provider's Stripe account
+providerSchema.virtual('canReceivePayments').get(function() {
+  return Boolean(this.stripeAccountId && this.stripeAccountStatus.chargesEnabled);
+});
+
+// Method to copy a Stripe Connect account's state onto the provider
+providerSchema.methods.syncStripeAccount = function(account) {
+  this.stripeAccountStatus = {
+    chargesEnabled: account.charges_enabled,
+    payoutsEnabled: account.payouts_enabled,
+    detailsSubmitted: account.details_submitted,
+    updatedAt: new Date()
+  };
+};
 
 // Virtual for full address
 providerSchema.virtual('fullAddress').get(function() {
@@ -132,71 +276,151 @@ providerSchema.virtual('fullAddress').get(function() {
   return `${addr.street}, ${addr.city}, ${addr.state} ${addr.zipCode}, ${addr.country}`;
 });
 
-// Method to check if provider is available at specific time
-providerSchema.methods.isAvailableAt = function(date, time) {
-  const dayName = date.toLocaleDateString('en-US', { weekday: 'lowercase' });
+// Split a working day into bookable ranges (in minutes) around its breaks
+const getWorkingRanges = (workingDay) => {
+  const breaks = (workingDay.breaks || [])
+    .map(pause => ({ start: timeToMinutes(pause.startTime), end: timeToMinutes(pause.endTime) }))
+    .sort((a, b) => a.start - b.start);
+  
+  const ranges = [];
+  let rangeStart = timeToMinutes(workingDay.startTime);
+  const dayEnd = timeToMinutes(workingDay.endTime);
+  
+  breaks.forEach(pause => {
+    if (pause.start > rangeStart) {
+      ranges.push({ start: rangeStart, end: Math.min(pause.start, dayEnd) });
+    }
+    rangeStart = Math.max(rangeStart, pause.end);
+  });
+  
+  if (rangeStart < dayEnd) {
+    ranges.push({ start: rangeStart, end: dayEnd });
+  }
+  
+  return ranges.filter(range => range.start < range.end);
+};
+
+// Method to get the working hours for a date, or null if the provider is off
+providerSchema.methods.getWorkingDay = function(date) {
+  const dayName = getDayName(date);
   const workingDay = this.availability.workingDays.find(day => day.day === dayName);
   
   if (!workingDay || !workingDay.isAvailable) {
-    return false;
+    return null;
   }
   
   // Check if date is blocked
+  const dateKey = toDateKey(date);
   const isBlocked = this.availability.blockedDates.some(blocked => 
-    blocked.date.toDateString() === date.toDateString()
+    toDateKey(blocked.date) === dateKey
   );
   
-  if (isBlocked) {
+  return isBlocked ? null : workingDay;
+};
+
+// Method to check if provider is available at specific time
+// When a duration is given, the whole appointment must fit before the next break or closing
+providerSchema.methods.isAvailableAt = function(date, time, duration = 0) {
+  const workingDay = this.getWorkingDay(date);
+  
+  if (!workingDay) {
     return false;
   }
   
-  // Check if time is within working hours
-  const requestedTime = new Date(`2000-01-01T${time}`);
-  const startTime = new Date(`2000-01-01T${workingDay.startTime}`);
-  const endTime = new Date(`2000-01-01T${workingDay.endTime}`);
+  // Check if time is within working hours and outside breaks
+  const requestedTime = timeToMinutes(time);
   
-  return requestedTime >= startTime && requestedTime < endTime;
+  return getWorkingRanges(workingDay).some(range => 
+    requestedTime >= range.start &&
+    requestedTime < range.end &&
+    requestedTime + duration <= range.end
+  );
 };
 
-// Method to get available time slots for a date
-providerSchema.methods.getAvailableSlots = function(date) {
-  const dayName = date.toLocaleDateString('en-US', { weekday: 'lowercase' });
-  const workingDay = this.availability.workingDays.find(day => day.day === dayName);
+// Method to explain why an appointment cannot be booked, or null if it can
+// bookings: the provider's existing bookings; only active ones on this date count
+providerSchema.methods.getSlotConflict = function(date, startTime, duration, bookings = [], now = new Date()) {
+  if (!this.isAvailableAt(date, startTime, duration)) {
+    return 'Provider is not available at the requested time';
+  }
   
-  if (!workingDay || !workingDay.isAvailable) {
-    return [];
+  const { bufferTime, maxBookingsPerDay, minLeadTime, maxLeadTime } = this.availability;
+  
+  // Wall-clock times skipped by a DST change do not exist in the provider's zone
+  const appointmentTime = toDateTime(date, startTime, this.timezone);
+  
+  if (formatTime(appointmentTime, this.timezone) !== startTime) {
+    return 'Provider is not available at the requested time';
   }
   
-  // Check if date is blocked
-  const isBlocked = this.availability.blockedDates.some(blocked => 
-    blocked.date.toDateString() === date.toDateString()
+  // Check booking lead time
+  const hoursUntilAppointment = (appointmentTime - now) / (1000 * 60 * 60);
+  
+  if (hoursUntilAppointment < (minLeadTime || 0)) {
+    return minLeadTime
+      ? `Appointments must be booked at least ${minLeadTime} hours in advance`
+      : 'Appointment time has already passed';
+  }
+  
+  if (maxLeadTime && hoursUntilAppointment > maxLeadTime * 24) {
+    return `Appointments cannot be booked more than ${maxLeadTime} days in advance`;
+  }
+  
+  // Check daily capacity
+  const dateKey = toDateKey(date);
+  const dayBookings = bookings.filter(booking => 
+    ACTIVE_BOOKING_STATUSES.includes(booking.status) &&
+    toDateKey(booking.appointmentDate) === dateKey
   );
   
-  if (isBlocked) {
+  if (maxBookingsPerDay && dayBookings.length >= maxBookingsPerDay) {
+    return 'No more bookings are available on this date';
+  }
+  
+  // Check overlap with existing bookings, keeping the buffer on both sides
+  const buffer = bufferTime || 0;
+  const start = timeToMinutes(startTime) - buffer;
+  const end = timeToMinutes(startTime) + duration + buffer;
+  
+  const isBooked = dayBookings.some(booking => 
+    rangesOverlap(start, end, timeToMinutes(booking.startTime), timeToMinutes(booking.endTime))
+  );
+  
+  return isBooked ? 'Time slot is already booked' : null;
+};
+
+// Method to get bookable time slots for a date
+// service: the service being booked (its duration sets the slot length)
+// bookings: the provider's existing bookings, used to skip occupied times
+providerSchema.methods.getAvailableSlots = function(date, service, bookings = []) {
+  const workingDay = this.getWorkingDay(date);
+  
+  if (!workingDay) {
     return [];
   }
   
-  // Generate time slots based on working hours
-  const slots = [];
-  const startTime = new Date(`2000-01-01T${workingDay.startTime}`);
-  const endTime = new Date(`2000-01-01T${workingDay.endTime}`);
-  const slotDuration = 30; // 30 minutes per slot
+  const duration = service ? service.duration : SLOT_INTERVAL;
+  const now = new Date();
   
-  let currentTime = new Date(startTime);
+  // Offer every start time where the full service fits the provider's rules,
+  // restarting the slot grid after each break
+  const slots = [];
   
-  while (currentTime < endTime) {
-    const slotEnd = new Date(currentTime.getTime() + slotDuration * 60000);
-    
-    if (slotEnd <= endTime) {
+  getWorkingRanges(workingDay).forEach(range => {
+    for (let start = range.start; start + duration <= range.end; start += SLOT_INTERVAL) {
+      const startTime = minutesToTime(start);
+      
+      if (this.getSlotConflict(date, startTime, duration, bookings, now)) {
+        continue;
+      }
+      
       slots.push({
-        startTime: currentTime.toTimeString().slice(0, 5),
-        endTime: slotEnd.toTimeString().slice(0, 5),
+        startTime,
+        endTime: minutesToTime(start + duration),
         isAvailable: true
       });
     }
-    
-    currentTime = slotEnd;
-  }
+  });
   
   return slots;
 };
@@ -57,6 +57,10 @@ const reviewSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  helpfulVoters: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   isVisible: {
     type: Boolean,
     default: true
@@ -72,7 +76,7 @@ reviewSchema.index({ customer: 1, createdAt: -1 });
 // Static method to calculate average rating for a provider
 reviewSchema.statics.calculateAverageRating = async function(providerId) {
   const result = await this.aggregate([
-    { $match: { provider: mongoose.Types.ObjectId(providerId), isVisible: true } },
+    { $match: { provider: new mongoose.Types.ObjectId(providerId), isVisible: true } },
     {
       $group: {
         _id: null,
@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+// Rotated-out refresh tokens remembered per session for reuse detection
+const PREVIOUS_TOKENS_KEPT = 20;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// One signed-in device. Access tokens carry the session's ID, so revoking it
+// signs the device out straight away. Its refresh token is rotated on every
+// use; presenting an already rotated one means the token was copied, and the
+// whole session is revoked.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  previousTokenHashes: [String],
+  userAgent: String,
+  ip: String,
+  lastUsedAt: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout-all', 'token-reuse', 'password-change', 'deactivated']
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ refreshTokenHash: 1 });
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Expired sessions are of no further use
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Refresh tokens are "<session id>.<random secret>"; only the hash is stored
+const buildRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(32).toString('hex')}`;
+
+const parseRefreshToken = (token) => {
+  const [sessionId, secret] = String(token || '').split('.');
+  return secret && mongoose.isValidObjectId(sessionId) ? sessionId : null;
+};
+
+// Method to check the session can still be used
+sessionSchema.methods.isActive = function(now = new Date()) {
+  return !this.revokedAt && this.expiresAt > now;
+};
+
+// Static method to start a session for a user. Resolves to the session and
+// its first refresh token.
+sessionSchema.statics.start = async function(userId, { userAgent, ip } = {}) {
+  const session = new this({
+    user: userId,
+    userAgent,
+    ip,
+    lastUsedAt: new Date(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  const refreshToken = buildRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return { session, refreshToken };
+};
+
+// Static method to swap a refresh token for a new one. Resolves to the
+// session and new token, or null if the token is not valid. A token that was
+// already rotated out revokes its session.
+sessionSchema.statics.rotate = async function(refreshToken) {
+  const sessionId = parseRefreshToken(refreshToken);
+  if (!sessionId) {
+    return null;
+  }
+
+  const now = new Date();
+  const tokenHash = hashToken(refreshToken);
+  const nextToken = buildRefreshToken(sessionId);
+
+  // Conditional on the current hash, so a token can only be rotated once
+  const session = await this.findOneAndUpdate(
+    {
+      _id: sessionId,
+      refreshTokenHash: tokenHash,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: now }
+    },
+    {
+      $set: { refreshTokenHash: hashToken(nextToken), lastUsedAt: now },
+      $push: { previousTokenHashes: { $each: [tokenHash], $slice: -PREVIOUS_TOKENS_KEPT } }
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return { session, refreshToken: nextToken };
+  }
+
+  const reused = await this.findOneAndUpdate(
+    { _id: sessionId, previousTokenHashes: tokenHash, revokedAt: { $exists: false } },
+    { $set: { revokedAt: now, revokedReason: 'token-reuse' } }
+  );
+
+  if (reused) {
+    console.warn(`Refresh token reuse detected; session ${sessionId} revoked`);
+  }
+
+  return null;
+};
+
+// Static method to revoke one session
+sessionSchema.statics.revoke = function(sessionId, reason) {
+  return this.updateOne(
+    { _id: sessionId, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+// Static method to revoke all of a user's sessions, optionally keeping one
+// (e.g. the device that changed the password)
+sessionSchema.statics.revokeAllForUser = function(userId, reason, { except } = {}) {
+  const query = { user: userId, revokedAt: { $exists: false } };
+  if (except) {
+    query._id = { $ne: except };
+  }
+
+  return this.updateMany(query, { $set: { revokedAt: new Date(), revokedReason: reason } });
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
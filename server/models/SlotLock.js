@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { toDateKey } = require('../utils/scheduling');
+
+// How long a lock is honoured before another request may take it over
+const LOCK_TTL = 30 * 1000; // 30 seconds
+const ACQUIRE_ATTEMPTS = 5;
+const RETRY_DELAY = 100; // ms
+
+// Short-lived lock on a provider's calendar day. Held while a booking is
+// checked for conflicts and written, so concurrent requests for the same
+// day are serialized by the unique index instead of racing each other.
+const slotLockSchema = new mongoose.Schema({
+  provider: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Provider',
+    required: true
+  },
+  date: {
+    type: String, // YYYY-MM-DD
+    required: true
+  },
+  owner: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+slotLockSchema.index({ provider: 1, date: 1 }, { unique: true });
+// Let MongoDB clean up locks left behind by crashed requests
+slotLockSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Static method to lock a provider's day; resolves to null if it stays held
+slotLockSchema.statics.acquire = async function(providerId, date) {
+  const dateKey = toDateKey(date);
+  const owner = crypto.randomUUID();
+
+  for (let attempt = 1; attempt <= ACQUIRE_ATTEMPTS; attempt++) {
+    const now = new Date();
+
+    try {
+      // Matches only a missing or expired lock; a live lock makes the
+      // upsert collide with the unique index
+      return await this.findOneAndUpdate(
+        { provider: providerId, date: dateKey, expiresAt: { $lte: now } },
+        { $set: { owner, expiresAt: new Date(now.getTime() + LOCK_TTL) } },
+        { upsert: true, new: true }
+      );
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+
+    if (attempt < ACQUIRE_ATTEMPTS) {
+      await sleep(RETRY_DELAY * attempt);
+    }
+  }
+
+  return null;
+};
+
+// Static method to release a lock if it is still owned by the caller
+slotLockSchema.statics.release = function(lock) {
+  return this.deleteOne({ _id: lock._id, owner: lock.owner });
+};
+
+module.exports = mongoose.model('SlotLock', slotLockSchema);
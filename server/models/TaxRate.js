@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// Sales tax charged on taxable services, looked up by the provider's address.
+// A rate without a state applies to the whole country.
+const taxRateSchema = new mongoose.Schema({
+  country: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  state: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: ''
+  },
+  name: {
+    type: String, // shown on receipts, e.g. "CA Sales Tax"
+    required: true,
+    trim: true
+  },
+  rate: {
+    type: Number, // percent
+    required: true,
+    min: 0,
+    max: 100
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+taxRateSchema.index({ country: 1, state: 1 }, { unique: true });
+
+// Static method to find the rate for an address, preferring a state rate
+// over the country-wide one. Resolves to null when no tax applies.
+taxRateSchema.statics.findForAddress = async function(address) {
+  if (!address || !address.country) {
+    return null;
+  }
+
+  const country = address.country.trim().toUpperCase();
+  const state = (address.state || '').trim().toUpperCase();
+
+  const rates = await this.find({
+    country,
+    state: { $in: state ? [state, ''] : [''] },
+    isActive: true
+  });
+
+  return rates.find(r => r.state === state) || rates.find(r => r.state === '') || null;
+};
+
+module.exports = mongoose.model('TaxRate', taxRateSchema);
@@ -1,5 +1,18 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { generateSecret, verifyTOTP, buildOtpauthURI, encryptSecret, decryptSecret } = require('../utils/totp');
+
+const OTP_TTL = 10 * 60 * 1000; // 10 minutes
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS) || 5;
+const OTP_LOCKOUT_MINUTES = parseInt(process.env.OTP_LOCKOUT_MINUTES) || 15;
+
+// Roles that must set up two-factor authentication, e.g. "admin,provider"
+const TWO_FACTOR_REQUIRED_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+  .split(',')
+  .map(role => role.trim())
+  .filter(Boolean);
+const RECOVERY_CODE_COUNT = 10;
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -56,10 +69,60 @@ const userSchema = new mongoose.Schema({
       sms: { type: Boolean, default: true }
     }
   },
+  // Only a keyed hash of the code is stored
   otp: {
-    code: String,
-    expiresAt: Date
+    codeHash: String,
+    expiresAt: Date,
+    attempts: {
+      type: Number,
+      default: 0
+    }
   },
+  otpLockedUntil: Date, // set after too many wrong codes
+  // TOTP two-factor authentication with an authenticator app
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: String, // encrypted
+    pendingSecret: String, // encrypted; set up but not yet confirmed with a code
+    enabledAt: Date,
+    lastUsedStep: Number, // so a code can't be used twice
+    failedAttempts: {
+      type: Number,
+      default: 0
+    },
+    recoveryCodes: [{
+      _id: false,
+      codeHash: String,
+      usedAt: Date
+    }]
+  },
+  // Where verification codes are sent unless the user picks otherwise
+  otpChannel: {
+    type: String,
+    enum: ['sms', 'email'],
+    default: 'sms'
+  },
+  stripeCustomerId: String, // created when a card is first saved
+  // Accounts at OpenID Connect providers the user can sign in with
+  identities: [{
+    _id: false,
+    provider: {
+      type: String,
+      required: true
+    },
+    subject: {
+      type: String, // the provider's ID for the user ("sub" claim)
+      required: true
+    },
+    email: String,
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   lastLogin: Date,
   isActive: {
     type: Boolean,
@@ -69,6 +132,11 @@ const userSchema = new mongoose.Schema({
   timestamps: true
 });
 
+userSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -87,27 +155,227 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
-// Generate OTP
+// Codes are hashed with a server-side key: six digits are too few to
+// survive a brute-force search of a plain hash
+const hashCode = (userId, code) => {
+  return crypto
+    .createHmac('sha256', process.env.OTP_SECRET || process.env.JWT_SECRET)
+    .update(`${userId}:${code}`)
+    .digest('hex');
+};
+
+// Generate OTP (does not save). Returns the plain code to send to the user.
 userSchema.methods.generateOTP = function() {
-  const otp = Math.floor(100000 + Math.random() * 900000).toString();
+  const otp = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
   this.otp = {
-    code: otp,
-    expiresAt: new Date(Date.now() + 10 * 60 * 1000) // 10 minutes
+    codeHash: hashCode(this._id, otp),
+    expiresAt: new Date(Date.now() + OTP_TTL),
+    attempts: 0
   };
   return otp;
 };
 
-// Verify OTP
-userSchema.methods.verifyOTP = function(otp) {
-  if (!this.otp || !this.otp.code || !this.otp.expiresAt) {
-    return false;
+// Seconds until the user may try codes again after a lockout, or 0
+userSchema.methods.getOTPLockoutSeconds = function(now = new Date()) {
+  if (!this.otpLockedUntil || this.otpLockedUntil <= now) {
+    return 0;
   }
-  
-  if (new Date() > this.otp.expiresAt) {
-    return false;
+  return Math.ceil((this.otpLockedUntil - now) / 1000);
+};
+
+// Verify OTP. Each try is counted atomically, so parallel guesses can't get
+// past the limit; reaching it discards the code and locks the user out for
+// a while. A correct code is cleared (the caller saves). Resolves to
+// { valid, message }.
+userSchema.methods.verifyOTP = async function(otp) {
+  const now = new Date();
+  const invalid = { valid: false, message: 'Invalid or expired OTP' };
+
+  if (this.getOTPLockoutSeconds(now)) {
+    return { valid: false, message: `Too many failed attempts. Try again in ${OTP_LOCKOUT_MINUTES} minutes.` };
   }
-  
-  return this.otp.code === otp;
+
+  if (!this.otp || !this.otp.codeHash || !this.otp.expiresAt || now > this.otp.expiresAt) {
+    return invalid;
+  }
+
+  const attempt = await this.constructor.findOneAndUpdate(
+    { _id: this._id, 'otp.codeHash': this.otp.codeHash, 'otp.attempts': { $lt: OTP_MAX_ATTEMPTS } },
+    { $inc: { 'otp.attempts': 1 } },
+    { new: true }
+  );
+
+  if (!attempt) {
+    return invalid;
+  }
+
+  const expected = Buffer.from(this.otp.codeHash, 'hex');
+  const actual = Buffer.from(hashCode(this._id, String(otp)), 'hex');
+
+  if (crypto.timingSafeEqual(expected, actual)) {
+    this.otp = undefined;
+    return { valid: true };
+  }
+
+  const attemptsRemaining = OTP_MAX_ATTEMPTS - attempt.otp.attempts;
+  if (attemptsRemaining > 0) {
+    return { valid: false, message: `Invalid OTP. ${attemptsRemaining} attempt(s) remaining.` };
+  }
+
+  this.otpLockedUntil = new Date(now.getTime() + OTP_LOCKOUT_MINUTES * 60 * 1000);
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { otpLockedUntil: this.otpLockedUntil }, $unset: { otp: '' } }
+  );
+  this.otp = undefined;
+
+  return { valid: false, message: `Too many failed attempts. Try again in ${OTP_LOCKOUT_MINUTES} minutes.` };
+};
+
+// Static method to find the user linked to a provider account
+userSchema.statics.findByIdentity = function(provider, subject) {
+  return this.findOne({ identities: { $elemMatch: { provider, subject } } });
+};
+
+// Link a provider account to the user (does not save)
+userSchema.methods.linkIdentity = function({ provider, subject, email }) {
+  const linked = this.identities.some(i => i.provider === provider && i.subject === subject);
+  if (!linked) {
+    this.identities.push({ provider, subject, email });
+  }
+};
+
+// Whether the user's role must use two-factor authentication
+userSchema.methods.isTwoFactorRequired = function() {
+  return TWO_FACTOR_REQUIRED_ROLES.includes(this.role);
+};
+
+// Start two-factor setup with a new secret (does not save). It takes effect
+// once confirmed with enableTwoFactor.
+userSchema.methods.startTwoFactorSetup = function() {
+  const secret = generateSecret();
+  this.twoFactor.pendingSecret = encryptSecret(secret);
+
+  return {
+    secret,
+    otpauthUri: buildOtpauthURI(secret, this.email)
+  };
+};
+
+// Replace the user's recovery codes (does not save). Returns the new codes,
+// which are only shown this once.
+userSchema.methods.generateRecoveryCodes = function() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  this.twoFactor.recoveryCodes = codes.map(code => ({ codeHash: hashCode(this._id, code) }));
+  return codes;
+};
+
+// Confirm two-factor setup with a code from the app (does not save).
+// Returns the recovery codes, or null if the code is wrong.
+userSchema.methods.enableTwoFactor = function(code) {
+  if (!this.twoFactor.pendingSecret) {
+    return null;
+  }
+
+  const step = verifyTOTP(decryptSecret(this.twoFactor.pendingSecret), code);
+  if (step === null) {
+    return null;
+  }
+
+  this.twoFactor.secret = this.twoFactor.pendingSecret;
+  this.twoFactor.pendingSecret = undefined;
+  this.twoFactor.enabled = true;
+  this.twoFactor.enabledAt = new Date();
+  this.twoFactor.lastUsedStep = step;
+  this.twoFactor.failedAttempts = 0;
+
+  return this.generateRecoveryCodes();
+};
+
+// Turn two-factor authentication off (does not save)
+userSchema.methods.disableTwoFactor = function() {
+  this.twoFactor = { enabled: false };
+};
+
+// Check a code from the authenticator app or an unused recovery code. Tries
+// are counted like OTP tries and share their lockout. Each app code and
+// recovery code works once. Resolves to { valid, message, usedRecoveryCode }.
+userSchema.methods.verifyTwoFactor = async function(code) {
+  const now = new Date();
+  const User = this.constructor;
+  const locked = { valid: false, message: `Too many failed attempts. Try again in ${OTP_LOCKOUT_MINUTES} minutes.` };
+
+  if (!this.twoFactor?.enabled) {
+    return { valid: false, message: 'Two-factor authentication is not enabled' };
+  }
+
+  if (this.getOTPLockoutSeconds(now)) {
+    return locked;
+  }
+
+  const attempt = await User.findOneAndUpdate(
+    { _id: this._id, 'twoFactor.failedAttempts': { $lt: OTP_MAX_ATTEMPTS } },
+    { $inc: { 'twoFactor.failedAttempts': 1 } },
+    { new: true }
+  );
+  if (!attempt) {
+    return locked;
+  }
+
+  const value = String(code || '').trim().toLowerCase();
+  let accepted = null;
+
+  if (/^[0-9a-f]{5}-[0-9a-f]{5}$/.test(value)) {
+    // Recovery code: mark it used in the same update that accepts it
+    accepted = await User.findOneAndUpdate(
+      {
+        _id: this._id,
+        'twoFactor.recoveryCodes': { $elemMatch: { codeHash: hashCode(this._id, value), usedAt: { $exists: false } } }
+      },
+      { $set: { 'twoFactor.recoveryCodes.$.usedAt': now, 'twoFactor.failedAttempts': 0 } },
+      { new: true }
+    );
+  } else {
+    const step = verifyTOTP(decryptSecret(this.twoFactor.secret), value);
+    if (step !== null) {
+      accepted = await User.findOneAndUpdate(
+        {
+          _id: this._id,
+          $or: [
+            { 'twoFactor.lastUsedStep': { $exists: false } },
+            { 'twoFactor.lastUsedStep': { $lt: step } }
+          ]
+        },
+        { $set: { 'twoFactor.lastUsedStep': step, 'twoFactor.failedAttempts': 0 } },
+        { new: true }
+      );
+    }
+  }
+
+  if (accepted) {
+    this.twoFactor = accepted.twoFactor;
+    return {
+      valid: true,
+      usedRecoveryCode: value.includes('-')
+    };
+  }
+
+  const attemptsRemaining = OTP_MAX_ATTEMPTS - attempt.twoFactor.failedAttempts;
+  if (attemptsRemaining > 0) {
+    return { valid: false, message: `Invalid code. ${attemptsRemaining} attempt(s) remaining.` };
+  }
+
+  this.otpLockedUntil = new Date(now.getTime() + OTP_LOCKOUT_MINUTES * 60 * 1000);
+  await User.updateOne(
+    { _id: this._id },
+    { $set: { otpLockedUntil: this.otpLockedUntil, 'twoFactor.failedAttempts': 0 } }
+  );
+
+  return locked;
 };
 
 // Remove sensitive data from JSON output
@@ -115,6 +383,11 @@ userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
   delete user.otp;
+  delete user.otpLockedUntil;
+  user.twoFactor = {
+    enabled: Boolean(user.twoFactor?.enabled),
+    enabledAt: user.twoFactor?.enabledAt
+  };
   return user;
 };
 
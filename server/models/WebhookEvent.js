@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+// A processing attempt older than this is assumed to have crashed
+const PROCESSING_TIMEOUT = 5 * 60 * 1000; // 5 minutes
+
+// Stripe webhook events that have been received, used to skip retries of
+// events already handled and to detect events delivered out of order
+const webhookEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  // ID of the Stripe object the event describes (PaymentIntent, refund, ...)
+  objectId: String,
+  // When Stripe created the event, for ordering events about the same object
+  eventCreatedAt: Date,
+  status: {
+    type: String,
+    enum: ['processing', 'processed', 'skipped', 'failed'],
+    default: 'processing'
+  },
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  lockedAt: Date,
+  processedAt: Date,
+  error: String
+}, {
+  timestamps: true
+});
+
+webhookEventSchema.index({ objectId: 1, eventCreatedAt: -1 });
+// Stripe stops retrying after 3 days; keep a month of history
+webhookEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+// Static method to claim an event for processing. Resolves to 'claimed',
+// 'duplicate' (already handled) or 'in-progress' (another request has it).
+webhookEventSchema.statics.claim = async function(event) {
+  const now = new Date();
+
+  try {
+    await this.create({
+      eventId: event.id,
+      type: event.type,
+      objectId: event.data.object.id,
+      eventCreatedAt: new Date(event.created * 1000),
+      lockedAt: now
+    });
+    return 'claimed';
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  // Seen before: take it over if the last attempt failed or stalled
+  const retaken = await this.findOneAndUpdate(
+    {
+      eventId: event.id,
+      $or: [
+        { status: 'failed' },
+        { status: 'processing', lockedAt: { $lt: new Date(now.getTime() - PROCESSING_TIMEOUT) } }
+      ]
+    },
+    { $set: { status: 'processing', lockedAt: now }, $inc: { attempts: 1 } }
+  );
+
+  if (retaken) {
+    return 'claimed';
+  }
+
+  const existing = await this.findOne({ eventId: event.id }).select('status');
+  return existing && existing.status === 'processing' ? 'in-progress' : 'duplicate';
+};
+
+// Static method to check whether a newer event about the same object has
+// already been applied, making this one stale
+webhookEventSchema.statics.isSuperseded = async function(event) {
+  const newer = await this.exists({
+    objectId: event.data.object.id,
+    eventId: { $ne: event.id },
+    status: 'processed',
+    eventCreatedAt: { $gt: new Date(event.created * 1000) }
+  });
+
+  return Boolean(newer);
+};
+
+// Static method to record how processing an event ended
+webhookEventSchema.statics.finish = function(eventId, status, error) {
+  return this.updateOne(
+    { eventId },
+    { $set: { status, processedAt: new Date(), error: error ? error.message : undefined } }
+  );
+};
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// Used when a provider has not set their own policy
+const DEFAULT_REFUND_TIERS = [
+  { hoursBefore: 24, refundPercent: 100 },
+  { hoursBefore: 2, refundPercent: 50 }
+];
+
+const refundTierSchema = new mongoose.Schema({
+  hoursBefore: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  refundPercent: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  }
+}, { _id: false });
+
+// A provider's cancellation terms. Set on Provider and copied onto each
+// Booking at creation, so later edits don't change existing bookings.
+const cancellationPolicySchema = new mongoose.Schema({
+  cancelCutoffHours: {
+    type: Number,
+    default: 2, // bookings can be cancelled until this many hours before
+    min: 0
+  },
+  rescheduleCutoffHours: {
+    type: Number,
+    default: 4, // bookings can be rescheduled until this many hours before
+    min: 0
+  },
+  refundTiers: {
+    type: [refundTierSchema],
+    default: () => DEFAULT_REFUND_TIERS.map(tier => ({ ...tier }))
+  },
+  noShowFeePercent: {
+    type: Number,
+    default: 100, // share of the price kept when the customer doesn't show up
+    min: 0,
+    max: 100
+  }
+}, { _id: false });
+
+// Refund percentage for a cancellation made hoursUntilAppointment ahead:
+// the tier with the largest hoursBefore that the cancellation beats
+const getRefundPercent = (refundTiers, hoursUntilAppointment) => {
+  const tier = [...refundTiers]
+    .sort((a, b) => b.hoursBefore - a.hoursBefore)
+    .find(t => hoursUntilAppointment > t.hoursBefore);
+
+  return tier ? tier.refundPercent : 0;
+};
+
+module.exports = {
+  cancellationPolicySchema,
+  getRefundPercent
+};
@@ -1,8 +1,19 @@
 const express = require('express');
+const { body, validationResult } = require('express-validator');
 const { auth, requireRole } = require('../middleware/auth');
 const User = require('../models/User');
 const Provider = require('../models/Provider');
 const Booking = require('../models/Booking');
+const LedgerEntry = require('../models/LedgerEntry');
+const TaxRate = require('../models/TaxRate');
+const Session = require('../models/Session');
+const { fromMinorUnits } = require('../utils/currency');
+const stripe = require('../utils/stripe');
+const {
+  OPEN_DISPUTE_STATUSES,
+  CLOSED_DISPUTE_STATUSES,
+  buildDisputeEvidence
+} = require('../utils/disputes');
 
 const router = express.Router();
 
@@ -75,6 +86,10 @@ router.put('/users/:id/status', async (req, res) => {
     user.isActive = isActive;
     await user.save();
 
+    if (!user.isActive) {
+      await Session.revokeAllForUser(user._id, 'deactivated');
+    }
+
     res.json({ 
       message: `User ${isActive ? 'activated' : 'deactivated'} successfully`,
       user: {
@@ -147,6 +162,17 @@ router.get('/dashboard/stats', async (req, res) => {
       createdAt: { $gte: sevenDaysAgo }
     });
 
+    // Revenue from the ledger, per currency (amounts are in the smallest
+    // currency unit)
+    const ledger = await LedgerEntry.summarize();
+    const revenue = {};
+    Object.entries(ledger).forEach(([currency, totals]) => {
+      revenue[currency] = {};
+      Object.entries(totals).forEach(([key, amount]) => {
+        revenue[currency][key] = fromMinorUnits(amount, currency);
+      });
+    });
+
     res.json({
       stats: {
         totalUsers,
@@ -155,7 +181,8 @@ router.get('/dashboard/stats', async (req, res) => {
         verifiedUsers,
         activeProviders,
         recentUsers,
-        recentBookings
+        recentBookings,
+        revenue
       }
     });
   } catch (error) {
@@ -164,4 +191,181 @@ router.get('/dashboard/stats', async (req, res) => {
   }
 });
 
+// @route   GET /api/admin/tax-rates
+// @desc    Get configured tax rates
+// @access  Private (Admin only)
+router.get('/tax-rates', async (req, res) => {
+  try {
+    const taxRates = await TaxRate.find().sort({ country: 1, state: 1 });
+
+    res.json({ taxRates });
+  } catch (error) {
+    console.error('Get tax rates error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/admin/tax-rates
+// @desc    Create or update the tax rate for a country or state
+// @access  Private (Admin only)
+router.put('/tax-rates', [
+  body('country').trim().isLength({ min: 2 }),
+  body('state').optional().trim(),
+  body('name').trim().notEmpty(),
+  body('rate').isFloat({ min: 0, max: 100 }),
+  body('isActive').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { country, state = '', name, rate, isActive = true } = req.body;
+
+    const taxRate = await TaxRate.findOneAndUpdate(
+      { country: country.toUpperCase(), state: state.toUpperCase() },
+      { $set: { name, rate, isActive } },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    res.json({
+      message: 'Tax rate saved successfully',
+      taxRate
+    });
+  } catch (error) {
+    console.error('Save tax rate error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/admin/tax-rates/:id
+// @desc    Delete a tax rate. Existing bookings keep the tax they were charged.
+// @access  Private (Admin only)
+router.delete('/tax-rates/:id', async (req, res) => {
+  try {
+    const taxRate = await TaxRate.findByIdAndDelete(req.params.id);
+    if (!taxRate) {
+      return res.status(404).json({ message: 'Tax rate not found' });
+    }
+
+    res.json({ message: 'Tax rate deleted successfully' });
+  } catch (error) {
+    console.error('Delete tax rate error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/admin/disputes
+// @desc    Get disputed bookings, optionally only open or closed ones
+// @access  Private (Admin only)
+router.get('/disputes', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const query = { 'dispute.stripeDisputeId': { $exists: true } };
+    if (req.query.status === 'open') {
+      query['dispute.status'] = { $nin: CLOSED_DISPUTE_STATUSES };
+    } else if (req.query.status === 'closed') {
+      query['dispute.status'] = { $in: CLOSED_DISPUTE_STATUSES };
+    }
+
+    const bookings = await Booking.find(query)
+      .populate('customer', 'firstName lastName email')
+      .populate('provider', 'businessName')
+      .sort({ 'dispute.openedAt': -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Booking.countDocuments(query);
+
+    res.json({
+      bookings,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Get disputes error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/admin/disputes/:bookingId
+// @desc    Get a disputed booking with evidence drafted from its records
+// @access  Private (Admin only)
+router.get('/disputes/:bookingId', async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.bookingId)
+      .populate('customer', 'firstName lastName email phone')
+      .populate('provider', 'businessName');
+
+    if (!booking || !booking.dispute.stripeDisputeId) {
+      return res.status(404).json({ message: 'Dispute not found' });
+    }
+
+    res.json({
+      booking,
+      evidence: buildDisputeEvidence(booking)
+    });
+  } catch (error) {
+    console.error('Get dispute error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/admin/disputes/:bookingId/evidence
+// @desc    Submit dispute evidence to Stripe. Drafted evidence is used for
+//          any field not given in the body; submit: false only saves a draft.
+// @access  Private (Admin only)
+router.post('/disputes/:bookingId/evidence', [
+  body('evidence').optional().isObject(),
+  body('submit').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { evidence = {}, submit = true } = req.body;
+
+    const booking = await Booking.findById(req.params.bookingId)
+      .populate('customer', 'firstName lastName email phone')
+      .populate('provider', 'businessName');
+
+    if (!booking || !booking.dispute.stripeDisputeId) {
+      return res.status(404).json({ message: 'Dispute not found' });
+    }
+
+    if (!OPEN_DISPUTE_STATUSES.includes(booking.dispute.status)) {
+      return res.status(400).json({ message: 'Dispute is no longer accepting evidence' });
+    }
+
+    const dispute = await stripe.disputes.update(booking.dispute.stripeDisputeId, {
+      evidence: { ...buildDisputeEvidence(booking), ...evidence },
+      submit
+    });
+
+    booking.dispute.status = dispute.status;
+    if (submit) {
+      booking.dispute.evidenceSubmittedAt = new Date();
+      booking.dispute.evidenceSubmittedBy = req.user._id;
+    }
+    await booking.save();
+
+    res.json({
+      message: submit ? 'Evidence submitted successfully' : 'Evidence saved',
+      dispute: booking.dispute
+    });
+  } catch (error) {
+    console.error('Submit dispute evidence error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
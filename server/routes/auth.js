@@ -1,16 +1,20 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const { auth } = require('../middleware/auth');
-const { sendOTP, sendEmail } = require('../utils/notifications');
+const { describeDestination, sendVerificationCode } = require('../utils/verification');
+const { signIn, refreshTokens } = require('../utils/tokens');
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
+const OTP_CHANNELS = ['sms', 'email'];
+
+const sendTooManyCodes = (res, retryAfter) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    message: `Too many verification codes requested. Please try again in ${Math.ceil(retryAfter / 60)} minute(s).`,
+    retryAfter
   });
 };
 
@@ -23,7 +27,8 @@ router.post('/register', [
   body('firstName').trim().isLength({ min: 2 }).withMessage('First name must be at least 2 characters'),
   body('lastName').trim().isLength({ min: 2 }).withMessage('Last name must be at least 2 characters'),
   body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
-  body('role').optional().isIn(['customer', 'provider'])
+  body('role').optional().isIn(['customer', 'provider']),
+  body('otpChannel').optional().isIn(OTP_CHANNELS)
 ], async (req, res) => {
   try {
     console.log('📝 Registration request body:', req.body);
@@ -34,7 +39,7 @@ router.post('/register', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { email, phone, firstName, lastName, password, role = 'customer' } = req.body;
+    const { email, phone, firstName, lastName, password, role = 'customer', otpChannel = 'sms' } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({
@@ -59,11 +64,10 @@ router.post('/register', [
       firstName,
       lastName,
       password,
-      role
+      role,
+      otpChannel
     });
 
-    // Generate OTP
-    const otp = user.generateOTP();
     await user.save();
 
     console.log('✅ User registered successfully:', { 
@@ -71,21 +75,22 @@ router.post('/register', [
       email: user.email, 
       phone: user.phone 
     });
-    console.log('📱 OTP for', phone, ':', otp);
 
-    // Send OTP via SMS (in production)
+    // Send OTP over the chosen channel
     try {
-      await sendOTP(phone, otp);
-      console.log('📱 OTP sent successfully to', phone);
+      const retryAfter = await sendVerificationCode(user, otpChannel);
+      if (retryAfter) {
+        console.log(`⚠️ OTP not sent, too many recent codes for ${otpChannel === 'email' ? user.email : phone}`);
+      }
     } catch (error) {
       console.log('⚠️ OTP sending failed, but user created:', error.message);
-      // Don't fail registration if SMS fails
+      // Don't fail registration if delivery fails; the code can be resent
     }
 
     res.status(201).json({
-      message: 'User registered successfully. Please verify your phone number.',
+      message: `User registered successfully. Please verify your ${describeDestination(otpChannel)}.`,
       userId: user._id,
-      otp: otp // For testing purposes - remove in production
+      otpChannel
     });
   } catch (error) {
     console.error('Registration error:', error);
@@ -97,7 +102,7 @@ router.post('/register', [
 // @desc    Verify OTP and activate account
 // @access  Public
 router.post('/verify-otp', [
-  body('userId').notEmpty(),
+  body('userId').isMongoId(),
   body('otp').isLength({ min: 6, max: 6 })
 ], async (req, res) => {
   try {
@@ -108,39 +113,71 @@ router.post('/verify-otp', [
 
     const { userId, otp } = req.body;
 
-    // Mock OTP verification for testing
-    console.log('🔐 Mock OTP verification:', { userId, otp });
-    
-    if (otp === '123456') {
-      const token = generateToken(userId);
-      
-      res.json({
-        message: 'Account verified successfully',
-        token,
-        user: {
-          id: userId,
-          email: 'john@example.com',
-          firstName: 'John',
-          lastName: 'Doe',
-          role: 'customer',
-          isVerified: true
-        }
-      });
-    } else {
-      res.status(400).json({ message: 'Invalid or expired OTP' });
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid or expired OTP' });
+    }
+
+    const result = await user.verifyOTP(otp);
+    if (!result.valid) {
+      return res.status(400).json({ message: result.message });
     }
+
+    user.isVerified = true;
+    await user.save();
+
+    // Accounts with two-factor authentication still need their second factor
+    res.json({
+      message: 'Account verified successfully',
+      ...await signIn(user, req)
+    });
   } catch (error) {
     console.error('OTP verification error:', error);
     res.status(500).json({ message: 'Server error during verification' });
   }
 });
 
+// @route   POST /api/auth/resend-otp
+// @desc    Send a new verification code, optionally over the other channel
+// @access  Public
+router.post('/resend-otp', [
+  body('userId').isMongoId(),
+  body('otpChannel').optional().isIn(OTP_CHANNELS)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.body.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const channel = req.body.otpChannel || user.otpChannel;
+    const retryAfter = await sendVerificationCode(user, channel);
+    if (retryAfter) {
+      return sendTooManyCodes(res, retryAfter);
+    }
+
+    res.json({
+      message: `OTP sent to your ${describeDestination(channel)}`,
+      otpChannel: channel
+    });
+  } catch (error) {
+    console.error('Resend OTP error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   POST /api/auth/login
 // @desc    Login user with email/phone and password
 // @access  Public
 router.post('/login', [
   body('identifier').notEmpty(),
-  body('password').notEmpty()
+  body('password').notEmpty(),
+  body('otpChannel').optional().isIn(OTP_CHANNELS)
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -148,7 +185,7 @@ router.post('/login', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { identifier, password } = req.body;
+    const { identifier, password, otpChannel } = req.body;
 
     // Find user by email or phone
     const user = await User.findOne({
@@ -162,32 +199,36 @@ router.post('/login', [
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
-    if (!user.isVerified) {
-      return res.status(401).json({ message: 'Please verify your account first' });
-    }
-
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
-    user.lastLogin = new Date();
-    await user.save();
+    // Unverified accounts get a fresh code, e.g. over email if SMS never arrived
+    if (!user.isVerified) {
+      const channel = otpChannel || user.otpChannel;
+      const retryAfter = await sendVerificationCode(user, channel);
+
+      return res.status(403).json({
+        message: retryAfter
+          ? `Please verify your account first. A new code can be requested in ${Math.ceil(retryAfter / 60)} minute(s).`
+          : `Please verify your account first. We sent a code to your ${describeDestination(channel)}.`,
+        requiresVerification: true,
+        userId: user._id,
+        otpChannel: channel
+      });
+    }
 
-    const token = generateToken(user._id);
+    const result = await signIn(user, req);
 
-    res.json({
-      message: 'Login successful',
-      token,
-      user: {
-        id: user._id,
-        email: user.email,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        role: user.role,
-        isVerified: user.isVerified
-      }
-    });
+    let message = 'Login successful';
+    if (result.requiresTwoFactor) {
+      message = 'Enter the code from your authenticator app';
+    } else if (result.twoFactorSetupRequired) {
+      message = 'Two-factor authentication must be set up for this account';
+    }
+
+    res.json({ message, ...result });
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({ message: 'Server error during login' });
@@ -198,7 +239,8 @@ router.post('/login', [
 // @desc    Send OTP for password reset
 // @access  Public
 router.post('/forgot-password', [
-  body('identifier').notEmpty()
+  body('identifier').notEmpty(),
+  body('otpChannel').optional().isIn(OTP_CHANNELS)
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -206,7 +248,7 @@ router.post('/forgot-password', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { identifier } = req.body;
+    const { identifier, otpChannel } = req.body;
 
     const user = await User.findOne({
       $or: [
@@ -219,15 +261,16 @@ router.post('/forgot-password', [
       return res.status(404).json({ message: 'User not found' });
     }
 
-    const otp = user.generateOTP();
-    await user.save();
-
-    // Send OTP via SMS
-    await sendOTP(user.phone, otp);
+    const channel = otpChannel || user.otpChannel;
+    const retryAfter = await sendVerificationCode(user, channel);
+    if (retryAfter) {
+      return sendTooManyCodes(res, retryAfter);
+    }
 
     res.json({
-      message: 'OTP sent successfully',
-      userId: user._id
+      message: `OTP sent to your ${describeDestination(channel)}`,
+      userId: user._id,
+      otpChannel: channel
     });
   } catch (error) {
     console.error('Forgot password error:', error);
@@ -256,14 +299,17 @@ router.post('/reset-password', [
       return res.status(404).json({ message: 'User not found' });
     }
 
-    if (!user.verifyOTP(otp)) {
-      return res.status(400).json({ message: 'Invalid or expired OTP' });
+    const result = await user.verifyOTP(otp);
+    if (!result.valid) {
+      return res.status(400).json({ message: result.message });
     }
 
     user.password = newPassword;
-    user.otp = undefined;
     await user.save();
 
+    // Whoever knew the old password is signed out everywhere
+    await Session.revokeAllForUser(user._id, 'password-change');
+
     res.json({ message: 'Password reset successfully' });
   } catch (error) {
     console.error('Reset password error:', error);
@@ -286,7 +332,8 @@ router.get('/me', auth, async (req, res) => {
         role: req.user.role,
         isVerified: req.user.isVerified,
         profileImage: req.user.profileImage,
-        lastLogin: req.user.lastLogin
+        lastLogin: req.user.lastLogin,
+        twoFactorEnabled: Boolean(req.user.twoFactor?.enabled)
       }
     });
   } catch (error) {
@@ -295,12 +342,68 @@ router.get('/me', auth, async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for new access and refresh tokens
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken').notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const tokens = await refreshTokens(req.body.refreshToken);
+    if (!tokens) {
+      return res.status(401).json({ message: 'Invalid or expired refresh token' });
+    }
+
+    const user = await User.findById(tokens.session.user);
+    if (!user || !user.isActive) {
+      await Session.revoke(tokens.session._id, 'deactivated');
+      return res.status(401).json({ message: 'Account is deactivated' });
+    }
+
+    res.json({
+      token: tokens.token,
+      refreshToken: tokens.refreshToken
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   POST /api/auth/logout
-// @desc    Logout user (client-side token removal)
+// @desc    Logout user by revoking the current session
 // @access  Private
-router.post('/logout', auth, (req, res) => {
-  res.json({ message: 'Logout successful' });
+router.post('/logout', auth, async (req, res) => {
+  try {
+    await Session.revoke(req.sessionId, 'logout');
+
+    res.json({ message: 'Logout successful' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
 });
 
-module.exports = router;
+// @route   POST /api/auth/logout-all
+// @desc    Logout user on all devices
+// @access  Private
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user._id, 'logout-all');
 
+    res.json({
+      message: 'Logged out of all devices',
+      sessionsRevoked: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,20 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const { auth, requireProvider } = require('../middleware/auth');
+const { auth, requireProvider, loadProvider } = require('../middleware/auth');
 const Booking = require('../models/Booking');
 const Provider = require('../models/Provider');
 const User = require('../models/User');
+const SlotLock = require('../models/SlotLock');
+const Coupon = require('../models/Coupon');
+const PackagePurchase = require('../models/PackagePurchase');
+const { BOOKING_HOLD_MINUTES, timeToMinutes, minutesToTime } = require('../utils/scheduling');
+const { DEFAULT_CURRENCY } = require('../utils/currency');
+const { refundBooking, cancelBooking } = require('../utils/refunds');
+const {
+  calculateBookingPrice,
+  buildBookingPayment,
+  settleBalance
+} = require('../utils/payments');
 const { sendBookingConfirmation, sendBookingReminder } = require('../utils/notifications');
 
 const router = express.Router();
@@ -17,7 +28,9 @@ router.post('/', [
   body('serviceName').trim().notEmpty(),
   body('appointmentDate').isISO8601(),
   body('startTime').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/),
-  body('notes').optional().isLength({ max: 500 })
+  body('notes').optional().isLength({ max: 500 }),
+  body('couponCode').optional().trim().notEmpty(),
+  body('packagePurchaseId').optional().isMongoId()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -25,7 +38,11 @@ router.post('/', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { providerId, serviceName, appointmentDate, startTime, notes } = req.body;
+    const { providerId, serviceName, appointmentDate, startTime, notes, couponCode, packagePurchaseId } = req.body;
+
+    if (couponCode && packagePurchaseId) {
+      return res.status(400).json({ message: 'Coupons cannot be used with package credits' });
+    }
 
     // Get provider and validate service
     const provider = await Provider.findById(providerId);
@@ -38,51 +55,142 @@ router.post('/', [
       return res.status(400).json({ message: 'Service not found or inactive' });
     }
 
-    // Calculate end time
-    const startTimeDate = new Date(`2000-01-01T${startTime}`);
-    const endTimeDate = new Date(startTimeDate.getTime() + service.duration * 60000);
-    const endTime = endTimeDate.toTimeString().slice(0, 5);
+    // Apply the coupon, if any, to the service price
+    let coupon;
+    let discountAmount = 0;
+    if (couponCode) {
+      coupon = await Coupon.findByCode(couponCode);
+      if (!coupon) {
+        return res.status(400).json({ message: 'Invalid coupon code' });
+      }
 
-    // Check if provider is available at the requested time
-    const appointmentDateTime = new Date(appointmentDate);
-    if (!provider.isAvailableAt(appointmentDateTime, startTime)) {
-      return res.status(400).json({ message: 'Provider is not available at the requested time' });
+      const ineligible = await coupon.getIneligibilityReason({
+        provider,
+        serviceName: service.name,
+        currency: service.currency || DEFAULT_CURRENCY,
+        customerId: req.user._id
+      });
+      if (ineligible) {
+        return res.status(400).json({ message: ineligible });
+      }
+
+      discountAmount = coupon.calculateDiscount(service.price, service.currency || DEFAULT_CURRENCY);
     }
+    // A package credit covers the whole session, so there is nothing to price
+    const { subtotal, tax, total } = packagePurchaseId
+      ? { subtotal: 0, tax: undefined, total: 0 }
+      : await calculateBookingPrice(provider, service, discountAmount);
 
-    // Check for existing bookings at the same time
-    const existingBooking = await Booking.findOne({
-      provider: providerId,
-      appointmentDate: appointmentDateTime,
-      startTime,
-      status: { $in: ['confirmed', 'pending'] }
-    });
+    // Normalize times to HH:MM and calculate end time
+    const startMinutes = timeToMinutes(startTime);
+    const normalizedStartTime = minutesToTime(startMinutes);
+    const endTime = minutesToTime(startMinutes + service.duration);
 
-    if (existingBooking) {
-      return res.status(400).json({ message: 'Time slot is already booked' });
+    const appointmentDateTime = new Date(appointmentDate);
+
+    // Serialize bookings for this provider's day so concurrent requests
+    // cannot both pass the overlap check
+    const lock = await SlotLock.acquire(providerId, appointmentDateTime);
+    if (!lock) {
+      return res.status(409).json({ message: 'This time slot is being booked by someone else. Please try again.' });
     }
 
-    // Create booking
-    const booking = new Booking({
-      customer: req.user._id,
-      provider: providerId,
-      service: {
-        name: service.name,
-        description: service.description,
-        duration: service.duration,
-        price: service.price
-      },
-      appointmentDate: appointmentDateTime,
-      startTime,
-      endTime,
-      notes,
-      payment: {
-        amount: service.price,
-        currency: 'usd',
-        status: 'pending'
+    let booking;
+    try {
+      // Check working hours, booking rules and existing bookings
+      const dayBookings = await Booking.findActiveOnDate({
+        provider: providerId,
+        appointmentDate: appointmentDateTime
+      });
+
+      const conflict = provider.getSlotConflict(
+        appointmentDateTime, normalizedStartTime, service.duration, dayBookings
+      );
+
+      if (conflict) {
+        return res.status(400).json({ message: conflict });
+      }
+
+      // Create booking
+      booking = new Booking({
+        customer: req.user._id,
+        provider: providerId,
+        service: {
+          name: service.name,
+          description: service.description,
+          duration: service.duration,
+          price: service.price
+        },
+        appointmentDate: appointmentDateTime,
+        startTime: normalizedStartTime,
+        endTime,
+        timezone: provider.timezone,
+        policy: provider.cancellationPolicy.toObject(),
+        notes,
+        payment: {
+          ...buildBookingPayment(service, total),
+          subtotal,
+          tax,
+          currency: service.currency || DEFAULT_CURRENCY,
+          status: 'pending',
+          holdExpiresAt: new Date(Date.now() + BOOKING_HOLD_MINUTES * 60 * 1000)
+        }
+      });
+
+      if (coupon) {
+        const { redemption, reason } = await coupon.redeem({
+          booking,
+          customerId: req.user._id,
+          discountAmount
+        });
+        if (!redemption) {
+          return res.status(400).json({ message: reason });
+        }
+
+        booking.payment.discount = {
+          coupon: coupon._id,
+          code: coupon.code,
+          amount: discountAmount
+        };
+      }
+
+      if (packagePurchaseId) {
+        const purchase = await PackagePurchase.redeemCredit({
+          purchaseId: packagePurchaseId,
+          customer: req.user._id,
+          provider: provider._id,
+          serviceName: service.name
+        });
+        if (!purchase) {
+          return res.status(400).json({ message: 'No package credits available for this service' });
+        }
+
+        booking.payment.method = 'package';
+        booking.payment.packagePurchase = purchase._id;
+      }
+
+      // Nothing to pay when the discount or a package credit covers the whole price
+      if (total === 0) {
+        booking.status = 'confirmed';
+        booking.payment.status = 'succeeded';
+        booking.payment.paidAt = new Date();
+        booking.payment.holdExpiresAt = undefined;
       }
-    });
 
-    await booking.save();
+      try {
+        await booking.save();
+      } catch (error) {
+        if (coupon) {
+          await Coupon.releaseRedemption(booking._id);
+        }
+        if (booking.payment.method === 'package') {
+          await PackagePurchase.restoreCredit(booking.payment.packagePurchase);
+        }
+        throw error;
+      }
+    } finally {
+      await SlotLock.release(lock);
+    }
 
     // Populate booking with customer and provider details
     await booking.populate([
@@ -90,8 +198,19 @@ router.post('/', [
       { path: 'provider', select: 'businessName', populate: { path: 'user', select: 'firstName lastName' } }
     ]);
 
+    // Free and package bookings skip payment, which is where confirmations are usually sent
+    if (booking.status === 'confirmed') {
+      try {
+        await sendBookingConfirmation(booking.customer, booking);
+      } catch (error) {
+        console.error(`Error sending confirmation for booking ${booking._id}:`, error.message);
+      }
+    }
+
     res.status(201).json({
-      message: 'Booking created successfully. Please complete payment to confirm.',
+      message: booking.status === 'confirmed'
+        ? 'Booking created and confirmed successfully.'
+        : `Booking created successfully. Please complete payment within ${BOOKING_HOLD_MINUTES} minutes to confirm.`,
       booking
     });
   } catch (error) {
@@ -113,7 +232,7 @@ router.get('/customer', auth, async (req, res) => {
     }
 
     const bookings = await Booking.find(query)
-      .populate('provider', 'businessName', { populate: { path: 'user', select: 'firstName lastName' } })
+      .populate({ path: 'provider', select: 'businessName', populate: { path: 'user', select: 'firstName lastName' } })
       .sort({ appointmentDate: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit);
@@ -171,11 +290,11 @@ router.get('/provider', auth, requireProvider, async (req, res) => {
 // @route   GET /api/bookings/:id
 // @desc    Get booking details
 // @access  Private (customer or provider)
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', auth, loadProvider, async (req, res) => {
   try {
     const booking = await Booking.findById(req.params.id)
       .populate('customer', 'firstName lastName email phone')
-      .populate('provider', 'businessName', { populate: { path: 'user', select: 'firstName lastName' } });
+      .populate({ path: 'provider', select: 'businessName', populate: { path: 'user', select: 'firstName lastName' } });
 
     if (!booking) {
       return res.status(404).json({ message: 'Booking not found' });
@@ -223,13 +342,38 @@ router.put('/:id/status', [
     }
 
     const oldStatus = booking.status;
-    booking.status = status;
     
     if (notes) {
       booking.providerNotes = notes;
     }
 
-    await booking.save();
+    if (status === 'cancelled' && oldStatus !== 'cancelled') {
+      // Refunded and released just like PUT /:id/cancel
+      await cancelBooking(booking, { cancelledBy: 'provider', reason: notes });
+    } else {
+      // A paid no-show is refunded whatever the policy's no-show fee leaves over
+      const noShowRefund = status === 'no-show' && oldStatus !== 'no-show' && booking.payment.status === 'succeeded'
+        ? booking.calculateNoShowRefund()
+        : 0;
+
+      booking.status = status;
+
+      if (noShowRefund > 0) {
+        booking.cancellation.refundAmount = noShowRefund;
+        booking.cancellation.refundStatus = 'pending';
+      }
+
+      await booking.save();
+
+      if (noShowRefund > 0) {
+        await refundBooking(booking, 'No-show');
+      }
+    }
+
+    // Deposit bookings collect the rest of the price once completed
+    if (status === 'completed' && oldStatus !== 'completed') {
+      await settleBalance(booking, req.provider);
+    }
 
     // Send notifications based on status change
     if (status === 'confirmed' && oldStatus === 'pending') {
@@ -252,6 +396,7 @@ router.put('/:id/status', [
 // @access  Private (customer or provider)
 router.put('/:id/cancel', [
   auth,
+  loadProvider,
   body('reason').optional().isLength({ max: 200 })
 ], async (req, res) => {
   try {
@@ -274,16 +419,7 @@ router.put('/:id/cancel', [
       return res.status(400).json({ message: 'Booking cannot be cancelled at this time' });
     }
 
-    booking.status = 'cancelled';
-    booking.cancellation = {
-      cancelledBy: isCustomer ? 'customer' : 'provider',
-      cancelledAt: new Date(),
-      reason,
-      refundAmount: booking.calculateRefund(),
-      refundStatus: 'pending'
-    };
-
-    await booking.save();
+    await cancelBooking(booking, { cancelledBy: isCustomer ? 'customer' : 'provider', reason });
 
     res.json({
       message: 'Booking cancelled successfully',
@@ -300,6 +436,7 @@ router.put('/:id/cancel', [
 // @access  Private (customer or provider)
 router.put('/:id/reschedule', [
   auth,
+  loadProvider,
   body('newDate').isISO8601(),
   body('newStartTime').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/),
   body('reason').optional().isLength({ max: 200 })
@@ -332,42 +469,65 @@ router.put('/:id/reschedule', [
     // Get provider and validate new time slot
     const provider = await Provider.findById(booking.provider);
     const newAppointmentDate = new Date(newDate);
-    
-    if (!provider.isAvailableAt(newAppointmentDate, newStartTime)) {
-      return res.status(400).json({ message: 'Provider is not available at the requested time' });
+    const newStartMinutes = timeToMinutes(newStartTime);
+    const normalizedStartTime = minutesToTime(newStartMinutes);
+    const newEndTime = minutesToTime(newStartMinutes + booking.service.duration);
+
+    const lock = await SlotLock.acquire(booking.provider, newAppointmentDate);
+    if (!lock) {
+      return res.status(409).json({ message: 'This time slot is being booked by someone else. Please try again.' });
     }
 
-    // Check for existing bookings at the new time
-    const existingBooking = await Booking.findOne({
-      provider: booking.provider,
-      appointmentDate: newAppointmentDate,
-      startTime: newStartTime,
-      status: { $in: ['confirmed', 'pending'] },
-      _id: { $ne: booking._id }
-    });
+    try {
+      // Check working hours, booking rules and existing bookings
+      const dayBookings = await Booking.findActiveOnDate({
+        provider: booking.provider,
+        appointmentDate: newAppointmentDate,
+        excludeId: booking._id
+      });
 
-    if (existingBooking) {
-      return res.status(400).json({ message: 'Time slot is already booked' });
-    }
+      const conflict = provider.getSlotConflict(
+        newAppointmentDate, normalizedStartTime, booking.service.duration, dayBookings
+      );
 
-    // Add to reschedule history
-    booking.rescheduleHistory.push({
-      originalDate: booking.appointmentDate,
-      originalStartTime: booking.startTime,
-      originalEndTime: booking.endTime,
-      newDate: newAppointmentDate,
-      newStartTime,
-      newEndTime: booking.endTime, // Keep same duration
-      reason,
-      rescheduledAt: new Date(),
-      rescheduledBy: isCustomer ? 'customer' : 'provider'
-    });
+      if (conflict) {
+        return res.status(400).json({ message: conflict });
+      }
 
-    // Update booking
-    booking.appointmentDate = newAppointmentDate;
-    booking.startTime = newStartTime;
+      // Add to reschedule history
+      booking.rescheduleHistory.push({
+        originalDate: booking.appointmentDate,
+        originalStartTime: booking.startTime,
+        originalEndTime: booking.endTime,
+        newDate: newAppointmentDate,
+        newStartTime: normalizedStartTime,
+        newEndTime,
+        reason,
+        rescheduledAt: new Date(),
+        rescheduledBy: isCustomer ? 'customer' : 'provider'
+      });
+
+      const timeChanged = booking.appointmentDate.getTime() !== newAppointmentDate.getTime() ||
+        booking.startTime !== normalizedStartTime ||
+        booking.timezone !== provider.timezone;
+
+      // Update booking. The new slot was checked in the provider's current
+      // zone, which may have changed since the booking was made.
+      booking.appointmentDate = newAppointmentDate;
+      booking.startTime = normalizedStartTime;
+      booking.endTime = newEndTime;
+      booking.timezone = provider.timezone;
+
+      // Reminders are claimed once per window, so the ones sent for the old
+      // time would stop the new time's reminders from going out
+      if (timeChanged) {
+        booking.reminders = [];
+      }
 
-    await booking.save();
+      await booking.save();
+    } finally {
+      await SlotLock.release(lock);
+    }
 
     res.json({
       message: 'Booking rescheduled successfully',
@@ -0,0 +1,264 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { auth, requireRole } = require('../middleware/auth');
+const Coupon = require('../models/Coupon');
+const Provider = require('../models/Provider');
+const { DEFAULT_CURRENCY, isValidCurrency, roundAmount } = require('../utils/currency');
+
+const router = express.Router();
+
+// Provider profile of the signed-in user, or null for admins. Providers may
+// only manage coupons for their own services.
+async function getOwnProvider(req) {
+  if (req.user.role !== 'provider') {
+    return null;
+  }
+  return Provider.findOne({ user: req.user._id });
+}
+
+// @route   POST /api/coupons
+// @desc    Create a coupon. Admins can create platform-wide coupons; providers
+//          only coupons scoped to themselves or one of their services.
+// @access  Private (admin, provider)
+router.post('/', [
+  auth,
+  requireRole(['admin', 'provider']),
+  body('code').trim().isLength({ min: 3, max: 32 }).matches(/^[A-Za-z0-9_-]+$/),
+  body('description').optional().trim().isLength({ max: 200 }),
+  body('discountType').isIn(['percent', 'fixed']),
+  body('discountValue').isFloat({ gt: 0 }),
+  body('currency').optional().custom(isValidCurrency).withMessage('Invalid currency'),
+  body('scope').optional().isIn(['platform', 'provider', 'service']),
+  body('providerId').optional().isMongoId(),
+  body('serviceName').optional().trim().notEmpty(),
+  body('startsAt').optional().isISO8601(),
+  body('expiresAt').optional().isISO8601(),
+  body('maxRedemptions').optional().isInt({ min: 1 }),
+  body('perCustomerLimit').optional().isInt({ min: 0 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const {
+      code,
+      description,
+      discountType,
+      discountValue,
+      currency,
+      serviceName,
+      startsAt,
+      expiresAt,
+      maxRedemptions,
+      perCustomerLimit
+    } = req.body;
+    let { scope = 'platform', providerId } = req.body;
+
+    const ownProvider = await getOwnProvider(req);
+    if (req.user.role === 'provider') {
+      if (!ownProvider) {
+        return res.status(404).json({ message: 'Provider profile not found' });
+      }
+      if (scope === 'platform') {
+        scope = 'provider';
+      }
+      providerId = ownProvider._id;
+    }
+
+    if (scope !== 'platform') {
+      const provider = ownProvider || await Provider.findById(providerId);
+      if (!provider) {
+        return res.status(404).json({ message: 'Provider not found' });
+      }
+
+      if (scope === 'service' && !provider.services.some(s => s.name === serviceName)) {
+        return res.status(400).json({ message: 'Service not found' });
+      }
+    }
+
+    const existing = await Coupon.findByCode(code);
+    if (existing) {
+      return res.status(400).json({ message: 'Coupon code already exists' });
+    }
+
+    const coupon = new Coupon({
+      code,
+      description,
+      discountType,
+      discountValue,
+      currency,
+      scope,
+      provider: scope === 'platform' ? undefined : providerId,
+      serviceName: scope === 'service' ? serviceName : undefined,
+      startsAt,
+      expiresAt,
+      maxRedemptions,
+      perCustomerLimit,
+      createdBy: req.user._id
+    });
+
+    await coupon.save();
+
+    res.status(201).json({
+      message: 'Coupon created successfully',
+      coupon
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    // Unique index on code catches a coupon created since the check above
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'Coupon code already exists' });
+    }
+    console.error('Create coupon error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/coupons
+// @desc    Get coupons (all for admins, own for providers)
+// @access  Private (admin, provider)
+router.get('/', auth, requireRole(['admin', 'provider']), async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    const ownProvider = await getOwnProvider(req);
+    if (req.user.role === 'provider') {
+      if (!ownProvider) {
+        return res.status(404).json({ message: 'Provider profile not found' });
+      }
+      query.provider = ownProvider._id;
+    }
+
+    const coupons = await Coupon.find(query)
+      .populate('provider', 'businessName')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Coupon.countDocuments(query);
+
+    res.json({
+      coupons,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Get coupons error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/coupons/:id
+// @desc    Update a coupon's availability and limits
+// @access  Private (admin, provider)
+router.put('/:id', [
+  auth,
+  requireRole(['admin', 'provider']),
+  body('description').optional().trim().isLength({ max: 200 }),
+  body('isActive').optional().isBoolean(),
+  body('expiresAt').optional({ values: 'null' }).isISO8601(),
+  body('maxRedemptions').optional({ values: 'null' }).isInt({ min: 1 }),
+  body('perCustomerLimit').optional().isInt({ min: 0 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
+
+    const ownProvider = await getOwnProvider(req);
+    if (req.user.role === 'provider' &&
+        (!ownProvider || coupon.provider?.toString() !== ownProvider._id.toString())) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    ['description', 'isActive', 'expiresAt', 'maxRedemptions', 'perCustomerLimit'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        coupon[field] = req.body[field];
+      }
+    });
+
+    await coupon.save();
+
+    res.json({
+      message: 'Coupon updated successfully',
+      coupon
+    });
+  } catch (error) {
+    console.error('Update coupon error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/coupons/validate
+// @desc    Check a coupon code against a service and preview the discount
+// @access  Private
+router.post('/validate', [
+  auth,
+  body('code').trim().notEmpty(),
+  body('providerId').isMongoId(),
+  body('serviceName').trim().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { code, providerId, serviceName } = req.body;
+
+    const provider = await Provider.findById(providerId);
+    if (!provider) {
+      return res.status(404).json({ message: 'Provider not found' });
+    }
+
+    const service = provider.services.find(s => s.name === serviceName && s.isActive);
+    if (!service) {
+      return res.status(400).json({ message: 'Service not found or inactive' });
+    }
+
+    const coupon = await Coupon.findByCode(code);
+    if (!coupon) {
+      return res.status(400).json({ message: 'Invalid coupon code' });
+    }
+
+    const currency = service.currency || DEFAULT_CURRENCY;
+    const ineligible = await coupon.getIneligibilityReason({
+      provider,
+      serviceName: service.name,
+      currency,
+      customerId: req.user._id
+    });
+    if (ineligible) {
+      return res.status(400).json({ message: ineligible });
+    }
+
+    const discount = coupon.calculateDiscount(service.price, currency);
+
+    res.json({
+      code: coupon.code,
+      currency,
+      originalPrice: service.price,
+      discount,
+      price: roundAmount(service.price - discount, currency)
+    });
+  } catch (error) {
+    console.error('Validate coupon error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,333 @@
+const express = require('express');
+const crypto = require('crypto');
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const Provider = require('../models/Provider');
+const Booking = require('../models/Booking');
+const Session = require('../models/Session');
+const Coupon = require('../models/Coupon');
+const OidcLogin = require('../models/OidcLogin');
+const { getProvider, listProviders, createAuthorizationRequest, handleCallback } = require('../utils/oidc');
+const { describeDestination, sendVerificationCode } = require('../utils/verification');
+const { signIn } = require('../utils/tokens');
+
+const router = express.Router();
+
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000';
+
+// Fields a new account needs that providers don't always share
+const PROFILE_FIELDS = ['phone', 'firstName', 'lastName'];
+
+// The state also goes in a short-lived cookie, so a callback is only
+// accepted in the browser that started the sign-in. Otherwise anyone could
+// send a victim their own callback URL and sign them in as the attacker.
+const STATE_COOKIE = 'oidc_state';
+const STATE_COOKIE_MAX_AGE = 10 * 60 * 1000; // as long as the sign-in itself
+
+const stateCookieOptions = (provider) => {
+  // Providers using form_post send the response as a cross-site POST,
+  // which only carries SameSite=None cookies (and those must be Secure)
+  const formPost = provider.responseMode === 'form_post';
+
+  return {
+    httpOnly: true,
+    sameSite: formPost ? 'none' : 'lax',
+    secure: formPost || process.env.NODE_ENV === 'production',
+    path: new URL(provider.redirectUri).pathname
+  };
+};
+
+// There is no cookie parser; the callback reads the one cookie it needs
+const readCookie = (req, name) => {
+  for (const pair of (req.headers.cookie || '').split(';')) {
+    const separator = pair.indexOf('=');
+    if (separator > 0 && pair.slice(0, separator).trim() === name) {
+      return decodeURIComponent(pair.slice(separator + 1).trim());
+    }
+  }
+  return null;
+};
+
+// Remove what an unverified account left behind once a new account has
+// replaced it, so none of it passes to the new account's owner
+const removeAccountRecords = async (userId) => {
+  const provider = await Provider.findOneAndDelete({ user: userId });
+  const bookingFilter = {
+    $or: [{ customer: userId }, ...(provider ? [{ provider: provider._id }] : [])]
+  };
+
+  for (const booking of await Booking.find(bookingFilter)) {
+    await Coupon.releaseRedemption(booking._id);
+  }
+
+  await Booking.deleteMany(bookingFilter);
+  await Session.deleteMany({ user: userId });
+};
+
+// Send a code for an account that isn't verified yet. Resolves to a
+// response telling the client to ask for it, like /api/auth/login does.
+// Accounts created here are unverified only while a phone number typed in
+// at sign-up is unconfirmed, so the code goes by text.
+const requireVerification = async (user, message) => {
+  const retryAfter = await sendVerificationCode(user, 'sms');
+
+  return {
+    message: retryAfter
+      ? `${message} A new code can be requested in ${Math.ceil(retryAfter / 60)} minute(s).`
+      : `${message} We sent a code to your ${describeDestination('sms')}.`,
+    requiresVerification: true,
+    userId: user._id,
+    otpChannel: 'sms'
+  };
+};
+
+// The provider sends the browser to the API, so results go back to the
+// client app as a redirect: a one-time code to exchange, or an error
+const redirectToClient = (res, params) => {
+  res.redirect(`${CLIENT_URL}/oauth/callback?${new URLSearchParams(params)}`);
+};
+
+// @route   GET /api/auth/oidc/providers
+// @desc    List the identity providers users can sign in with
+// @access  Public
+router.get('/providers', (req, res) => {
+  res.json({ providers: listProviders() });
+});
+
+// @route   GET /api/auth/oidc/:provider/start
+// @desc    Send the browser to the identity provider to sign in
+// @access  Public
+router.get('/:provider/start', async (req, res) => {
+  try {
+    const provider = getProvider(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({ message: 'Sign-in provider not found' });
+    }
+
+    const { url, state, nonce, codeVerifier } = await createAuthorizationRequest(provider);
+    await OidcLogin.start({ provider: provider.name, state, nonce, codeVerifier });
+
+    res.cookie(STATE_COOKIE, state, { ...stateCookieOptions(provider), maxAge: STATE_COOKIE_MAX_AGE });
+    res.redirect(url);
+  } catch (error) {
+    console.error('OIDC start error:', error);
+    redirectToClient(res, { error: 'provider_unavailable' });
+  }
+});
+
+// Handle the identity provider's response and match or link the user
+const handleProviderCallback = async (req, res) => {
+  try {
+    // Providers using response_mode=form_post send the response as a form
+    const response = req.method === 'POST' ? req.body : req.query;
+    const provider = getProvider(req.params.provider);
+    const cookieState = readCookie(req, STATE_COOKIE);
+
+    if (provider) {
+      res.clearCookie(STATE_COOKIE, stateCookieOptions(provider));
+    }
+
+    const login = provider && response.state && cookieState === String(response.state) &&
+      await OidcLogin.consumeState(provider.name, String(response.state));
+
+    if (!login) {
+      return redirectToClient(res, { error: 'invalid_state' });
+    }
+
+    if (response.error) {
+      return redirectToClient(res, { error: response.error === 'access_denied' ? 'access_denied' : 'sign_in_failed' });
+    }
+
+    const profile = await handleCallback(provider, req, login);
+    const identity = { provider: provider.name, subject: profile.subject, email: profile.email };
+
+    let user = await User.findByIdentity(provider.name, profile.subject);
+    let replacesUser;
+
+    // Merge with an existing account only when the provider has verified
+    // the email address, so nobody can claim an account by its address alone
+    if (!user && profile.emailVerified) {
+      user = await User.findOne({ email: profile.email });
+
+      // An unverified account never proved it owns the address or phone
+      // number and could never sign in. A new account replaces it rather
+      // than taking over its password and phone number; the exchange drops
+      // it once that account exists.
+      if (user && !user.isVerified) {
+        replacesUser = user._id;
+        user = null;
+      }
+
+      if (user) {
+        user.linkIdentity(identity);
+        await user.save();
+        console.log(`🔗 Linked ${provider.name} account to user ${user._id}`);
+      }
+    }
+
+    if (user && !user.isActive) {
+      return redirectToClient(res, { error: 'account_deactivated' });
+    }
+
+    // New accounts are created from the provider's verified email address
+    if (!user && !profile.emailVerified) {
+      return redirectToClient(res, { error: 'email_unverified' });
+    }
+
+    const code = await login.complete(user
+      ? { user: user._id }
+      : {
+          profile: {
+            subject: profile.subject,
+            email: profile.email,
+            firstName: profile.firstName,
+            lastName: profile.lastName,
+            phone: profile.phone
+          },
+          replacesUser
+        });
+
+    redirectToClient(res, { code });
+  } catch (error) {
+    console.error('OIDC callback error:', error);
+    redirectToClient(res, { error: 'sign_in_failed' });
+  }
+};
+
+// @route   GET /api/auth/oidc/:provider/callback
+// @desc    Handle the identity provider's response and match or link the user
+// @access  Public
+router.get('/:provider/callback', handleProviderCallback);
+
+// @route   POST /api/auth/oidc/:provider/callback
+// @desc    Same, for providers that post the response (response_mode=form_post)
+// @access  Public
+router.post('/:provider/callback', handleProviderCallback);
+
+// @route   POST /api/auth/oidc/exchange
+// @desc    Exchange the code from the callback for tokens; creates the account for new users
+// @access  Public
+router.post('/exchange', [
+  body('code').notEmpty(),
+  body('phone').optional().trim().notEmpty().withMessage('Phone number is required'),
+  body('firstName').optional().trim().isLength({ min: 2 }).withMessage('First name must be at least 2 characters'),
+  body('lastName').optional().trim().isLength({ min: 2 }).withMessage('Last name must be at least 2 characters'),
+  body('otpChannel').optional().isIn(['sms', 'email'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const login = await OidcLogin.findByExchangeCode(req.body.code);
+    if (!login) {
+      return res.status(400).json({ message: 'Invalid or expired sign-in. Please try again.' });
+    }
+
+    // Existing (or just linked) account
+    if (login.user) {
+      const user = await User.findById(login.user);
+      if (!user || !user.isActive) {
+        return res.status(400).json({ message: 'Account not found or deactivated' });
+      }
+
+      if (!await OidcLogin.finish(login._id)) {
+        return res.status(400).json({ message: 'Invalid or expired sign-in. Please try again.' });
+      }
+
+      // e.g. a new account whose phone number hasn't been confirmed yet
+      if (!user.isVerified) {
+        return res.status(403).json(await requireVerification(user, 'Please verify your account first.'));
+      }
+
+      const result = await signIn(user, req);
+      return res.json({ message: 'Login successful', ...result });
+    }
+
+    // New account: ask for whatever the provider didn't share. The sign-in
+    // stays open so the client can send the same code back with the answers.
+    const profile = {
+      email: login.profile.email,
+      phone: req.body.phone || login.profile.phone,
+      firstName: req.body.firstName || login.profile.firstName,
+      lastName: req.body.lastName || login.profile.lastName
+    };
+
+    const missing = PROFILE_FIELDS.filter(field => !profile[field]);
+    if (missing.length > 0) {
+      return res.json({ profileRequired: true, missing, profile });
+    }
+
+    // The unverified account being replaced doesn't count as a conflict
+    const existingUser = await User.findOne({
+      ...(login.replacesUser && { _id: { $ne: login.replacesUser } }),
+      $or: [
+        { email: profile.email },
+        { phone: profile.phone }
+      ]
+    });
+
+    if (existingUser) {
+      return res.status(400).json({
+        message: existingUser.email === profile.email
+          ? 'Email already registered'
+          : 'Phone number already registered'
+      });
+    }
+
+    if (!await OidcLogin.finish(login._id)) {
+      return res.status(400).json({ message: 'Invalid or expired sign-in. Please try again.' });
+    }
+
+    // The provider verified the email address, so later codes go there
+    // unless the user picks otherwise. A phone number typed in here is
+    // confirmed with a code first, like at registration. The password is
+    // random: the user signs in through the provider, or sets one with
+    // forgot-password.
+    const phoneVerified = Boolean(login.profile.phone) && profile.phone === login.profile.phone;
+    const user = new User({
+      ...profile,
+      password: crypto.randomBytes(32).toString('hex'),
+      isVerified: phoneVerified,
+      otpChannel: req.body.otpChannel || 'email',
+      identities: [{ provider: login.provider, subject: login.profile.subject, email: profile.email }]
+    });
+
+    // Drop the unverified account only now, and bring it back if the new
+    // one can't be saved
+    const replaced = login.replacesUser &&
+      await User.findOneAndDelete({ _id: login.replacesUser, isVerified: false });
+
+    try {
+      await user.save();
+    } catch (error) {
+      if (replaced) {
+        await User.collection.insertOne(replaced.toObject({ depopulate: true }));
+      }
+      throw error;
+    }
+
+    if (replaced) {
+      await removeAccountRecords(replaced._id);
+      console.log(`🗑️ Replaced unverified user ${replaced._id} with ${user._id}`);
+    }
+
+    console.log('✅ User registered with OIDC:', { userId: user._id, provider: login.provider });
+
+    if (!user.isVerified) {
+      return res.status(201).json(await requireVerification(user, 'Account created.'));
+    }
+
+    const result = await signIn(user, req);
+    res.status(201).json({ message: 'Account created successfully', ...result });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'Account already exists. Please sign in again.' });
+    }
+    console.error('OIDC exchange error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,162 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { auth } = require('../middleware/auth');
+const PackagePurchase = require('../models/PackagePurchase');
+const Provider = require('../models/Provider');
+const stripe = require('../utils/stripe');
+const { DEFAULT_CURRENCY } = require('../utils/currency');
+const {
+  calculatePackagePrice,
+  buildPackagePaymentIntentParams,
+  applyPackagePayment
+} = require('../utils/payments');
+
+const router = express.Router();
+
+// @route   POST /api/packages/purchase
+// @desc    Start buying one of a provider's packages; returns a Stripe client secret
+// @access  Private
+router.post('/purchase', [
+  auth,
+  body('providerId').isMongoId(),
+  body('packageId').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { providerId, packageId } = req.body;
+
+    const provider = await Provider.findById(providerId);
+    if (!provider || !provider.isActive) {
+      return res.status(404).json({ message: 'Provider not found' });
+    }
+
+    const pkg = provider.packages.id(packageId);
+    if (!pkg || !pkg.isActive) {
+      return res.status(404).json({ message: 'Package not found' });
+    }
+
+    const service = provider.services.find(s => s.name === pkg.serviceName);
+    if (!service) {
+      return res.status(400).json({ message: 'Package service is no longer offered' });
+    }
+
+    const { subtotal, tax, total } = await calculatePackagePrice(provider, pkg, service);
+
+    const purchase = new PackagePurchase({
+      customer: req.user._id,
+      provider: provider._id,
+      packageId: pkg._id,
+      name: pkg.name,
+      serviceName: pkg.serviceName,
+      sessionCount: pkg.sessionCount,
+      creditsRemaining: pkg.sessionCount,
+      price: subtotal,
+      tax,
+      amount: total,
+      currency: service.currency || DEFAULT_CURRENCY,
+      validityDays: pkg.validityDays
+    });
+
+    // Saved first, so the webhook finds the purchase the intent's metadata
+    // names even if it arrives before this request finishes
+    await purchase.save();
+
+    const paymentIntentParams = {
+      ...buildPackagePaymentIntentParams(purchase, provider),
+      receipt_email: req.user.email
+    };
+
+    let paymentIntent;
+    try {
+      paymentIntent = await stripe.paymentIntents.create(paymentIntentParams);
+    } catch (error) {
+      purchase.status = 'cancelled';
+      purchase.payment.status = 'failed';
+      await purchase.save();
+      throw error;
+    }
+
+    purchase.payment.stripePaymentIntentId = paymentIntent.id;
+    purchase.payment.transferDestination = paymentIntentParams.transfer_data?.destination;
+    purchase.payment.applicationFeeAmount = paymentIntentParams.application_fee_amount;
+    await purchase.save();
+
+    res.status(201).json({
+      purchase,
+      clientSecret: paymentIntent.client_secret,
+      paymentIntentId: paymentIntent.id
+    });
+  } catch (error) {
+    console.error('Purchase package error:', error);
+    res.status(500).json({ message: 'Server error during payment creation' });
+  }
+});
+
+// @route   POST /api/packages/confirm
+// @desc    Confirm a package payment and activate its credits
+// @access  Private
+router.post('/confirm', [
+  auth,
+  body('paymentIntentId').notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const paymentIntent = await stripe.paymentIntents.retrieve(req.body.paymentIntentId);
+
+    if (paymentIntent.status !== 'succeeded') {
+      return res.status(400).json({ message: 'Payment not completed' });
+    }
+
+    const purchase = await PackagePurchase.findOne({ 'payment.stripePaymentIntentId': paymentIntent.id });
+
+    if (!purchase) {
+      return res.status(404).json({ message: 'Package purchase not found' });
+    }
+
+    if (purchase.customer.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    // The webhook may have got here first
+    await applyPackagePayment(purchase, paymentIntent);
+
+    res.json({
+      message: 'Package purchased successfully',
+      purchase
+    });
+  } catch (error) {
+    console.error('Confirm package error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/packages/mine
+// @desc    Get the current user's package purchases and remaining credits
+// @access  Private
+router.get('/mine', auth, async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const query = { customer: req.user._id };
+    query.status = status || { $ne: 'pending' };
+
+    const purchases = await PackagePurchase.find(query)
+      .populate('provider', 'businessName')
+      .sort({ createdAt: -1 });
+
+    res.json({ purchases });
+  } catch (error) {
+    console.error('Get packages error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,20 @@
 const express = require('express');
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 const { body, validationResult } = require('express-validator');
-const { auth } = require('../middleware/auth');
+const { auth, requireProvider, loadProvider } = require('../middleware/auth');
 const Booking = require('../models/Booking');
+const Provider = require('../models/Provider');
+const stripe = require('../utils/stripe');
+const { canIssueRefund, refundBooking } = require('../utils/refunds');
+const { toMinorUnits } = require('../utils/currency');
+const { recordPayment } = require('../utils/ledger');
+const {
+  ensureStripeCustomer,
+  buildPaymentIntentParams,
+  paymentIntentMatches,
+  cancelPaymentIntent,
+  applyBalancePayment
+} = require('../utils/payments');
+const { buildReceipt, renderReceiptHTML, renderReceiptPDF } = require('../utils/receipts');
 const { sendBookingConfirmation } = require('../utils/notifications');
 
 const router = express.Router();
@@ -24,7 +36,7 @@ router.post('/create-payment-intent', [
 
     const booking = await Booking.findById(bookingId)
       .populate('customer', 'firstName lastName email')
-      .populate('provider', 'businessName', { populate: { path: 'user', select: 'firstName lastName' } });
+      .populate({ path: 'provider', select: 'businessName stripeAccountId stripeAccountStatus', populate: { path: 'user', select: 'firstName lastName' } });
 
     if (!booking) {
       return res.status(404).json({ message: 'Booking not found' });
@@ -34,26 +46,67 @@ router.post('/create-payment-intent', [
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    if (booking.payment.status !== 'pending') {
+    // A failed attempt can be retried while the hold lasts
+    if (!['pending', 'failed'].includes(booking.payment.status)) {
       return res.status(400).json({ message: 'Payment already processed' });
     }
 
-    // Create payment intent
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(booking.payment.amount * 100), // Convert to cents
-      currency: booking.payment.currency,
-      metadata: {
-        bookingId: booking._id.toString(),
-        customerId: booking.customer._id.toString(),
-        providerId: booking.provider._id.toString()
-      },
-      description: `Payment for ${booking.service.name} with ${booking.provider.businessName}`,
+    if (booking.status === 'cancelled' || booking.isHoldExpired()) {
+      return res.status(400).json({ message: 'Booking hold has expired. Please book again.' });
+    }
+
+    const amount = toMinorUnits(booking.getUpfrontAmount(), booking.payment.currency);
+    const paymentIntentParams = {
+      ...buildPaymentIntentParams(booking, booking.provider, amount, 'booking'),
       receipt_email: booking.customer.email
-    });
+    };
 
-    // Update booking with payment intent ID
-    booking.payment.stripePaymentIntentId = paymentIntent.id;
-    await booking.save();
+    // Save the card with the deposit so the balance can be charged on completion
+    if (booking.payment.schedule === 'deposit' && booking.payment.balanceDue === 'on-completion') {
+      booking.payment.stripeCustomerId = await ensureStripeCustomer(booking.customer._id);
+      paymentIntentParams.customer = booking.payment.stripeCustomerId;
+      paymentIntentParams.setup_future_usage = 'off_session';
+    }
+
+    // Hand out the earlier attempt's PaymentIntent while it still fits, and
+    // cancel it otherwise: the expiry job only cancels the latest one, so an
+    // abandoned intent could be confirmed after the slot is released
+    const previousIntentId = booking.payment.stripePaymentIntentId;
+    if (previousIntentId) {
+      const previous = await stripe.paymentIntents.retrieve(previousIntentId);
+
+      if (paymentIntentMatches(previous, paymentIntentParams)) {
+        return res.json({
+          clientSecret: previous.client_secret,
+          paymentIntentId: previous.id
+        });
+      }
+
+      if (!(await cancelPaymentIntent(previous))) {
+        return res.status(400).json({ message: 'A payment for this booking is already in progress' });
+      }
+    }
+
+    // Create payment intent
+    const paymentIntent = await stripe.paymentIntents.create(paymentIntentParams);
+
+    // Record it only if no other request replaced the previous intent meanwhile
+    const updated = await Booking.updateOne(
+      { _id: booking._id, 'payment.stripePaymentIntentId': previousIntentId || null },
+      {
+        $set: {
+          'payment.stripePaymentIntentId': paymentIntent.id,
+          'payment.stripeCustomerId': booking.payment.stripeCustomerId,
+          'payment.transferDestination': paymentIntentParams.transfer_data?.destination,
+          'payment.applicationFeeAmount': paymentIntentParams.application_fee_amount
+        }
+      }
+    );
+
+    if (updated.modifiedCount === 0) {
+      await cancelPaymentIntent(paymentIntent);
+      return res.status(409).json({ message: 'Payment is already being set up for this booking. Please try again.' });
+    }
 
     res.json({
       clientSecret: paymentIntent.client_secret,
@@ -65,6 +118,96 @@ router.post('/create-payment-intent', [
   }
 });
 
+// @route   POST /api/payments/balance-payment-intent
+// @desc    Create a payment intent for the customer to pay a deposit booking's balance
+// @access  Private (customer)
+router.post('/balance-payment-intent', [
+  auth,
+  body('bookingId').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const booking = await Booking.findById(req.body.bookingId)
+      .populate('customer', 'firstName lastName email')
+      .populate('provider', 'businessName stripeAccountId stripeAccountStatus');
+
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    if (booking.customer._id.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const { payment } = booking;
+
+    if (payment.schedule !== 'deposit' || payment.balanceDue !== 'on-completion') {
+      return res.status(400).json({ message: 'No balance to pay online' });
+    }
+
+    if (payment.status !== 'succeeded' || !['pending', 'failed'].includes(payment.balance.status)) {
+      return res.status(400).json({ message: 'Balance is not payable' });
+    }
+
+    const amount = toMinorUnits(payment.balance.amount, payment.currency);
+    const paymentIntentParams = {
+      ...buildPaymentIntentParams(booking, booking.provider, amount, 'balance'),
+      customer: payment.stripeCustomerId,
+      receipt_email: booking.customer.email
+    };
+
+    // As for the booking payment, hand out the open PaymentIntent again or
+    // cancel it, so the balance can't be paid twice
+    const previousIntentId = payment.balance.stripePaymentIntentId;
+    if (previousIntentId) {
+      const previous = await stripe.paymentIntents.retrieve(previousIntentId);
+
+      if (paymentIntentMatches(previous, paymentIntentParams)) {
+        return res.json({
+          clientSecret: previous.client_secret,
+          paymentIntentId: previous.id,
+          amount: payment.balance.amount
+        });
+      }
+
+      if (!(await cancelPaymentIntent(previous))) {
+        return res.status(400).json({ message: 'A payment for this balance is already in progress' });
+      }
+    }
+
+    const paymentIntent = await stripe.paymentIntents.create(paymentIntentParams);
+
+    // Record it only if no other request, or the charge on completion,
+    // replaced the previous intent meanwhile
+    const updated = await Booking.updateOne(
+      {
+        _id: booking._id,
+        'payment.balance.status': { $in: ['pending', 'failed'] },
+        'payment.balance.stripePaymentIntentId': previousIntentId || null
+      },
+      { $set: { 'payment.balance.stripePaymentIntentId': paymentIntent.id } }
+    );
+
+    if (updated.modifiedCount === 0) {
+      await cancelPaymentIntent(paymentIntent);
+      return res.status(409).json({ message: 'The balance is already being paid. Please try again.' });
+    }
+
+    res.json({
+      clientSecret: paymentIntent.client_secret,
+      paymentIntentId: paymentIntent.id,
+      amount: payment.balance.amount
+    });
+  } catch (error) {
+    console.error('Create balance payment intent error:', error);
+    res.status(500).json({ message: 'Server error during payment creation' });
+  }
+});
+
 // @route   POST /api/payments/confirm-payment
 // @desc    Confirm payment and update booking status
 // @access  Private (customer)
@@ -89,7 +232,10 @@ router.post('/confirm-payment', [
 
     // Find booking by payment intent ID
     const booking = await Booking.findOne({
-      'payment.stripePaymentIntentId': paymentIntentId
+      $or: [
+        { 'payment.stripePaymentIntentId': paymentIntentId },
+        { 'payment.balance.stripePaymentIntentId': paymentIntentId }
+      ]
     }).populate('customer', 'firstName lastName email');
 
     if (!booking) {
@@ -100,12 +246,36 @@ router.post('/confirm-payment', [
       return res.status(403).json({ message: 'Access denied' });
     }
 
+    // Balance payments only settle the balance; the booking is already
+    // confirmed. The webhook may have recorded it already.
+    if (paymentIntent.metadata.paymentType === 'balance') {
+      if (booking.payment.balance.status !== 'succeeded') {
+        await applyBalancePayment(booking, paymentIntent);
+        await booking.save();
+      }
+
+      return res.json({
+        message: 'Balance payment confirmed successfully',
+        booking
+      });
+    }
+
+    // The webhook may have got here first
+    if (booking.payment.status === 'succeeded') {
+      return res.json({
+        message: 'Payment confirmed successfully',
+        booking
+      });
+    }
+
     // Update booking payment status
     booking.payment.status = 'succeeded';
     booking.payment.paidAt = new Date();
+    booking.payment.stripePaymentMethodId = paymentIntent.payment_method;
     booking.status = 'confirmed';
 
     await booking.save();
+    await recordPayment(booking);
 
     // Send confirmation email
     await sendBookingConfirmation(booking.customer, booking);
@@ -120,83 +290,88 @@ router.post('/confirm-payment', [
   }
 });
 
-// @route   POST /api/payments/webhook
-// @desc    Handle Stripe webhooks
-// @access  Public (Stripe webhook)
-router.post('/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
-  const sig = req.headers['stripe-signature'];
-  let event;
-
+// @route   POST /api/payments/connect/onboard
+// @desc    Create the provider's Stripe Connect account and an onboarding link
+// @access  Private (provider)
+router.post('/connect/onboard', auth, requireProvider, async (req, res) => {
   try {
-    event = stripe.webhooks.constructEvent(req.body, sig, process.env.STRIPE_WEBHOOK_SECRET);
-  } catch (err) {
-    console.error('Webhook signature verification failed:', err.message);
-    return res.status(400).send(`Webhook Error: ${err.message}`);
-  }
+    const provider = req.provider;
+
+    if (!provider.stripeAccountId) {
+      const account = await stripe.accounts.create({
+        type: 'express',
+        email: req.user.email,
+        business_profile: {
+          name: provider.businessName
+        },
+        capabilities: {
+          card_payments: { requested: true },
+          transfers: { requested: true }
+        },
+        metadata: {
+          providerId: provider._id.toString()
+        }
+      }, {
+        idempotencyKey: `provider-${provider._id}-connect-account`
+      });
+
+      provider.stripeAccountId = account.id;
+      provider.syncStripeAccount(account);
+      await provider.save();
+    }
 
-  try {
-    switch (event.type) {
-      case 'payment_intent.succeeded':
-        await handlePaymentSucceeded(event.data.object);
-        break;
-      case 'payment_intent.payment_failed':
-        await handlePaymentFailed(event.data.object);
-        break;
-      default:
-        console.log(`Unhandled event type ${event.type}`);
-    }
-
-    res.json({ received: true });
+    // Account links are single-use and short-lived, so create one per request
+    const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+    const accountLink = await stripe.accountLinks.create({
+      account: provider.stripeAccountId,
+      refresh_url: `${clientUrl}/provider/payouts?onboarding=refresh`,
+      return_url: `${clientUrl}/provider/payouts?onboarding=complete`,
+      type: 'account_onboarding'
+    });
+
+    res.json({
+      url: accountLink.url,
+      expiresAt: new Date(accountLink.expires_at * 1000)
+    });
   } catch (error) {
-    console.error('Webhook handler error:', error);
-    res.status(500).json({ error: 'Webhook handler failed' });
+    console.error('Connect onboarding error:', error);
+    res.status(500).json({ message: 'Server error during payout onboarding' });
   }
 });
 
-// Handle successful payment
-async function handlePaymentSucceeded(paymentIntent) {
+// @route   GET /api/payments/connect/status
+// @desc    Get the provider's Stripe Connect account status
+// @access  Private (provider)
+router.get('/connect/status', auth, requireProvider, async (req, res) => {
   try {
-    const booking = await Booking.findOne({
-      'payment.stripePaymentIntentId': paymentIntent.id
-    });
+    const provider = req.provider;
 
-    if (booking && booking.payment.status === 'pending') {
-      booking.payment.status = 'succeeded';
-      booking.payment.paidAt = new Date();
-      booking.status = 'confirmed';
-      await booking.save();
-
-      console.log(`Payment succeeded for booking ${booking._id}`);
+    if (!provider.stripeAccountId) {
+      return res.json({ connected: false, status: provider.stripeAccountStatus });
     }
-  } catch (error) {
-    console.error('Error handling payment succeeded:', error);
-  }
-}
 
-// Handle failed payment
-async function handlePaymentFailed(paymentIntent) {
-  try {
-    const booking = await Booking.findOne({
-      'payment.stripePaymentIntentId': paymentIntent.id
-    });
+    // Refresh from Stripe in case a webhook was missed
+    const account = await stripe.accounts.retrieve(provider.stripeAccountId);
+    provider.syncStripeAccount(account);
+    await provider.save();
 
-    if (booking && booking.payment.status === 'pending') {
-      booking.payment.status = 'failed';
-      booking.status = 'cancelled';
-      await booking.save();
-
-      console.log(`Payment failed for booking ${booking._id}`);
-    }
+    res.json({
+      connected: true,
+      accountId: provider.stripeAccountId,
+      status: provider.stripeAccountStatus
+    });
   } catch (error) {
-    console.error('Error handling payment failed:', error);
+    console.error('Connect status error:', error);
+    res.status(500).json({ message: 'Server error' });
   }
-}
+});
 
 // @route   POST /api/payments/refund
 // @desc    Process refund for cancelled booking
 // @access  Private (provider or admin)
 router.post('/refund', [
   auth,
+  loadProvider,
   body('bookingId').isMongoId(),
   body('reason').optional().isLength({ max: 200 })
 ], async (req, res) => {
@@ -229,35 +404,35 @@ router.post('/refund', [
       return res.status(400).json({ message: 'No Stripe payment intent found' });
     }
 
-    // Calculate refund amount
-    const refundAmount = booking.calculateRefund();
-    
-    if (refundAmount <= 0) {
+    // A refund that failed on Stripe's side can be tried again
+    if (!canIssueRefund(booking)) {
+      return res.status(400).json({ message: 'Refund already issued' });
+    }
+
+    // Bookings cancelled before automatic refunds have no amount recorded
+    if (booking.cancellation.refundAmount === undefined) {
+      booking.cancellation.refundAmount = booking.calculateRefund();
+    }
+
+    if (!(booking.cancellation.refundAmount > 0)) {
       return res.status(400).json({ message: 'No refund available' });
     }
 
-    // Create refund in Stripe
-    const refund = await stripe.refunds.create({
-      payment_intent: booking.payment.stripePaymentIntentId,
-      amount: Math.round(refundAmount * 100), // Convert to cents
-      reason: 'requested_by_customer',
-      metadata: {
-        bookingId: booking._id.toString(),
-        reason: reason || 'Booking cancelled'
-      }
-    });
+    await refundBooking(booking, reason);
 
-    // Update booking
-    booking.cancellation.refundAmount = refundAmount;
-    booking.cancellation.refundStatus = 'processed';
-    await booking.save();
+    if (booking.cancellation.refundStatus === 'failed') {
+      return res.status(502).json({
+        message: 'Refund could not be processed',
+        error: booking.cancellation.refundFailureReason
+      });
+    }
 
     res.json({
       message: 'Refund processed successfully',
       refund: {
-        id: refund.id,
-        amount: refundAmount,
-        status: refund.status
+        id: booking.cancellation.stripeRefundId,
+        amount: booking.cancellation.refundAmount,
+        status: booking.cancellation.refundStatus
       }
     });
   } catch (error) {
@@ -285,7 +460,7 @@ router.get('/history', auth, async (req, res) => {
       'payment.status': 'succeeded'
     })
       .populate('customer', 'firstName lastName')
-      .populate('provider', 'businessName', { populate: { path: 'user', select: 'firstName lastName' } })
+      .populate({ path: 'provider', select: 'businessName', populate: { path: 'user', select: 'firstName lastName' } })
       .sort({ 'payment.paidAt': -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit);
@@ -296,7 +471,10 @@ router.get('/history', auth, async (req, res) => {
     });
 
     res.json({
-      payments: bookings,
+      payments: bookings.map(booking => ({
+        ...booking.toJSON(),
+        breakdown: booking.getPriceBreakdown()
+      })),
       pagination: {
         current: parseInt(page),
         pages: Math.ceil(total / limit),
@@ -309,5 +487,48 @@ router.get('/history', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/payments/:bookingId/receipt
+// @desc    Get the numbered receipt for a paid booking, as HTML or with
+//          ?format=pdf as a PDF download
+// @access  Private (booking's customer or provider, admin)
+router.get('/:bookingId/receipt', auth, async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.bookingId);
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    const isCustomer = booking.customer.toString() === req.user._id.toString();
+    const isProvider = req.user.role === 'provider' &&
+      Boolean(await Provider.exists({ _id: booking.provider, user: req.user._id }));
+    const isAdmin = req.user.role === 'admin';
+
+    if (!isCustomer && !isProvider && !isAdmin) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (booking.payment.status !== 'succeeded') {
+      return res.status(400).json({ message: 'Booking has not been paid' });
+    }
+
+    const receipt = await buildReceipt(booking);
+
+    if (req.query.format === 'pdf') {
+      const pdf = await renderReceiptPDF(receipt);
+
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${receipt.invoiceNumber}.pdf"`
+      });
+      return res.send(pdf);
+    }
+
+    res.type('html').send(renderReceiptHTML(receipt));
+  } catch (error) {
+    console.error('Get receipt error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router;
 
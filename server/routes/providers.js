@@ -4,9 +4,17 @@ const { auth, requireRole, requireProvider } = require('../middleware/auth');
 const Provider = require('../models/Provider');
 const User = require('../models/User');
 const Booking = require('../models/Booking');
+const LedgerEntry = require('../models/LedgerEntry');
+const { ACTIVE_BOOKING_STATUSES, isValidTimeZone, toDateKey } = require('../utils/scheduling');
+const { isValidCurrency, fromMinorUnits } = require('../utils/currency');
 
 const router = express.Router();
 
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+// Fields a provider may change through PUT /profile
+const PROFILE_FIELDS = ['businessName', 'bio', 'services', 'location', 'timezone'];
+
 // @route   POST /api/providers/register
 // @desc    Register as a service provider
 // @access  Private (authenticated user)
@@ -20,11 +28,18 @@ router.post('/register', [
   body('services.*.description').optional(),
   body('services.*.duration').isInt({ min: 15 }),
   body('services.*.price').isFloat({ min: 0 }),
+  body('services.*.currency').optional().custom(isValidCurrency).withMessage('Invalid currency'),
+  body('services.*.deposit.type').optional().isIn(['none', 'percent', 'fixed']),
+  body('services.*.deposit.value').optional().isFloat({ min: 0 }),
+  body('services.*.deposit.refundable').optional().isBoolean(),
+  body('services.*.deposit.balanceDue').optional().isIn(['on-completion', 'in-person']),
+  body('services.*.taxable').optional().isBoolean(),
   body('location.address.street').trim().notEmpty(),
   body('location.address.city').trim().notEmpty(),
   body('location.address.state').trim().notEmpty(),
   body('location.address.zipCode').trim().notEmpty(),
-  body('location.address.country').trim().notEmpty()
+  body('location.address.country').trim().notEmpty(),
+  body('timezone').optional().custom(isValidTimeZone).withMessage('Invalid time zone')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -43,6 +58,7 @@ router.post('/register', [
       bio,
       services,
       location,
+      timezone,
       workingDays = []
     } = req.body;
 
@@ -53,6 +69,7 @@ router.post('/register', [
       bio,
       services,
       location,
+      timezone,
       availability: {
         workingDays
       }
@@ -71,6 +88,7 @@ router.post('/register', [
         bio: provider.bio,
         services: provider.services,
         location: provider.location,
+        timezone: provider.timezone,
         isVerified: provider.isVerified
       }
     });
@@ -183,11 +201,11 @@ router.get('/:id', async (req, res) => {
 });
 
 // @route   GET /api/providers/:id/availability
-// @desc    Get provider availability for a date range
+// @desc    Get bookable slots for a service over a date range
 // @access  Public
 router.get('/:id/availability', async (req, res) => {
   try {
-    const { startDate, endDate } = req.query;
+    const { startDate, endDate, service: serviceName } = req.query;
     
     if (!startDate || !endDate) {
       return res.status(400).json({ message: 'Start date and end date are required' });
@@ -198,17 +216,38 @@ router.get('/:id/availability', async (req, res) => {
       return res.status(404).json({ message: 'Provider not found' });
     }
 
+    let service;
+    if (serviceName) {
+      service = provider.services.find(s => s.name === serviceName && s.isActive);
+      if (!service) {
+        return res.status(400).json({ message: 'Service not found or inactive' });
+      }
+    }
+
     const start = new Date(startDate);
     const end = new Date(endDate);
+
+    // Existing bookings that occupy the provider's time in the range
+    const rangeEnd = new Date(end);
+    rangeEnd.setUTCDate(rangeEnd.getUTCDate() + 1);
+    const bookings = await Booking.find({
+      provider: provider._id,
+      appointmentDate: { $gte: start, $lt: rangeEnd },
+      status: { $in: ACTIVE_BOOKING_STATUSES }
+    }).select('appointmentDate startTime endTime status');
+
     const availability = {};
 
     // Generate availability for each date in range
-    for (let date = new Date(start); date <= end; date.setDate(date.getDate() + 1)) {
-      const dateStr = date.toISOString().split('T')[0];
-      availability[dateStr] = provider.getAvailableSlots(new Date(date));
+    for (let date = new Date(start); date <= end; date.setUTCDate(date.getUTCDate() + 1)) {
+      const dateStr = toDateKey(date);
+      availability[dateStr] = provider.getAvailableSlots(new Date(date), service, bookings);
     }
 
-    res.json({ availability });
+    res.json({
+      service: service ? { name: service.name, duration: service.duration } : null,
+      availability
+    });
   } catch (error) {
     console.error('Get availability error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -224,7 +263,8 @@ router.put('/profile', [
   body('businessName').optional().trim().isLength({ min: 2 }),
   body('bio').optional().isLength({ max: 500 }),
   body('services').optional().isArray(),
-  body('location').optional()
+  body('location').optional(),
+  body('timezone').optional().custom(isValidTimeZone).withMessage('Invalid time zone')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -232,7 +272,15 @@ router.put('/profile', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const updates = req.body;
+    // Only profile fields: payout state, verification, ratings, packages and
+    // the cancellation policy are managed through their own routes
+    const updates = {};
+    PROFILE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+
     const provider = await Provider.findByIdAndUpdate(
       req.provider._id,
       { $set: updates },
@@ -256,7 +304,16 @@ router.put('/availability', [
   auth,
   requireProvider,
   body('workingDays').optional().isArray(),
-  body('blockedDates').optional().isArray()
+  body('workingDays.*.startTime').optional().matches(TIME_PATTERN),
+  body('workingDays.*.endTime').optional().matches(TIME_PATTERN),
+  body('workingDays.*.breaks').optional().isArray(),
+  body('workingDays.*.breaks.*.startTime').matches(TIME_PATTERN),
+  body('workingDays.*.breaks.*.endTime').matches(TIME_PATTERN),
+  body('blockedDates').optional().isArray(),
+  body('bufferTime').optional().isInt({ min: 0 }),
+  body('maxBookingsPerDay').optional({ values: 'null' }).isInt({ min: 1 }),
+  body('minLeadTime').optional().isFloat({ min: 0 }),
+  body('maxLeadTime').optional({ values: 'null' }).isInt({ min: 1 })
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -275,10 +332,17 @@ router.put('/availability', [
       updates['availability.blockedDates'] = blockedDates;
     }
 
+    // Booking rules; null clears an optional limit
+    ['bufferTime', 'maxBookingsPerDay', 'minLeadTime', 'maxLeadTime'].forEach(rule => {
+      if (req.body[rule] !== undefined) {
+        updates[`availability.${rule}`] = req.body[rule];
+      }
+    });
+
     const provider = await Provider.findByIdAndUpdate(
       req.provider._id,
       { $set: updates },
-      { new: true }
+      { new: true, runValidators: true }
     );
 
     res.json({
@@ -291,6 +355,140 @@ router.put('/availability', [
   }
 });
 
+// @route   PUT /api/providers/policies
+// @desc    Update provider cancellation, reschedule and no-show policy
+// @access  Private (provider only)
+router.put('/policies', [
+  auth,
+  requireProvider,
+  body('cancelCutoffHours').optional().isFloat({ min: 0 }),
+  body('rescheduleCutoffHours').optional().isFloat({ min: 0 }),
+  body('refundTiers').optional().isArray(),
+  body('refundTiers.*.hoursBefore').isFloat({ min: 0 }),
+  body('refundTiers.*.refundPercent').isFloat({ min: 0, max: 100 }),
+  body('noShowFeePercent').optional().isFloat({ min: 0, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const updates = {};
+
+    ['cancelCutoffHours', 'rescheduleCutoffHours', 'refundTiers', 'noShowFeePercent'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[`cancellationPolicy.${field}`] = req.body[field];
+      }
+    });
+
+    // Existing bookings keep the policy they were made under
+    const provider = await Provider.findByIdAndUpdate(
+      req.provider._id,
+      { $set: updates },
+      { new: true, runValidators: true }
+    );
+
+    res.json({
+      message: 'Policies updated successfully',
+      cancellationPolicy: provider.cancellationPolicy
+    });
+  } catch (error) {
+    console.error('Update policies error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/providers/packages
+// @desc    Add a prepaid session package
+// @access  Private (provider only)
+router.post('/packages', [
+  auth,
+  requireProvider,
+  body('name').trim().notEmpty(),
+  body('description').optional().isLength({ max: 500 }),
+  body('serviceName').trim().notEmpty(),
+  body('sessionCount').isInt({ min: 1 }),
+  body('price').isFloat({ min: 0 }),
+  body('validityDays').optional({ values: 'null' }).isInt({ min: 1 }),
+  body('isActive').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, description, serviceName, sessionCount, price, validityDays, isActive } = req.body;
+    const provider = req.provider;
+
+    if (!provider.services.some(s => s.name === serviceName)) {
+      return res.status(400).json({ message: 'Service not found' });
+    }
+
+    provider.packages.push({ name, description, serviceName, sessionCount, price, validityDays, isActive });
+    await provider.save();
+
+    res.status(201).json({
+      message: 'Package created successfully',
+      package: provider.packages[provider.packages.length - 1]
+    });
+  } catch (error) {
+    console.error('Create package error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/providers/packages/:packageId
+// @desc    Update a prepaid session package
+// @access  Private (provider only)
+router.put('/packages/:packageId', [
+  auth,
+  requireProvider,
+  body('name').optional().trim().notEmpty(),
+  body('description').optional().isLength({ max: 500 }),
+  body('serviceName').optional().trim().notEmpty(),
+  body('sessionCount').optional().isInt({ min: 1 }),
+  body('price').optional().isFloat({ min: 0 }),
+  body('validityDays').optional({ values: 'null' }).isInt({ min: 1 }),
+  body('isActive').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const provider = req.provider;
+    const pkg = provider.packages.id(req.params.packageId);
+
+    if (!pkg) {
+      return res.status(404).json({ message: 'Package not found' });
+    }
+
+    if (req.body.serviceName !== undefined && !provider.services.some(s => s.name === req.body.serviceName)) {
+      return res.status(400).json({ message: 'Service not found' });
+    }
+
+    // Packages already bought keep the terms they were bought under
+    ['name', 'description', 'serviceName', 'sessionCount', 'price', 'validityDays', 'isActive'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        pkg[field] = req.body[field];
+      }
+    });
+
+    await provider.save();
+
+    res.json({
+      message: 'Package updated successfully',
+      package: pkg
+    });
+  } catch (error) {
+    console.error('Update package error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   GET /api/providers/dashboard/stats
 // @desc    Get provider dashboard statistics
 // @access  Private (provider only)
@@ -309,13 +507,19 @@ router.get('/dashboard/stats', auth, requireProvider, async (req, res) => {
       status: 'confirmed' 
     });
 
-    // Get revenue statistics
-    const revenueResult = await Booking.aggregate([
-      { $match: { provider: providerId, 'payment.status': 'succeeded' } },
-      { $group: { _id: null, totalRevenue: { $sum: '$payment.amount' } } }
-    ]);
-
-    const totalRevenue = revenueResult.length > 0 ? revenueResult[0].totalRevenue : 0;
+    // Get revenue statistics from the ledger, per currency (amounts are in
+    // the smallest currency unit)
+    const ledger = await LedgerEntry.summarize({ provider: providerId });
+    const revenue = {};
+    Object.entries(ledger).forEach(([currency, totals]) => {
+      revenue[currency] = {
+        totalRevenue: fromMinorUnits(totals.providerEarnings, currency),
+        grossRevenue: fromMinorUnits(totals.grossVolume, currency),
+        refunded: fromMinorUnits(totals.refunded, currency),
+        chargebacks: fromMinorUnits(totals.chargebacks, currency),
+        platformFees: fromMinorUnits(totals.platformRevenue, currency)
+      };
+    });
 
     // Get recent bookings
     const recentBookings = await Booking.find({ provider: providerId })
@@ -328,7 +532,7 @@ router.get('/dashboard/stats', auth, requireProvider, async (req, res) => {
         totalBookings,
         completedBookings,
         pendingBookings,
-        totalRevenue,
+        revenue,
         averageRating: req.provider.rating.average,
         totalReviews: req.provider.rating.count
       },
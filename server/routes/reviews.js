@@ -0,0 +1,195 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { auth, requireRole } = require('../middleware/auth');
+const Review = require('../models/Review');
+const Booking = require('../models/Booking');
+const Provider = require('../models/Provider');
+
+const router = express.Router();
+
+// Recompute the provider's cached rating from visible reviews
+async function updateProviderRating(providerId) {
+  const { averageRating, totalReviews } = await Review.calculateAverageRating(providerId);
+
+  await Provider.findByIdAndUpdate(providerId, {
+    'rating.average': averageRating,
+    'rating.count': totalReviews
+  });
+}
+
+// @route   POST /api/reviews
+// @desc    Submit a review for a completed booking
+// @access  Private (customer)
+router.post('/', [
+  auth,
+  body('bookingId').isMongoId(),
+  body('rating').isInt({ min: 1, max: 5 }),
+  body('comment').optional().trim().isLength({ max: 500 }),
+  body('aspects.serviceQuality').optional().isInt({ min: 1, max: 5 }),
+  body('aspects.punctuality').optional().isInt({ min: 1, max: 5 }),
+  body('aspects.communication').optional().isInt({ min: 1, max: 5 }),
+  body('aspects.valueForMoney').optional().isInt({ min: 1, max: 5 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { bookingId, rating, comment, aspects } = req.body;
+
+    const booking = await Booking.findById(bookingId);
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    if (booking.customer.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (booking.status !== 'completed') {
+      return res.status(400).json({ message: 'Only completed bookings can be reviewed' });
+    }
+
+    const existingReview = await Review.findOne({ booking: booking._id });
+    if (existingReview) {
+      return res.status(400).json({ message: 'Booking has already been reviewed' });
+    }
+
+    const review = new Review({
+      booking: booking._id,
+      customer: req.user._id,
+      provider: booking.provider,
+      rating,
+      comment,
+      aspects
+    });
+
+    await review.save();
+    await updateProviderRating(booking.provider);
+
+    await review.populate('customer', 'firstName lastName profileImage');
+
+    res.status(201).json({
+      message: 'Review submitted successfully',
+      review
+    });
+  } catch (error) {
+    // Unique index on booking guards against concurrent submissions
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'Booking has already been reviewed' });
+    }
+    console.error('Create review error:', error);
+    res.status(500).json({ message: 'Server error during review submission' });
+  }
+});
+
+// @route   GET /api/reviews/provider/:providerId
+// @desc    Get visible reviews for a provider
+// @access  Public
+router.get('/provider/:providerId', async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+
+    const provider = await Provider.findById(req.params.providerId).select('rating');
+    if (!provider) {
+      return res.status(404).json({ message: 'Provider not found' });
+    }
+
+    const query = { provider: provider._id, isVisible: true };
+
+    const reviews = await Review.find(query)
+      .populate('customer', 'firstName lastName profileImage')
+      .select('-helpfulVoters')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Review.countDocuments(query);
+
+    res.json({
+      reviews,
+      rating: provider.rating,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Get provider reviews error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/reviews/:id/helpful
+// @desc    Vote a review as helpful
+// @access  Private
+router.post('/:id/helpful', auth, async (req, res) => {
+  try {
+    const review = await Review.findById(req.params.id).select('customer isVisible');
+    if (!review || !review.isVisible) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    if (review.customer.toString() === req.user._id.toString()) {
+      return res.status(400).json({ message: 'You cannot vote on your own review' });
+    }
+
+    // Only counts the vote if this user has not voted before
+    const updated = await Review.findOneAndUpdate(
+      { _id: review._id, helpfulVoters: { $ne: req.user._id } },
+      { $addToSet: { helpfulVoters: req.user._id }, $inc: { helpfulVotes: 1 } },
+      { new: true }
+    );
+
+    if (!updated) {
+      return res.status(400).json({ message: 'You have already voted on this review' });
+    }
+
+    res.json({
+      message: 'Vote recorded',
+      helpfulVotes: updated.helpfulVotes
+    });
+  } catch (error) {
+    console.error('Helpful vote error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/reviews/:id/visibility
+// @desc    Hide or restore a review
+// @access  Private (Admin only)
+router.put('/:id/visibility', [
+  auth,
+  requireRole('admin'),
+  body('isVisible').isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { isVisible } = req.body;
+
+    const review = await Review.findById(req.params.id);
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    review.isVisible = isVisible;
+    await review.save();
+    await updateProviderRating(review.provider);
+
+    res.json({
+      message: `Review ${isVisible ? 'restored' : 'hidden'} successfully`,
+      review
+    });
+  } catch (error) {
+    console.error('Update review visibility error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
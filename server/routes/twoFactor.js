@@ -0,0 +1,231 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const { auth } = require('../middleware/auth');
+const { signIn, verifyChallengeToken } = require('../utils/tokens');
+
+const router = express.Router();
+
+// Setup is open to signed-in users, and to users whose role requires
+// two-factor authentication through the challenge token login gave them
+async function authOrSetupChallenge(req, res, next) {
+  if (!req.body.challengeToken) {
+    return auth(req, res, next);
+  }
+
+  try {
+    const userId = verifyChallengeToken(req.body.challengeToken, '2fa-setup');
+    const user = userId && await User.findById(userId);
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({ message: 'Invalid or expired challenge' });
+    }
+
+    req.user = user;
+    req.viaChallenge = true;
+    next();
+  } catch (error) {
+    console.error('Two-factor challenge error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+}
+
+// @route   GET /api/auth/2fa/status
+// @desc    Get the current user's two-factor authentication status
+// @access  Private
+router.get('/status', auth, async (req, res) => {
+  try {
+    const { twoFactor } = req.user;
+
+    res.json({
+      enabled: Boolean(twoFactor?.enabled),
+      enabledAt: twoFactor?.enabledAt,
+      required: req.user.isTwoFactorRequired(),
+      recoveryCodesRemaining: (twoFactor?.recoveryCodes || []).filter(c => !c.usedAt).length
+    });
+  } catch (error) {
+    console.error('Two-factor status error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start two-factor setup; returns a secret and otpauth URI for an authenticator app
+// @access  Private (or setup challenge token)
+router.post('/setup', authOrSetupChallenge, async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const { secret, otpauthUri } = user.startTwoFactorSetup();
+    await user.save();
+
+    res.json({
+      message: 'Add the secret to your authenticator app, then confirm with a code',
+      secret,
+      otpauthUri
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm setup with a code from the app; returns one-time recovery codes
+// @access  Private (or setup challenge token)
+router.post('/enable', [
+  authOrSetupChallenge,
+  body('code').matches(/^\d{6}$/).withMessage('Code must be 6 digits')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = req.user;
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const recoveryCodes = user.enableTwoFactor(req.body.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({ message: 'Invalid code' });
+    }
+
+    await user.save();
+
+    // Setup that was part of a login completes it
+    const login = req.viaChallenge ? await signIn(user, req, { skipTwoFactor: true }) : {};
+
+    res.json({
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      recoveryCodes,
+      ...login
+    });
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/2fa/verify
+// @desc    Complete a login with an app code or a recovery code
+// @access  Public (login challenge token)
+router.post('/verify', [
+  body('challengeToken').notEmpty(),
+  body('code').trim().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = verifyChallengeToken(req.body.challengeToken, '2fa-login');
+    const user = userId && await User.findById(userId);
+
+    // Not 401: the client treats that as an expired session
+    if (!user || !user.isActive) {
+      return res.status(400).json({ message: 'Invalid or expired challenge. Please log in again.' });
+    }
+
+    const result = await user.verifyTwoFactor(req.body.code);
+    if (!result.valid) {
+      return res.status(400).json({ message: result.message });
+    }
+
+    const login = await signIn(user, req, { skipTwoFactor: true });
+
+    res.json({
+      message: 'Login successful',
+      ...login,
+      recoveryCodesRemaining: result.usedRecoveryCode
+        ? user.twoFactor.recoveryCodes.filter(c => !c.usedAt).length
+        : undefined
+    });
+  } catch (error) {
+    console.error('Two-factor verify error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace the recovery codes; returns the new ones
+// @access  Private
+router.post('/recovery-codes', [
+  auth,
+  body('code').trim().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    const result = await user.verifyTwoFactor(req.body.code);
+    if (!result.valid) {
+      return res.status(400).json({ message: result.message });
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    res.json({
+      message: 'Recovery codes replaced. The old codes no longer work.',
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('Recovery codes error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off two-factor authentication
+// @access  Private
+router.post('/disable', [
+  auth,
+  body('password').notEmpty(),
+  body('code').trim().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    if (user.isTwoFactorRequired()) {
+      return res.status(403).json({ message: 'Two-factor authentication is required for your account type' });
+    }
+
+    const isMatch = await user.comparePassword(req.body.password);
+    if (!isMatch) {
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+
+    const result = await user.verifyTwoFactor(req.body.code);
+    if (!result.valid) {
+      return res.status(400).json({ message: result.message });
+    }
+
+    user.disableTwoFactor();
+    await user.save();
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { auth } = require('../middleware/auth');
 const User = require('../models/User');
+const Session = require('../models/Session');
 
 const router = express.Router();
 
@@ -95,6 +96,9 @@ router.put('/change-password', [
     user.password = newPassword;
     await user.save();
 
+    // Other devices must sign in again with the new password
+    await Session.revokeAllForUser(user._id, 'password-change', { except: req.sessionId });
+
     res.json({ message: 'Password changed successfully' });
   } catch (error) {
     console.error('Change password error:', error);
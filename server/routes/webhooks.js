@@ -0,0 +1,384 @@
+const express = require('express');
+const Booking = require('../models/Booking');
+const Provider = require('../models/Provider');
+const WebhookEvent = require('../models/WebhookEvent');
+const Coupon = require('../models/Coupon');
+const PackagePurchase = require('../models/PackagePurchase');
+const LedgerEntry = require('../models/LedgerEntry');
+const stripe = require('../utils/stripe');
+const { applyRefund, refundBooking } = require('../utils/refunds');
+const { recordPayment, recordRefund } = require('../utils/ledger');
+const { applyBalancePayment, applyPackagePayment } = require('../utils/payments');
+const { fromMinorUnits } = require('../utils/currency');
+const { applyDispute, recordDisputeOutcome, notifyDispute } = require('../utils/disputes');
+
+const router = express.Router();
+
+// Find the booking a PaymentIntent belongs to. Falls back to the metadata in
+// case the event arrives before the booking has stored the intent's ID.
+const findBookingForIntent = (paymentIntent) => {
+  const conditions = [{ 'payment.stripePaymentIntentId': paymentIntent.id }];
+
+  if (paymentIntent.metadata?.bookingId) {
+    conditions.push({ _id: paymentIntent.metadata.bookingId });
+  }
+
+  return Booking.findOne({ $or: conditions });
+};
+
+// Handle successful payment
+async function handlePaymentSucceeded(paymentIntent) {
+  if (paymentIntent.metadata?.paymentType === 'balance') {
+    return handleBalanceSucceeded(paymentIntent);
+  }
+
+  if (paymentIntent.metadata?.paymentType === 'package') {
+    return handlePackageSucceeded(paymentIntent);
+  }
+
+  const booking = await findBookingForIntent(paymentIntent);
+
+  if (!booking || booking.payment.status === 'succeeded') {
+    return;
+  }
+
+  booking.payment.stripePaymentIntentId = paymentIntent.id;
+  booking.payment.status = 'succeeded';
+  booking.payment.paidAt = new Date();
+  booking.payment.stripePaymentMethodId = paymentIntent.payment_method;
+
+  // The slot was already released, so give the money back rather than
+  // reviving a booking that may now clash with another
+  if (booking.status === 'cancelled') {
+    booking.cancellation.refundAmount = booking.getUpfrontAmount();
+    booking.cancellation.refundStatus = 'pending';
+    await booking.save();
+    await recordPayment(booking);
+    await refundBooking(booking, 'Payment received after booking was released');
+
+    console.log(`Late payment refunded for cancelled booking ${booking._id}`);
+    return;
+  }
+
+  booking.status = 'confirmed';
+  await booking.save();
+  await recordPayment(booking);
+
+  console.log(`Payment succeeded for booking ${booking._id}`);
+}
+
+// Handle a successful balance payment on a deposit booking
+async function handleBalanceSucceeded(paymentIntent) {
+  const booking = await Booking.findById(paymentIntent.metadata.bookingId);
+
+  if (booking && booking.payment.balance.status !== 'succeeded') {
+    await applyBalancePayment(booking, paymentIntent);
+    await booking.save();
+
+    console.log(`Balance paid for booking ${booking._id}`);
+  }
+}
+
+// Handle a successful package purchase
+async function handlePackageSucceeded(paymentIntent) {
+  const purchase = await PackagePurchase.findById(paymentIntent.metadata.packagePurchaseId);
+
+  if (purchase && purchase.payment.status !== 'succeeded') {
+    await applyPackagePayment(purchase, paymentIntent);
+
+    console.log(`Package purchase ${purchase._id} activated`);
+  }
+}
+
+// Handle failed payment. The customer may retry with the same intent, so the
+// booking keeps its slot until the hold expires.
+async function handlePaymentFailed(paymentIntent) {
+  // A failed balance payment leaves the booking as is; the customer can retry
+  if (paymentIntent.metadata?.paymentType === 'balance') {
+    return;
+  }
+
+  if (paymentIntent.metadata?.paymentType === 'package') {
+    await PackagePurchase.updateOne(
+      { _id: paymentIntent.metadata.packagePurchaseId, 'payment.status': 'pending' },
+      { $set: { 'payment.status': 'failed' } }
+    );
+    return;
+  }
+
+  const booking = await findBookingForIntent(paymentIntent);
+
+  if (booking && booking.payment.status === 'pending') {
+    booking.payment.status = 'failed';
+    await booking.save();
+
+    console.log(`Payment failed for booking ${booking._id}`);
+  }
+}
+
+// Handle a PaymentIntent cancelled in Stripe (e.g. by the expiry sweep or from the dashboard)
+async function handlePaymentCanceled(paymentIntent) {
+  if (paymentIntent.metadata?.paymentType === 'balance') {
+    return;
+  }
+
+  if (paymentIntent.metadata?.paymentType === 'package') {
+    await PackagePurchase.updateOne(
+      { _id: paymentIntent.metadata.packagePurchaseId, status: 'pending' },
+      { $set: { status: 'cancelled' } }
+    );
+    return;
+  }
+
+  // Only the intent the booking is waiting on matters; older ones are superseded
+  const booking = await Booking.findOneAndUpdate(
+    {
+      'payment.stripePaymentIntentId': paymentIntent.id,
+      status: 'pending',
+      'payment.status': { $in: ['pending', 'failed'] }
+    },
+    {
+      $set: {
+        status: 'cancelled',
+        'payment.status': 'cancelled',
+        cancellation: {
+          cancelledBy: 'system',
+          cancelledAt: new Date(),
+          reason: 'Payment was cancelled'
+        }
+      }
+    }
+  );
+
+  if (booking) {
+    // The customer never paid, so the coupon use doesn't count
+    await Coupon.releaseRedemption(booking._id);
+
+    console.log(`Payment intent ${paymentIntent.id} cancelled; booking released`);
+  }
+}
+
+// Handle refunds on a charge, including ones issued from the Stripe dashboard
+async function handleChargeRefunded(charge) {
+  const booking = await Booking.findOne({
+    'payment.stripePaymentIntentId': charge.payment_intent
+  });
+
+  if (!booking) {
+    return;
+  }
+
+  // Event payloads no longer embed charge.refunds, so ask Stripe for them
+  const refunds = [];
+  for await (const refund of stripe.refunds.list({ charge: charge.id, limit: 100 })) {
+    refunds.push(refund);
+  }
+
+  const recorded = await LedgerEntry.distinct('reference', { booking: booking._id, type: 'refund' });
+
+  for (const refund of refunds.filter(r => !recorded.includes(r.id))) {
+    // The booking tracks one refund; any others (e.g. partial refunds from
+    // the dashboard) only need their ledger entries
+    if (!booking.cancellation.stripeRefundId || refund.id === booking.cancellation.stripeRefundId) {
+      await applyRefund(booking, refund);
+    } else {
+      await recordRefund(booking, refund);
+    }
+  }
+
+  if (refunds.length === 0) {
+    booking.cancellation.refundStatus = 'processed';
+  }
+
+  // Refunds made outside the app still need an amount on record
+  if (!booking.cancellation.refundAmount) {
+    booking.cancellation.refundAmount = fromMinorUnits(charge.amount_refunded, charge.currency);
+  }
+
+  await booking.save();
+
+  console.log(`Charge refunded for booking ${booking._id}`);
+}
+
+// Handle refund status changes (e.g. pending -> succeeded or failed)
+async function handleRefundUpdated(refund) {
+  const booking = await Booking.findOne({
+    $or: [
+      { 'cancellation.stripeRefundId': refund.id },
+      { 'payment.stripePaymentIntentId': refund.payment_intent }
+    ]
+  });
+
+  if (!booking) {
+    return;
+  }
+
+  // As for charge.refunded, other refunds of the payment (e.g. partial
+  // refunds from the dashboard) only need their ledger entries
+  if (!booking.cancellation.stripeRefundId || refund.id === booking.cancellation.stripeRefundId) {
+    await applyRefund(booking, refund);
+    await booking.save();
+  } else {
+    await recordRefund(booking, refund);
+  }
+
+  console.log(`Refund ${refund.id} is ${refund.status} for booking ${booking._id}`);
+}
+
+// Find the booking a dispute was raised against
+const findBookingForDispute = (dispute) => {
+  return Booking.findOne({
+    $or: [
+      { 'dispute.stripeDisputeId': dispute.id },
+      { 'payment.stripePaymentIntentId': dispute.payment_intent },
+      { 'payment.balance.stripePaymentIntentId': dispute.payment_intent }
+    ]
+  }).populate('provider', 'user businessName');
+};
+
+// Handle a new chargeback: flag the booking and tell the provider and admins
+async function handleDisputeCreated(dispute, { superseded }) {
+  const booking = await findBookingForDispute(dispute);
+
+  if (!booking) {
+    return;
+  }
+
+  // A newer update may have got here first; the notification is still due
+  if (!superseded) {
+    applyDispute(booking, dispute);
+    await booking.save();
+  }
+
+  await notifyDispute(
+    booking,
+    'Payment Disputed',
+    'The customer has disputed the payment for this booking. Evidence can be submitted from the admin dashboard.'
+  );
+
+  console.log(`Dispute ${dispute.id} opened for booking ${booking._id}`);
+}
+
+// Handle changes to a dispute (status, evidence deadline, funds movements)
+async function handleDisputeUpdated(dispute) {
+  const booking = await findBookingForDispute(dispute);
+
+  if (!booking) {
+    return;
+  }
+
+  applyDispute(booking, dispute);
+  await booking.save();
+
+  console.log(`Dispute ${dispute.id} is ${dispute.status} for booking ${booking._id}`);
+}
+
+// Handle a dispute's final outcome
+async function handleDisputeClosed(dispute, { superseded }) {
+  const booking = await findBookingForDispute(dispute);
+
+  if (!booking) {
+    return;
+  }
+
+  if (!superseded) {
+    applyDispute(booking, dispute);
+    await booking.save();
+  }
+  await recordDisputeOutcome(booking, dispute);
+
+  await notifyDispute(
+    booking,
+    `Dispute ${dispute.status === 'lost' ? 'Lost' : 'Closed'}`,
+    `The dispute for this booking has closed with the outcome: ${dispute.status}.`
+  );
+
+  console.log(`Dispute ${dispute.id} closed as ${dispute.status} for booking ${booking._id}`);
+}
+
+// Handle changes to a provider's Stripe Connect account
+async function handleAccountUpdated(account) {
+  const provider = await Provider.findOne({ stripeAccountId: account.id });
+
+  if (!provider) {
+    return;
+  }
+
+  provider.syncStripeAccount(account);
+  await provider.save();
+
+  console.log(`Stripe account ${account.id} updated for provider ${provider._id}`);
+}
+
+// Events whose side effects (notifications, ledger entries) must still run
+// when a newer event about the same object has already been applied. Their
+// handlers get { superseded } and leave the newer state alone.
+const SIDE_EFFECT_EVENTS = ['charge.dispute.created', 'charge.dispute.closed'];
+
+const handlers = {
+  'payment_intent.succeeded': handlePaymentSucceeded,
+  'payment_intent.payment_failed': handlePaymentFailed,
+  'payment_intent.canceled': handlePaymentCanceled,
+  'charge.refunded': handleChargeRefunded,
+  'refund.updated': handleRefundUpdated,
+  'charge.dispute.created': handleDisputeCreated,
+  'charge.dispute.updated': handleDisputeUpdated,
+  'charge.dispute.funds_withdrawn': handleDisputeUpdated,
+  'charge.dispute.funds_reinstated': handleDisputeUpdated,
+  'charge.dispute.closed': handleDisputeClosed,
+  'account.updated': handleAccountUpdated
+};
+
+// @route   POST /api/payments/webhook
+// @desc    Handle Stripe webhooks
+// @access  Public (Stripe webhook)
+// Mounted ahead of the JSON body parser: signature checks need the raw body.
+router.post('/', express.raw({ type: 'application/json' }), async (req, res) => {
+  const sig = req.headers['stripe-signature'];
+  let event;
+
+  try {
+    event = stripe.webhooks.constructEvent(req.body, sig, process.env.STRIPE_WEBHOOK_SECRET);
+  } catch (err) {
+    console.error('Webhook signature verification failed:', err.message);
+    return res.status(400).send(`Webhook Error: ${err.message}`);
+  }
+
+  const handler = handlers[event.type];
+  if (!handler) {
+    console.log(`Unhandled event type ${event.type}`);
+    return res.json({ received: true });
+  }
+
+  try {
+    const claim = await WebhookEvent.claim(event);
+
+    if (claim === 'duplicate') {
+      return res.json({ received: true, duplicate: true });
+    }
+
+    // Non-2xx makes Stripe retry later, by which time the other attempt has finished
+    if (claim === 'in-progress') {
+      return res.status(409).json({ error: 'Event is already being processed' });
+    }
+
+    // Stripe doesn't guarantee delivery order; an older snapshot of an
+    // object must not overwrite a newer one
+    const superseded = await WebhookEvent.isSuperseded(event);
+    if (superseded && !SIDE_EFFECT_EVENTS.includes(event.type)) {
+      await WebhookEvent.finish(event.id, 'skipped');
+      return res.json({ received: true, skipped: true });
+    }
+
+    await handler(event.data.object, { superseded });
+    await WebhookEvent.finish(event.id, 'processed');
+
+    res.json({ received: true });
+  } catch (error) {
+    console.error(`Webhook handler error for ${event.type}:`, error);
+    await WebhookEvent.finish(event.id, 'failed', error).catch(() => {});
+    res.status(500).json({ error: 'Webhook handler failed' });
+  }
+});
+
+module.exports = router;
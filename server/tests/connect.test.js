@@ -0,0 +1,167 @@
+jest.mock('../utils/notifications');
+
+const express = require('express');
+const request = require('supertest');
+const db = require('./helpers/db');
+const stripeMockServer = require('./helpers/stripeMock');
+const { createApp, createUser, createProvider, daysFromNow } = require('./helpers/fixtures');
+const Provider = require('../models/Provider');
+
+let app;
+let stripe;
+let stripeMock;
+let eventCount = 0;
+
+beforeAll(async () => {
+  stripeMock = await stripeMockServer.start();
+  stripe = require('../utils/stripe');
+  app = express();
+  app.use('/api/payments/webhook', require('../routes/webhooks'));
+  app.use(createApp({
+    '/api/bookings': require('../routes/bookings'),
+    '/api/payments': require('../routes/payments'),
+    '/api/providers': require('../routes/providers')
+  }));
+  await db.connect();
+});
+afterEach(async () => {
+  await db.clear();
+  stripeMock.reset();
+});
+afterAll(async () => {
+  await db.close();
+  await stripeMock.close();
+});
+
+const sendEvent = (type, object) => {
+  eventCount += 1;
+  const payload = JSON.stringify({ id: `evt_connect_${eventCount}`, object: 'event', type, created: Math.floor(Date.now() / 1000), data: { object } });
+
+  return request(app)
+    .post('/api/payments/webhook')
+    .set('Content-Type', 'application/json')
+    .set('Stripe-Signature', stripe.webhooks.generateTestHeaderString({ payload, secret: process.env.STRIPE_WEBHOOK_SECRET }))
+    .send(payload);
+};
+
+const onboard = (token) => request(app)
+  .post('/api/payments/connect/onboard')
+  .set('Authorization', `Bearer ${token}`);
+
+// Onboard the provider and have Stripe enable charges on the account
+const createOnboardedProvider = async () => {
+  const created = await createProvider();
+  await onboard(created.token);
+  const provider = await Provider.findById(created.provider._id);
+  Object.assign(stripeMock.accounts.get(provider.stripeAccountId), { charges_enabled: true, payouts_enabled: true, details_submitted: true });
+  await sendEvent('account.updated', stripeMock.accounts.get(provider.stripeAccountId));
+  return { ...created, provider: await Provider.findById(provider._id) };
+};
+
+const bookAndPay = async (provider) => {
+  const { token } = await createUser();
+  const booked = await request(app)
+    .post('/api/bookings')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ providerId: provider._id.toString(), serviceName: 'Haircut', appointmentDate: daysFromNow(3), startTime: '10:00' });
+  expect(booked.status).toBe(201);
+
+  const res = await request(app)
+    .post('/api/payments/create-payment-intent')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ bookingId: booked.body.booking._id });
+  expect(res.status).toBe(200);
+  return stripeMock.paymentIntents.get(res.body.paymentIntentId);
+};
+
+describe('Stripe Connect onboarding', () => {
+  it('creates one Express account and a fresh onboarding link per request', async () => {
+    const { provider, token } = await createProvider();
+
+    const first = await onboard(token);
+    const second = await onboard(token);
+
+    expect(first.status).toBe(200);
+    expect(second.status).toBe(200);
+    expect(first.body.url).toMatch(/^https:\/\/connect\.stripe\.test\/setup\/acct_/);
+    expect(stripeMock.requestsTo('POST', '/v1/accounts')).toHaveLength(1);
+    expect(stripeMock.requestsTo('POST', '/v1/account_links')).toHaveLength(2);
+
+    const saved = await Provider.findById(provider._id);
+    expect(saved.stripeAccountId).toBe(stripeMock.requestsTo('POST', '/v1/account_links')[0].params.account);
+    expect(saved.stripeAccountStatus.chargesEnabled).toBe(false);
+  });
+
+  it('syncs the account status from Stripe', async () => {
+    const { provider, token } = await createProvider();
+    await onboard(token);
+    const { stripeAccountId } = await Provider.findById(provider._id);
+    Object.assign(stripeMock.accounts.get(stripeAccountId), { charges_enabled: true, details_submitted: true });
+
+    const res = await request(app)
+      .get('/api/payments/connect/status')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      connected: true,
+      accountId: stripeAccountId,
+      status: { chargesEnabled: true, payoutsEnabled: false, detailsSubmitted: true }
+    });
+    expect((await Provider.findById(provider._id)).canReceivePayments).toBe(true);
+  });
+
+  it('syncs the account status from account.updated', async () => {
+    const { provider } = await createOnboardedProvider();
+
+    expect(provider.stripeAccountStatus.chargesEnabled).toBe(true);
+    expect(provider.stripeAccountStatus.payoutsEnabled).toBe(true);
+  });
+});
+
+describe('destination charges', () => {
+  it('routes payments to onboarded providers, keeping the platform fee', async () => {
+    const { provider } = await createOnboardedProvider();
+
+    const paymentIntent = await bookAndPay(provider);
+
+    expect(paymentIntent.amount).toBe(5000);
+    expect(paymentIntent.transfer_data).toEqual({ destination: provider.stripeAccountId });
+    expect(paymentIntent.application_fee_amount).toBe(500);
+  });
+
+  it('keeps payments on the platform until charges are enabled', async () => {
+    const { provider, token } = await createProvider();
+    await onboard(token);
+
+    const paymentIntent = await bookAndPay(provider);
+
+    expect(paymentIntent.transfer_data).toBeUndefined();
+    expect(paymentIntent.application_fee_amount).toBeUndefined();
+  });
+});
+
+describe('PUT /api/providers/profile', () => {
+  it('ignores fields outside the profile', async () => {
+    const { provider, token } = await createProvider();
+
+    const res = await request(app)
+      .put('/api/providers/profile')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        bio: 'Walk-ins welcome',
+        stripeAccountId: 'acct_attacker',
+        stripeAccountStatus: { chargesEnabled: true },
+        isVerified: true,
+        rating: { average: 5, count: 1000 }
+      });
+
+    expect(res.status).toBe(200);
+    const saved = await Provider.findById(provider._id);
+    expect(saved.bio).toBe('Walk-ins welcome');
+    expect(saved.stripeAccountId).toBeUndefined();
+    expect(saved.stripeAccountStatus.chargesEnabled).toBeFalsy();
+    expect(saved.isVerified).toBe(false);
+    expect(saved.rating.count).toBe(0);
+  });
+});
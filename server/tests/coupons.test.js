@@ -0,0 +1,116 @@
+jest.mock('../utils/notifications');
+
+const request = require('supertest');
+const db = require('./helpers/db');
+const { createApp, createUser, createProvider, daysFromNow } = require('./helpers/fixtures');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+
+const app = createApp({
+  '/api/bookings': require('../routes/bookings'),
+  '/api/coupons': require('../routes/coupons')
+});
+
+beforeAll(() => db.connect());
+afterEach(() => db.clear());
+afterAll(() => db.close());
+
+const book = (provider, token, couponCode) => request(app)
+  .post('/api/bookings')
+  .set('Authorization', `Bearer ${token}`)
+  .send({ providerId: provider._id.toString(), serviceName: 'Haircut', appointmentDate: daysFromNow(3), startTime: '10:00', couponCode });
+
+const createCoupon = (overrides = {}) => Coupon.create({
+  code: 'SAVE10',
+  discountType: 'percent',
+  discountValue: 10,
+  ...overrides
+});
+
+describe('coupon limits', () => {
+  it('stops at maxRedemptions across concurrent customers', async () => {
+    const coupon = await createCoupon({ maxRedemptions: 2 });
+    const providers = await Promise.all([1, 2, 3, 4].map(() => createProvider()));
+    const customers = await Promise.all([1, 2, 3, 4].map(() => createUser()));
+
+    const responses = await Promise.all(
+      providers.map(({ provider }, i) => book(provider, customers[i].token, 'SAVE10'))
+    );
+
+    expect(responses.filter(res => res.status === 201)).toHaveLength(2);
+    expect(responses.filter(res => res.status === 400).map(res => res.body.message))
+      .toEqual(['This coupon has reached its usage limit', 'This coupon has reached its usage limit']);
+    expect((await Coupon.findById(coupon._id)).redemptionCount).toBe(2);
+  });
+
+  it('holds perCustomerLimit against concurrent bookings by one customer', async () => {
+    const coupon = await createCoupon({ perCustomerLimit: 1 });
+    const providers = await Promise.all([1, 2, 3].map(() => createProvider()));
+    const { token } = await createUser();
+
+    const responses = await Promise.all(providers.map(({ provider }) => book(provider, token, 'SAVE10')));
+
+    expect(responses.filter(res => res.status === 201)).toHaveLength(1);
+    responses.filter(res => res.status !== 201).forEach(res => {
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('You have already used this coupon');
+    });
+    expect((await Coupon.findById(coupon._id)).redemptionCount).toBe(1);
+    expect(await CouponRedemption.countDocuments({ coupon: coupon._id, status: 'active' })).toBe(1);
+  });
+
+  it('allows each use up to perCustomerLimit', async () => {
+    await createCoupon({ perCustomerLimit: 2 });
+    const providers = await Promise.all([1, 2, 3].map(() => createProvider()));
+    const { token } = await createUser();
+
+    const responses = await Promise.all(providers.map(({ provider }) => book(provider, token, 'SAVE10')));
+
+    expect(responses.filter(res => res.status === 201)).toHaveLength(2);
+  });
+
+  it('gives a released use back to the customer', async () => {
+    await createCoupon({ perCustomerLimit: 1 });
+    const [first, second] = await Promise.all([createProvider(), createProvider()]);
+    const { token } = await createUser();
+
+    const booked = await book(first.provider, token, 'SAVE10');
+    expect(booked.status).toBe(201);
+    await Coupon.releaseRedemption(booked.body.booking._id);
+
+    const res = await book(second.provider, token, 'SAVE10');
+    expect(res.status).toBe(201);
+    expect(res.body.booking.payment.discount.code).toBe('SAVE10');
+  });
+});
+
+describe('POST /api/coupons', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  const create = (token) => request(app)
+    .post('/api/coupons')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ code: 'SAVE10', discountType: 'percent', discountValue: 10 });
+
+  it('rejects a code that is already taken', async () => {
+    const { token } = await createUser({ role: 'admin' });
+    await createCoupon();
+
+    const res = await create(token);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Coupon code already exists');
+  });
+
+  it('rejects a code taken after the check for an existing coupon', async () => {
+    const { token } = await createUser({ role: 'admin' });
+    await createCoupon();
+    jest.spyOn(Coupon, 'findByCode').mockResolvedValue(null);
+
+    const res = await create(token);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Coupon code already exists');
+    expect(await Coupon.countDocuments()).toBe(1);
+  });
+});
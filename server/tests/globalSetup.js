@@ -0,0 +1,10 @@
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+// One throwaway MongoDB server for the whole run (mongodb-memory-server
+// downloads the binary on first use). Test files reach it through
+// MONGODB_TEST_URI and each uses a database of its own.
+module.exports = async () => {
+  const server = await MongoMemoryServer.create();
+  globalThis.__MONGOD__ = server;
+  process.env.MONGODB_TEST_URI = server.getUri();
+};
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Connects the models to a fresh database on the MongoDB server started in
+// tests/globalSetup.js. Files run in parallel, so each gets its own database.
+// Await connect() after requiring the routes and models the file uses.
+const connect = async () => {
+  await mongoose.connect(process.env.MONGODB_TEST_URI, {
+    dbName: `test_${new mongoose.Types.ObjectId()}`
+  });
+
+  // Unique indexes have to exist before tests race to insert duplicates
+  await Promise.all(Object.values(mongoose.models).map(model => model.init()));
+};
+
+// Empty every collection between tests
+const clear = async () => {
+  const collections = await mongoose.connection.db.collections();
+  await Promise.all(collections.map(collection => collection.deleteMany({})));
+};
+
+const close = async () => {
+  await mongoose.connection.dropDatabase();
+  await mongoose.disconnect();
+};
+
+module.exports = {
+  connect,
+  clear,
+  close
+};
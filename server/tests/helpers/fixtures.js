@@ -0,0 +1,65 @@
+const express = require('express');
+const User = require('../../models/User');
+const Provider = require('../../models/Provider');
+const Session = require('../../models/Session');
+const { signAccessToken } = require('../../utils/tokens');
+
+const DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+// Express app with the given routers mounted, e.g. { '/api/bookings': router }
+const createApp = (routes) => {
+  const app = express();
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+  Object.entries(routes).forEach(([path, router]) => app.use(path, router));
+  return app;
+};
+
+let userCount = 0;
+
+// Verified user with a live session; resolves to { user, token }
+const createUser = async (overrides = {}) => {
+  userCount += 1;
+  const user = await User.create({
+    email: `user${userCount}@example.com`,
+    phone: `+1555000${String(userCount).padStart(4, '0')}`,
+    firstName: 'Test',
+    lastName: `User${userCount}`,
+    password: 'password123',
+    isVerified: true,
+    ...overrides
+  });
+
+  const { session } = await Session.start(user._id, { userAgent: 'jest', ip: '127.0.0.1' });
+  return { user, token: signAccessToken(user._id, session._id) };
+};
+
+// Provider open 09:00-17:00 every day with one untaxed one-hour service
+const createProvider = async (overrides = {}) => {
+  const { user, token } = await createUser({ role: 'provider' });
+  const provider = await Provider.create({
+    user: user._id,
+    businessName: 'Test Studio',
+    services: [{ name: 'Haircut', duration: 60, price: 50, taxable: false }],
+    availability: {
+      workingDays: DAYS.map(day => ({ day, startTime: '09:00', endTime: '17:00' }))
+    },
+    ...overrides
+  });
+
+  return { provider, user, token };
+};
+
+// YYYY-MM-DD a number of days from today (UTC)
+const daysFromNow = (days) => {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+module.exports = {
+  createApp,
+  createUser,
+  createProvider,
+  daysFromNow
+};
@@ -0,0 +1,145 @@
+const http = require('http');
+const crypto = require('crypto');
+
+// Local stand-in for an OpenID Connect provider, for tests that sign in
+// through the real OIDC client: discovery, a JWKS, an authorization endpoint
+// that approves straight away, a token endpoint checking PKCE, and userinfo.
+// Await start() before anything requires utils/oidc: it configures the
+// provider through OIDC_PROVIDERS and OIDC_<NAME>_* variables.
+
+const CLIENT_SECRET = 'oidc-test-secret';
+
+const base64url = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const start = async ({ name = 'test' } = {}) => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const jwk = { ...publicKey.export({ format: 'jwk' }), kid: 'test-key', alg: 'RS256', use: 'sig' };
+
+  const state = {
+    // Claims of the user who signs in next
+    claims: {},
+    codes: new Map()
+  };
+
+  const signIdToken = (payload) => {
+    const data = `${base64url({ alg: 'RS256', kid: jwk.kid, typ: 'JWT' })}.${base64url(payload)}`;
+    return `${data}.${crypto.sign('sha256', Buffer.from(data), privateKey).toString('base64url')}`;
+  };
+
+  let issuer;
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, issuer);
+      const send = (status, payload) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload));
+      };
+
+      switch (url.pathname) {
+        case '/.well-known/openid-configuration':
+          return send(200, {
+            issuer,
+            authorization_endpoint: `${issuer}/authorize`,
+            token_endpoint: `${issuer}/token`,
+            userinfo_endpoint: `${issuer}/userinfo`,
+            jwks_uri: `${issuer}/jwks`,
+            response_types_supported: ['code'],
+            subject_types_supported: ['public'],
+            id_token_signing_alg_values_supported: ['RS256']
+          });
+
+        case '/jwks':
+          return send(200, { keys: [jwk] });
+
+        // Approve at once and send the browser back with a code
+        case '/authorize': {
+          const params = url.searchParams;
+          const code = crypto.randomBytes(16).toString('hex');
+          state.codes.set(code, {
+            claims: { ...state.claims },
+            clientId: params.get('client_id'),
+            nonce: params.get('nonce'),
+            codeChallenge: params.get('code_challenge')
+          });
+
+          const redirect = new URL(params.get('redirect_uri'));
+          redirect.searchParams.set('code', code);
+          redirect.searchParams.set('state', params.get('state'));
+          res.writeHead(302, { Location: redirect.toString() });
+          return res.end();
+        }
+
+        case '/token': {
+          const params = new URLSearchParams(body);
+          const grant = state.codes.get(params.get('code'));
+          state.codes.delete(params.get('code'));
+
+          const challenge = crypto.createHash('sha256')
+            .update(params.get('code_verifier') || '')
+            .digest('base64url');
+          if (!grant || challenge !== grant.codeChallenge) {
+            return send(400, { error: 'invalid_grant' });
+          }
+
+          const now = Math.floor(Date.now() / 1000);
+          const accessToken = crypto.randomBytes(16).toString('hex');
+          state.codes.set(`access:${accessToken}`, grant);
+
+          return send(200, {
+            access_token: accessToken,
+            token_type: 'Bearer',
+            expires_in: 300,
+            id_token: signIdToken({
+              iss: issuer,
+              aud: grant.clientId,
+              sub: grant.claims.sub,
+              nonce: grant.nonce,
+              iat: now,
+              exp: now + 300,
+              email: grant.claims.email,
+              email_verified: grant.claims.email_verified
+            })
+          });
+        }
+
+        case '/userinfo': {
+          const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+          const grant = state.codes.get(`access:${token}`);
+          return grant ? send(200, grant.claims) : send(401, { error: 'invalid_token' });
+        }
+
+        default:
+          return send(404, { error: 'not_found' });
+      }
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  issuer = `http://127.0.0.1:${server.address().port}`;
+
+  const prefix = `OIDC_${name.toUpperCase()}`;
+  process.env.OIDC_PROVIDERS = name;
+  process.env[`${prefix}_ISSUER`] = issuer;
+  process.env[`${prefix}_CLIENT_ID`] = `${name}-client`;
+  process.env[`${prefix}_CLIENT_SECRET`] = CLIENT_SECRET;
+
+  return {
+    issuer,
+    // Set the claims of the user who signs in next, e.g.
+    // setUser({ sub: '123', email: 'jane@example.com', email_verified: true })
+    setUser: (claims) => { state.claims = claims; },
+    reset: () => {
+      state.claims = {};
+      state.codes.clear();
+    },
+    close: () => new Promise(resolve => {
+      server.close(resolve);
+      server.closeAllConnections();
+    })
+  };
+};
+
+module.exports = { start };
@@ -0,0 +1,205 @@
+const http = require('http');
+const crypto = require('crypto');
+
+// Local stand-in for the Stripe API, for tests that exercise the real
+// Stripe client over HTTP. Unlike stripe-mock it keeps state, so objects
+// created in one call can be retrieved, confirmed or cancelled in the next,
+// and it replays the response to a repeated idempotency key like Stripe.
+// Await start() before anything requires utils/stripe: it points the client
+// here through STRIPE_API_HOST/PORT/PROTOCOL.
+
+const NUMERIC_FIELDS = ['amount', 'application_fee_amount'];
+const BOOLEAN_FIELDS = ['confirm', 'off_session', 'requested', 'submit'];
+
+const newId = (prefix) => `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+
+// Stripe clients send form bodies with bracketed keys, e.g. metadata[bookingId]
+const parseForm = (body) => {
+  const result = {};
+  new URLSearchParams(body).forEach((value, key) => {
+    const parts = key.split(/\[|\]\[|\]/).filter(Boolean);
+    const field = parts[parts.length - 1];
+    let parsed = value;
+    if (NUMERIC_FIELDS.includes(field)) parsed = Number(value);
+    if (BOOLEAN_FIELDS.includes(field)) parsed = value === 'true';
+
+    let target = result;
+    parts.slice(0, -1).forEach(part => {
+      target[part] = target[part] || {};
+      target = target[part];
+    });
+    target[field] = parsed;
+  });
+  return result;
+};
+
+const start = async () => {
+  const state = {
+    accounts: new Map(),
+    customers: new Map(),
+    paymentIntents: new Map(),
+    refunds: new Map(),
+    requests: [],
+    // Responses by idempotency key
+    responses: new Map()
+  };
+
+  const routes = [
+    ['POST', /^\/v1\/accounts$/, (params) => {
+      const account = {
+        id: newId('acct'),
+        object: 'account',
+        email: params.email,
+        metadata: params.metadata || {},
+        charges_enabled: false,
+        payouts_enabled: false,
+        details_submitted: false
+      };
+      state.accounts.set(account.id, account);
+      return account;
+    }],
+    ['GET', /^\/v1\/accounts\/([^/]+)$/, (params, id) => state.accounts.get(id)],
+    ['POST', /^\/v1\/account_links$/, (params) => {
+      if (!state.accounts.has(params.account)) return null;
+      return {
+        object: 'account_link',
+        url: `https://connect.stripe.test/setup/${params.account}`,
+        expires_at: Math.floor(Date.now() / 1000) + 300
+      };
+    }],
+    ['POST', /^\/v1\/customers$/, (params) => {
+      const customer = { id: newId('cus'), object: 'customer', ...params };
+      state.customers.set(customer.id, customer);
+      return customer;
+    }],
+    ['POST', /^\/v1\/payment_intents$/, (params) => {
+      const id = newId('pi');
+      const paymentIntent = {
+        id,
+        object: 'payment_intent',
+        client_secret: `${id}_secret_${crypto.randomBytes(4).toString('hex')}`,
+        status: 'requires_payment_method',
+        metadata: {},
+        ...params
+      };
+      state.paymentIntents.set(id, paymentIntent);
+      if (params.confirm) succeed(id);
+      return paymentIntent;
+    }],
+    ['GET', /^\/v1\/payment_intents\/([^/]+)$/, (params, id) => state.paymentIntents.get(id)],
+    ['POST', /^\/v1\/payment_intents\/([^/]+)\/cancel$/, (params, id) => {
+      const paymentIntent = state.paymentIntents.get(id);
+      if (!paymentIntent) return null;
+      if (['succeeded', 'canceled', 'processing'].includes(paymentIntent.status)) {
+        return { error: `You cannot cancel this PaymentIntent because it has a status of ${paymentIntent.status}.` };
+      }
+      paymentIntent.status = 'canceled';
+      paymentIntent.cancellation_reason = params.cancellation_reason;
+      return paymentIntent;
+    }],
+    ['POST', /^\/v1\/refunds$/, (params) => {
+      const paymentIntent = state.paymentIntents.get(params.payment_intent);
+      if (!paymentIntent) return null;
+      return addRefund(paymentIntent.id, params.amount || paymentIntent.amount, params);
+    }],
+    ['GET', /^\/v1\/refunds$/, (params) => {
+      const data = [...state.refunds.values()]
+        .filter(refund => !params.charge || refund.charge === params.charge)
+        .filter(refund => !params.payment_intent || refund.payment_intent === params.payment_intent)
+        .reverse();
+      return { object: 'list', data, has_more: false, url: '/v1/refunds' };
+    }],
+    ['POST', /^\/v1\/disputes\/([^/]+)$/, (params, id) => ({ id, object: 'dispute', ...params })]
+  ];
+
+  // Mark a PaymentIntent paid, with a charge like Stripe creates
+  const succeed = (id, fields = {}) => {
+    const paymentIntent = state.paymentIntents.get(id);
+    Object.assign(paymentIntent, {
+      status: 'succeeded',
+      latest_charge: paymentIntent.latest_charge || newId('ch'),
+      payment_method: paymentIntent.payment_method || newId('pm'),
+      amount_received: paymentIntent.amount
+    }, fields);
+    return paymentIntent;
+  };
+
+  // Record a refund, e.g. one issued from the Stripe dashboard
+  const addRefund = (paymentIntentId, amount, fields = {}) => {
+    const paymentIntent = state.paymentIntents.get(paymentIntentId);
+    const refund = {
+      id: newId('re'),
+      object: 'refund',
+      amount,
+      currency: paymentIntent.currency,
+      charge: paymentIntent.latest_charge,
+      payment_intent: paymentIntent.id,
+      status: 'succeeded',
+      created: Math.floor(Date.now() / 1000),
+      metadata: {},
+      ...fields
+    };
+    state.refunds.set(refund.id, refund);
+    return refund;
+  };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const params = req.method === 'GET' ? parseForm(url.searchParams.toString()) : parseForm(body);
+      const idempotencyKey = req.headers['idempotency-key'];
+      state.requests.push({ method: req.method, path: url.pathname, params, idempotencyKey });
+
+      const replay = idempotencyKey && state.responses.get(`${req.method} ${url.pathname} ${idempotencyKey}`);
+      const send = (status, payload) => {
+        if (idempotencyKey && !replay) {
+          state.responses.set(`${req.method} ${url.pathname} ${idempotencyKey}`, { status, payload });
+        }
+        res.writeHead(status, { 'Content-Type': 'application/json', 'Request-Id': newId('req') });
+        res.end(JSON.stringify(payload));
+      };
+
+      if (replay) {
+        return send(replay.status, replay.payload);
+      }
+
+      for (const [method, pattern, handler] of routes) {
+        const match = req.method === method && url.pathname.match(pattern);
+        if (!match) continue;
+
+        const result = handler(params, ...match.slice(1));
+        if (!result) {
+          return send(404, { error: { type: 'invalid_request_error', code: 'resource_missing', message: 'No such object' } });
+        }
+        if (result.error) {
+          return send(400, { error: { type: 'invalid_request_error', message: result.error } });
+        }
+        return send(200, result);
+      }
+
+      send(404, { error: { type: 'invalid_request_error', message: `Unrecognized request URL (${req.method}: ${url.pathname})` } });
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.STRIPE_API_HOST = '127.0.0.1';
+  process.env.STRIPE_API_PORT = String(server.address().port);
+  process.env.STRIPE_API_PROTOCOL = 'http';
+
+  return {
+    ...state,
+    succeed,
+    addRefund,
+    // Requests made to a path, e.g. requestsTo('POST', '/v1/payment_intents')
+    requestsTo: (method, path) => state.requests.filter(r => r.method === method && r.path === path),
+    reset: () => {
+      ['accounts', 'customers', 'paymentIntents', 'refunds', 'responses'].forEach(key => state[key].clear());
+      state.requests.length = 0;
+    },
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+module.exports = { start };
@@ -0,0 +1,201 @@
+jest.mock('../utils/notifications');
+
+const request = require('supertest');
+const db = require('./helpers/db');
+const { createApp, createUser, createProvider, daysFromNow } = require('./helpers/fixtures');
+const oidcIssuer = require('./helpers/oidcIssuer');
+const { deliverOTP } = require('../utils/notifications');
+const User = require('../models/User');
+const Provider = require('../models/Provider');
+const Booking = require('../models/Booking');
+const OidcLogin = require('../models/OidcLogin');
+
+let app;
+let issuer;
+
+beforeAll(async () => {
+  issuer = await oidcIssuer.start({ name: 'test' });
+  // utils/oidc reads the configured providers when first required
+  app = createApp({
+    '/api/auth': require('../routes/auth'),
+    '/api/auth/oidc': require('../routes/oidc'),
+    '/api/bookings': require('../routes/bookings')
+  });
+  await db.connect();
+});
+afterEach(async () => {
+  await db.clear();
+  issuer.reset();
+  jest.clearAllMocks();
+});
+afterAll(async () => {
+  await db.close();
+  await issuer.close();
+});
+
+const janeClaims = (overrides = {}) => ({
+  sub: 'jane-123',
+  email: 'Jane@Example.com',
+  email_verified: true,
+  given_name: 'Jane',
+  family_name: 'Doe',
+  phone_number: '+15550001111',
+  phone_number_verified: true,
+  ...overrides
+});
+
+// Sign in at the issuer as a user with the given claims and follow the
+// browser back to the callback. Resolves to the parameters the callback
+// sends the client, e.g. code or error. cookie replaces the state cookie
+// set by /start.
+const signIn = async (claims, { cookie } = {}) => {
+  issuer.setUser(claims);
+
+  const start = await request(app).get('/api/auth/oidc/test/start');
+  expect(start.status).toBe(302);
+  const stateCookie = start.headers['set-cookie'].find(header => header.startsWith('oidc_state='));
+  expect(stateCookie).toMatch(/HttpOnly/);
+  expect(stateCookie).toMatch(/SameSite=Lax/);
+
+  const authorize = await fetch(start.headers.location, { redirect: 'manual' });
+  const callbackUrl = new URL(authorize.headers.get('location'));
+
+  const callback = await request(app)
+    .get(`${callbackUrl.pathname}${callbackUrl.search}`)
+    .set('Cookie', cookie === undefined ? stateCookie.split(';')[0] : cookie);
+  expect(callback.status).toBe(302);
+
+  return new URL(callback.headers.location).searchParams;
+};
+
+const exchange = (code, details = {}) => request(app)
+  .post('/api/auth/oidc/exchange')
+  .send({ code, ...details });
+
+describe('OIDC sign-in', () => {
+  it('creates an account for a new user', async () => {
+    const result = await signIn(janeClaims());
+
+    const res = await exchange(result.get('code'));
+
+    expect(res.status).toBe(201);
+    expect(res.body.token).toBeDefined();
+    const user = await User.findOne({ email: 'jane@example.com' });
+    expect(user).toMatchObject({ isVerified: true, phone: '+15550001111', firstName: 'Jane', lastName: 'Doe' });
+    expect(user.identities).toEqual([expect.objectContaining({ provider: 'test', subject: 'jane-123' })]);
+  });
+
+  it('links an existing account by verified email address', async () => {
+    const { user } = await createUser({ email: 'jane@example.com' });
+
+    const result = await signIn(janeClaims({ phone_number: undefined }));
+    const res = await exchange(result.get('code'));
+
+    expect(res.status).toBe(200);
+    expect(res.body.user.id).toBe(user._id.toString());
+    expect((await User.findById(user._id)).identities).toEqual([
+      expect.objectContaining({ provider: 'test', subject: 'jane-123' })
+    ]);
+  });
+
+  it('does not link or create accounts for an unverified email address', async () => {
+    const { user } = await createUser({ email: 'jane@example.com' });
+
+    const result = await signIn(janeClaims({ email_verified: false }));
+
+    expect(result.get('error')).toBe('email_unverified');
+    expect((await User.findById(user._id)).identities).toHaveLength(0);
+    expect(await User.countDocuments()).toBe(1);
+  });
+
+  it('hands users with two-factor authentication on to the second step', async () => {
+    await createUser({ email: 'jane@example.com', twoFactor: { enabled: true } });
+
+    const result = await signIn(janeClaims());
+    const res = await exchange(result.get('code'));
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ requiresTwoFactor: true, challengeToken: expect.any(String) });
+    expect(res.body.token).toBeUndefined();
+  });
+
+  it('rejects a callback without the state cookie from /start', async () => {
+    const missing = await signIn(janeClaims(), { cookie: '' });
+    const mismatched = await signIn(janeClaims(), { cookie: 'oidc_state=attacker-state' });
+
+    expect(missing.get('error')).toBe('invalid_state');
+    expect(mismatched.get('error')).toBe('invalid_state');
+    expect(await OidcLogin.countDocuments({ exchangeCodeHash: { $exists: true } })).toBe(0);
+  });
+
+  it('verifies a phone number the provider did not share', async () => {
+    const result = await signIn(janeClaims({ phone_number: undefined }));
+
+    const first = await exchange(result.get('code'));
+    expect(first.body).toMatchObject({ profileRequired: true, missing: ['phone'] });
+
+    const res = await exchange(result.get('code'), { phone: '+15550002222' });
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ requiresVerification: true, otpChannel: 'sms' });
+    expect(res.body.token).toBeUndefined();
+
+    const user = await User.findById(res.body.userId);
+    expect(user.isVerified).toBe(false);
+    expect(deliverOTP).toHaveBeenCalledWith(expect.objectContaining({ phone: '+15550002222' }), expect.any(String), 'sms');
+
+    const otp = deliverOTP.mock.calls[0][1];
+    const verified = await request(app)
+      .post('/api/auth/verify-otp')
+      .send({ userId: res.body.userId, otp });
+
+    expect(verified.status).toBe(200);
+    // Later codes go to the email address the provider verified
+    expect(await User.findById(user._id)).toMatchObject({ isVerified: true, otpChannel: 'email' });
+  });
+
+  it('keeps the channel the user picked for later codes', async () => {
+    const result = await signIn(janeClaims({ phone_number: undefined }));
+
+    const res = await exchange(result.get('code'), { phone: '+15550002222', otpChannel: 'sms' });
+
+    expect(res.status).toBe(201);
+    expect((await User.findById(res.body.userId)).otpChannel).toBe('sms');
+  });
+
+  it('replaces an unverified account with the same email only once the new one is created', async () => {
+    const { provider, user: unverified } = await createProvider();
+    await User.updateOne({ _id: unverified._id }, { email: 'jane@example.com', isVerified: false });
+    const { token } = await createUser();
+    const booked = await request(app)
+      .post('/api/bookings')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ providerId: provider._id.toString(), serviceName: 'Haircut', appointmentDate: daysFromNow(3), startTime: '10:00' });
+    expect(booked.status).toBe(201);
+
+    const result = await signIn(janeClaims());
+
+    // Signing in alone doesn't touch the old account
+    expect(await User.findById(unverified._id)).not.toBeNull();
+
+    const res = await exchange(result.get('code'));
+
+    expect(res.status).toBe(201);
+    expect(await User.findById(unverified._id)).toBeNull();
+    expect(await Provider.findById(provider._id)).toBeNull();
+    expect(await Booking.findById(booked.body.booking._id)).toBeNull();
+    expect((await User.findOne({ email: 'jane@example.com' }))._id.toString()).toBe(res.body.user.id);
+  });
+
+  it('keeps the unverified account when the new one cannot be created', async () => {
+    const { user: unverified } = await createUser({ email: 'jane@example.com', isVerified: false });
+    await createUser({ phone: '+15550001111' });
+
+    const result = await signIn(janeClaims());
+    const res = await exchange(result.get('code'));
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Phone number already registered');
+    expect(await User.findById(unverified._id)).not.toBeNull();
+  });
+});
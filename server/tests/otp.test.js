@@ -0,0 +1,83 @@
+jest.mock('../utils/notifications');
+
+const request = require('supertest');
+const db = require('./helpers/db');
+const { createApp, createUser } = require('./helpers/fixtures');
+const User = require('../models/User');
+
+const app = createApp({ '/api/auth': require('../routes/auth') });
+
+beforeAll(() => db.connect());
+afterEach(() => db.clear());
+afterAll(() => db.close());
+
+// Unverified user holding a fresh code; resolves to { user, code, wrongCode }
+const createUnverifiedUser = async () => {
+  const { user } = await createUser({ isVerified: false });
+  const code = user.generateOTP();
+  await user.save();
+  return { user, code, wrongCode: code === '000000' ? '111111' : '000000' };
+};
+
+const verify = (user, otp) => request(app)
+  .post('/api/auth/verify-otp')
+  .send({ userId: user._id.toString(), otp });
+
+describe('POST /api/auth/verify-otp', () => {
+  it('verifies the account with the right code', async () => {
+    const { user, code } = await createUnverifiedUser();
+
+    const res = await verify(user, code);
+
+    expect(res.status).toBe(200);
+    expect((await User.findById(user._id)).isVerified).toBe(true);
+  });
+
+  it('locks the user out after five wrong codes', async () => {
+    const { user, code, wrongCode } = await createUnverifiedUser();
+
+    const messages = [];
+    for (let i = 0; i < 5; i++) {
+      messages.push((await verify(user, wrongCode)).body.message);
+    }
+
+    expect(messages.slice(0, 4)).toEqual([4, 3, 2, 1].map(n => `Invalid OTP. ${n} attempt(s) remaining.`));
+    expect(messages[4]).toMatch(/^Too many failed attempts/);
+
+    // The code is discarded, so even the right one no longer works
+    const res = await verify(user, code);
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/^Too many failed attempts/);
+    const saved = await User.findById(user._id);
+    expect(saved.isVerified).toBe(false);
+    expect(saved.otpLockedUntil.getTime()).toBeGreaterThan(Date.now() + 14 * 60 * 1000);
+  });
+
+  it('counts concurrent guesses against the same limit', async () => {
+    const { user, code, wrongCode } = await createUnverifiedUser();
+
+    const responses = await Promise.all(Array.from({ length: 10 }, () => verify(user, wrongCode)));
+    const messages = responses.map(res => res.body.message);
+
+    // Only five guesses are ever compared with the code
+    expect(messages.filter(message => /attempt\(s\) remaining/.test(message))).toHaveLength(4);
+    expect(messages.filter(message => /^Too many failed attempts/.test(message))).toHaveLength(1);
+    expect(messages.filter(message => message === 'Invalid or expired OTP')).toHaveLength(5);
+
+    expect((await verify(user, code)).status).toBe(400);
+  });
+
+  it('accepts a new code once the lockout is over', async () => {
+    const { user, wrongCode } = await createUnverifiedUser();
+    for (let i = 0; i < 5; i++) {
+      await verify(user, wrongCode);
+    }
+
+    const locked = await User.findById(user._id);
+    locked.otpLockedUntil = new Date(Date.now() - 1000);
+    const code = locked.generateOTP();
+    await locked.save();
+
+    expect((await verify(user, code)).status).toBe(200);
+  });
+});
@@ -0,0 +1,121 @@
+jest.mock('../utils/notifications');
+
+const request = require('supertest');
+const db = require('./helpers/db');
+const stripeMockServer = require('./helpers/stripeMock');
+const { createApp, createUser, createProvider } = require('./helpers/fixtures');
+const PackagePurchase = require('../models/PackagePurchase');
+const LedgerEntry = require('../models/LedgerEntry');
+const TaxRate = require('../models/TaxRate');
+
+let app;
+let stripeMock;
+
+beforeAll(async () => {
+  stripeMock = await stripeMockServer.start();
+  app = createApp({ '/api/packages': require('../routes/packages') });
+  await db.connect();
+});
+afterEach(async () => {
+  await db.clear();
+  stripeMock.reset();
+});
+afterAll(async () => {
+  await db.close();
+  await stripeMock.close();
+});
+
+// Provider in California selling five sessions of a service for 200
+const createPackageProvider = async (taxable) => {
+  const { provider } = await createProvider({
+    services: [{ name: 'Haircut', duration: 60, price: 50, taxable }],
+    packages: [{ name: 'Five cuts', serviceName: 'Haircut', sessionCount: 5, price: 200 }],
+    location: { address: { city: 'San Francisco', state: 'CA', country: 'US' } }
+  });
+  await TaxRate.create({ country: 'US', state: 'CA', name: 'CA Sales Tax', rate: 7.25 });
+  return provider;
+};
+
+const purchase = (provider, token) => request(app)
+  .post('/api/packages/purchase')
+  .set('Authorization', `Bearer ${token}`)
+  .send({ providerId: provider._id.toString(), packageId: provider.packages[0]._id.toString() });
+
+describe('POST /api/packages/purchase', () => {
+  it('charges tax on packages of a taxable service', async () => {
+    const provider = await createPackageProvider(true);
+    const { token } = await createUser();
+
+    const res = await purchase(provider, token);
+
+    expect(res.status).toBe(201);
+    expect(res.body.purchase).toMatchObject({
+      price: 200,
+      tax: { name: 'CA Sales Tax', rate: 7.25, amount: 14.5 },
+      amount: 214.5
+    });
+    expect(stripeMock.paymentIntents.get(res.body.paymentIntentId).amount).toBe(21450);
+  });
+
+  it('records the taxed total in the ledger once paid', async () => {
+    const provider = await createPackageProvider(true);
+    const { token } = await createUser();
+    const { body } = await purchase(provider, token);
+    stripeMock.succeed(body.paymentIntentId);
+
+    const res = await request(app)
+      .post('/api/packages/confirm')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ paymentIntentId: body.paymentIntentId });
+
+    expect(res.status).toBe(200);
+    const charge = await LedgerEntry.findOne({ packagePurchase: body.purchase._id, type: 'charge' });
+    expect(charge.amount).toBe(21450);
+    expect((await PackagePurchase.findById(body.purchase._id)).status).toBe('active');
+  });
+
+  it('leaves packages of untaxed services at the package price', async () => {
+    const provider = await createPackageProvider(false);
+    const { token } = await createUser();
+
+    const res = await purchase(provider, token);
+
+    expect(res.status).toBe(201);
+    expect(res.body.purchase.tax.amount).toBe(0);
+    expect(stripeMock.paymentIntents.get(res.body.paymentIntentId).amount).toBe(20000);
+  });
+
+  it('saves the purchase before creating its PaymentIntent', async () => {
+    const provider = await createPackageProvider(false);
+    const { token } = await createUser();
+    const stripe = require('../utils/stripe');
+    const create = stripe.paymentIntents.create.bind(stripe.paymentIntents);
+    let savedFirst;
+    const spy = jest.spyOn(stripe.paymentIntents, 'create').mockImplementation(async (params, ...rest) => {
+      savedFirst = Boolean(await PackagePurchase.findById(params.metadata.packagePurchaseId));
+      return create(params, ...rest);
+    });
+
+    const res = await purchase(provider, token);
+    spy.mockRestore();
+
+    expect(res.status).toBe(201);
+    expect(savedFirst).toBe(true);
+    expect((await PackagePurchase.findById(res.body.purchase._id)).payment.stripePaymentIntentId)
+      .toBe(res.body.paymentIntentId);
+  });
+
+  it('cancels the purchase when the PaymentIntent cannot be created', async () => {
+    const provider = await createPackageProvider(false);
+    const { token } = await createUser();
+    const stripe = require('../utils/stripe');
+    const spy = jest.spyOn(stripe.paymentIntents, 'create').mockRejectedValue(new Error('Stripe is down'));
+
+    const res = await purchase(provider, token);
+    spy.mockRestore();
+
+    expect(res.status).toBe(500);
+    const saved = await PackagePurchase.findOne();
+    expect(saved).toMatchObject({ status: 'cancelled', payment: expect.objectContaining({ status: 'failed' }) });
+  });
+});
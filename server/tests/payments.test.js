@@ -0,0 +1,158 @@
+jest.mock('../utils/notifications');
+
+const request = require('supertest');
+const db = require('./helpers/db');
+const { createApp, createUser, createProvider, daysFromNow } = require('./helpers/fixtures');
+const stripeMockServer = require('./helpers/stripeMock');
+const Booking = require('../models/Booking');
+
+let app;
+let stripeMock;
+
+beforeAll(async () => {
+  stripeMock = await stripeMockServer.start();
+  // utils/stripe reads the mock's address when first required
+  app = createApp({
+    '/api/bookings': require('../routes/bookings'),
+    '/api/payments': require('../routes/payments')
+  });
+  await db.connect();
+});
+afterEach(async () => {
+  await db.clear();
+  stripeMock.reset();
+});
+afterAll(async () => {
+  await db.close();
+  await stripeMock.close();
+});
+
+const book = async (provider, token) => {
+  const res = await request(app)
+    .post('/api/bookings')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ providerId: provider._id.toString(), serviceName: 'Haircut', appointmentDate: daysFromNow(3), startTime: '10:00' });
+  expect(res.status).toBe(201);
+  return res.body.booking._id;
+};
+
+const createPaymentIntent = (bookingId, token) => request(app)
+  .post('/api/payments/create-payment-intent')
+  .set('Authorization', `Bearer ${token}`)
+  .send({ bookingId });
+
+describe('POST /api/payments/create-payment-intent', () => {
+  it('hands out the open PaymentIntent again on a retry', async () => {
+    const { provider } = await createProvider();
+    const { token } = await createUser();
+    const bookingId = await book(provider, token);
+
+    const first = await createPaymentIntent(bookingId, token);
+    const second = await createPaymentIntent(bookingId, token);
+
+    expect(first.status).toBe(200);
+    expect(second.status).toBe(200);
+    expect(second.body.paymentIntentId).toBe(first.body.paymentIntentId);
+    expect(stripeMock.requestsTo('POST', '/v1/payment_intents')).toHaveLength(1);
+  });
+
+  it('cancels the earlier PaymentIntent when the amount has changed', async () => {
+    const { provider } = await createProvider();
+    const { token } = await createUser();
+    const bookingId = await book(provider, token);
+
+    const first = await createPaymentIntent(bookingId, token);
+    await Booking.updateOne({ _id: bookingId }, { 'payment.amount': 40 });
+    const second = await createPaymentIntent(bookingId, token);
+
+    expect(second.status).toBe(200);
+    expect(second.body.paymentIntentId).not.toBe(first.body.paymentIntentId);
+    expect(stripeMock.paymentIntents.get(first.body.paymentIntentId).status).toBe('canceled');
+    expect(stripeMock.paymentIntents.get(second.body.paymentIntentId).amount).toBe(4000);
+
+    const booking = await Booking.findById(bookingId);
+    expect(booking.payment.stripePaymentIntentId).toBe(second.body.paymentIntentId);
+  });
+
+  it('refuses a new PaymentIntent while the earlier one is processing', async () => {
+    const { provider } = await createProvider();
+    const { token } = await createUser();
+    const bookingId = await book(provider, token);
+
+    const first = await createPaymentIntent(bookingId, token);
+    stripeMock.paymentIntents.get(first.body.paymentIntentId).status = 'processing';
+    await Booking.updateOne({ _id: bookingId }, { 'payment.amount': 40 });
+    const second = await createPaymentIntent(bookingId, token);
+
+    expect(second.status).toBe(400);
+    expect(stripeMock.requestsTo('POST', '/v1/payment_intents')).toHaveLength(1);
+  });
+});
+
+describe('balance payments', () => {
+  // Deposit booking whose deposit is paid with a saved card; resolves to
+  // { bookingId, token, providerToken }
+  const createDepositBooking = async () => {
+    const { provider, token: providerToken } = await createProvider({
+      services: [{ name: 'Haircut', duration: 60, price: 50, taxable: false, deposit: { type: 'fixed', value: 10 } }]
+    });
+    const { token } = await createUser();
+    const bookingId = await book(provider, token);
+
+    await Booking.updateOne({ _id: bookingId }, {
+      status: 'confirmed',
+      'payment.status': 'succeeded',
+      'payment.paidAt': new Date(),
+      'payment.stripeCustomerId': 'cus_test',
+      'payment.stripePaymentMethodId': 'pm_test'
+    });
+
+    return { bookingId, token, providerToken };
+  };
+
+  const createBalancePaymentIntent = (bookingId, token) => request(app)
+    .post('/api/payments/balance-payment-intent')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ bookingId });
+
+  const complete = (bookingId, providerToken) => request(app)
+    .put(`/api/bookings/${bookingId}/status`)
+    .set('Authorization', `Bearer ${providerToken}`)
+    .send({ status: 'completed' });
+
+  it('hands out the open PaymentIntent again on a retry', async () => {
+    const { bookingId, token } = await createDepositBooking();
+
+    const first = await createBalancePaymentIntent(bookingId, token);
+    const second = await createBalancePaymentIntent(bookingId, token);
+
+    expect(first.status).toBe(200);
+    expect(second.body.paymentIntentId).toBe(first.body.paymentIntentId);
+    expect(stripeMock.requestsTo('POST', '/v1/payment_intents')).toHaveLength(1);
+  });
+
+  it('does not charge the balance on completion while the customer is paying it', async () => {
+    const { bookingId, token, providerToken } = await createDepositBooking();
+    const open = await createBalancePaymentIntent(bookingId, token);
+    stripeMock.paymentIntents.get(open.body.paymentIntentId).status = 'requires_action';
+
+    const res = await complete(bookingId, providerToken);
+
+    expect(res.status).toBe(200);
+    expect(stripeMock.requestsTo('POST', '/v1/payment_intents')).toHaveLength(1);
+    const booking = await Booking.findById(bookingId);
+    expect(booking.payment.balance).toMatchObject({ status: 'pending', stripePaymentIntentId: open.body.paymentIntentId });
+  });
+
+  it('cancels an abandoned PaymentIntent before charging on completion', async () => {
+    const { bookingId, token, providerToken } = await createDepositBooking();
+    const open = await createBalancePaymentIntent(bookingId, token);
+
+    await complete(bookingId, providerToken);
+
+    expect(stripeMock.paymentIntents.get(open.body.paymentIntentId).status).toBe('canceled');
+    const booking = await Booking.findById(bookingId);
+    expect(booking.payment.balance.status).toBe('succeeded');
+    expect(booking.payment.balance.stripePaymentIntentId).not.toBe(open.body.paymentIntentId);
+  });
+});
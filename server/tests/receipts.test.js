@@ -0,0 +1,89 @@
+// Confirmation emails are sent for real, through a stubbed mail transport,
+// to check what they attach
+const mockSendMail = jest.fn().mockResolvedValue({ messageId: 'test' });
+jest.mock('nodemailer', () => ({ createTransport: () => ({ sendMail: mockSendMail }) }));
+jest.mock('../utils/notifications', () => ({
+  ...jest.createMockFromModule('../utils/notifications'),
+  sendBookingConfirmation: jest.requireActual('../utils/notifications').sendBookingConfirmation
+}));
+
+const request = require('supertest');
+const db = require('./helpers/db');
+const { createApp, createUser, createProvider, daysFromNow } = require('./helpers/fixtures');
+const Booking = require('../models/Booking');
+const Counter = require('../models/Counter');
+const { ensureInvoiceNumber } = require('../utils/receipts');
+
+const app = createApp({ '/api/bookings': require('../routes/bookings') });
+
+beforeAll(() => db.connect());
+afterEach(async () => {
+  await db.clear();
+  mockSendMail.mockClear();
+});
+afterAll(() => db.close());
+
+// Pending booking; resolves to { bookingId, providerToken }
+const createBooking = async (startTime) => {
+  const { provider, token: providerToken } = await createProvider();
+  const { token } = await createUser();
+  const res = await request(app)
+    .post('/api/bookings')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ providerId: provider._id.toString(), serviceName: 'Haircut', appointmentDate: daysFromNow(3), startTime });
+  expect(res.status).toBe(201);
+  return { bookingId: res.body.booking._id, providerToken };
+};
+
+const confirm = (bookingId, providerToken) => request(app)
+  .put(`/api/bookings/${bookingId}/status`)
+  .set('Authorization', `Bearer ${providerToken}`)
+  .send({ status: 'confirmed' });
+
+describe('ensureInvoiceNumber', () => {
+  it('takes one number for concurrent receipts of the same booking', async () => {
+    const { bookingId } = await createBooking('10:00');
+    const copies = await Promise.all([1, 2, 3, 4].map(() => Booking.findById(bookingId)));
+
+    const numbers = await Promise.all(copies.map(booking => ensureInvoiceNumber(booking)));
+
+    expect(new Set(numbers)).toEqual(new Set(['INV-000001']));
+    expect((await Counter.findOne({ name: 'invoice' })).value).toBe(1);
+  });
+
+  it('numbers bookings without gaps', async () => {
+    const first = await Booking.findById((await createBooking('10:00')).bookingId);
+    const second = await Booking.findById((await createBooking('11:00')).bookingId);
+
+    await Promise.all([ensureInvoiceNumber(first), ensureInvoiceNumber(first), ensureInvoiceNumber(second)]);
+
+    expect([first.invoice.number, second.invoice.number].sort()).toEqual(['INV-000001', 'INV-000002']);
+    expect((await Booking.findById(first._id)).invoice.claimedAt).toBeUndefined();
+  });
+});
+
+describe('booking confirmation emails', () => {
+  it('attach no receipt and take no invoice number for unpaid bookings', async () => {
+    const { bookingId, providerToken } = await createBooking('10:00');
+
+    const res = await confirm(bookingId, providerToken);
+
+    expect(res.status).toBe(200);
+    expect(mockSendMail).toHaveBeenCalledWith(expect.objectContaining({ attachments: [] }));
+    expect((await Booking.findById(bookingId)).invoice?.number).toBeUndefined();
+    expect(await Counter.findOne({ name: 'invoice' })).toBeNull();
+  });
+
+  it('attach a numbered receipt for paid bookings', async () => {
+    const { bookingId, providerToken } = await createBooking('10:00');
+    await Booking.updateOne({ _id: bookingId }, { 'payment.status': 'succeeded', 'payment.paidAt': new Date() });
+
+    const res = await confirm(bookingId, providerToken);
+
+    expect(res.status).toBe(200);
+    expect(mockSendMail).toHaveBeenCalledWith(expect.objectContaining({
+      attachments: [expect.objectContaining({ filename: 'INV-000001.pdf' })]
+    }));
+    expect((await Booking.findById(bookingId)).invoice.number).toBe('INV-000001');
+  });
+});
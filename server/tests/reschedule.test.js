@@ -0,0 +1,80 @@
+jest.mock('../utils/notifications');
+
+const request = require('supertest');
+const db = require('./helpers/db');
+const { createApp, createUser, createProvider, daysFromNow } = require('./helpers/fixtures');
+const Booking = require('../models/Booking');
+const Provider = require('../models/Provider');
+
+const app = createApp({ '/api/bookings': require('../routes/bookings') });
+
+beforeAll(() => db.connect());
+afterEach(() => db.clear());
+afterAll(() => db.close());
+
+const bookAndConfirm = async (provider, token) => {
+  const res = await request(app)
+    .post('/api/bookings')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ providerId: provider._id.toString(), serviceName: 'Haircut', appointmentDate: daysFromNow(3), startTime: '10:00' });
+  expect(res.status).toBe(201);
+
+  await Booking.updateOne(
+    { _id: res.body.booking._id },
+    { status: 'confirmed', reminders: [{ type: 'email', hoursBefore: 24, status: 'sent', sentAt: new Date() }] }
+  );
+  return res.body.booking._id;
+};
+
+describe('PUT /api/bookings/:id/reschedule', () => {
+  it('clears reminders sent for the old time', async () => {
+    const { provider } = await createProvider();
+    const { token } = await createUser();
+    const bookingId = await bookAndConfirm(provider, token);
+
+    const res = await request(app)
+      .put(`/api/bookings/${bookingId}/reschedule`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ newDate: daysFromNow(4), newStartTime: '11:00' });
+
+    expect(res.status).toBe(200);
+    const booking = await Booking.findById(bookingId);
+    expect(booking.startTime).toBe('11:00');
+    expect(booking.reminders).toHaveLength(0);
+  });
+
+  it('keeps reminders when the time does not change', async () => {
+    const { provider } = await createProvider();
+    const { token } = await createUser();
+    const bookingId = await bookAndConfirm(provider, token);
+
+    const res = await request(app)
+      .put(`/api/bookings/${bookingId}/reschedule`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ newDate: daysFromNow(3), newStartTime: '10:00' });
+
+    expect(res.status).toBe(200);
+    const booking = await Booking.findById(bookingId);
+    expect(booking.reminders).toHaveLength(1);
+  });
+
+  it('moves the booking to the provider\'s current time zone', async () => {
+    const { provider } = await createProvider();
+    const { token } = await createUser();
+    const bookingId = await bookAndConfirm(provider, token);
+    await Provider.updateOne({ _id: provider._id }, { timezone: 'America/New_York' });
+
+    const res = await request(app)
+      .put(`/api/bookings/${bookingId}/reschedule`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ newDate: daysFromNow(4), newStartTime: '11:00' });
+
+    expect(res.status).toBe(200);
+    const booking = await Booking.findById(bookingId);
+    expect(booking.timezone).toBe('America/New_York');
+    expect(booking.appointmentDateTime.toLocaleTimeString('en-US', {
+      timeZone: 'America/New_York', hour: '2-digit', minute: '2-digit', hour12: false
+    })).toBe('11:00');
+    expect(booking.reminders).toHaveLength(0);
+  });
+});
@@ -0,0 +1,83 @@
+jest.mock('../utils/notifications');
+
+const request = require('supertest');
+const db = require('./helpers/db');
+const { createApp, createUser, createProvider, daysFromNow } = require('./helpers/fixtures');
+const Booking = require('../models/Booking');
+const Provider = require('../models/Provider');
+const Review = require('../models/Review');
+
+const app = createApp({
+  '/api/bookings': require('../routes/bookings'),
+  '/api/reviews': require('../routes/reviews')
+});
+
+beforeAll(() => db.connect());
+afterEach(() => db.clear());
+afterAll(() => db.close());
+
+// Booking by a new customer at the given time, marked completed unless
+// status says otherwise; resolves to { booking, token }
+const createBooking = async (provider, startTime, status = 'completed') => {
+  const { token } = await createUser();
+  const res = await request(app)
+    .post('/api/bookings')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ providerId: provider._id.toString(), serviceName: 'Haircut', appointmentDate: daysFromNow(3), startTime });
+  expect(res.status).toBe(201);
+
+  await Booking.updateOne({ _id: res.body.booking._id }, { status });
+  return { booking: res.body.booking, token };
+};
+
+const review = (booking, token, rating) => request(app)
+  .post('/api/reviews')
+  .set('Authorization', `Bearer ${token}`)
+  .send({ bookingId: booking._id, rating, comment: 'Great cut' });
+
+describe('POST /api/reviews', () => {
+  it('reviews a completed booking', async () => {
+    const { provider } = await createProvider();
+    const { booking, token } = await createBooking(provider, '10:00');
+
+    const res = await review(booking, token, 4);
+
+    expect(res.status).toBe(201);
+    expect(res.body.review).toMatchObject({ rating: 4, comment: 'Great cut', provider: provider._id.toString() });
+    expect(await Review.countDocuments({ booking: booking._id })).toBe(1);
+  });
+
+  it('rejects bookings that are not completed', async () => {
+    const { provider } = await createProvider();
+    const { booking, token } = await createBooking(provider, '10:00', 'confirmed');
+
+    const res = await review(booking, token, 4);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Only completed bookings can be reviewed');
+  });
+
+  it('rejects a second review of the same booking', async () => {
+    const { provider } = await createProvider();
+    const { booking, token } = await createBooking(provider, '10:00');
+    await review(booking, token, 4);
+
+    const res = await review(booking, token, 1);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Booking has already been reviewed');
+    expect(await Review.countDocuments({ booking: booking._id })).toBe(1);
+  });
+
+  it('recomputes the provider rating from its reviews', async () => {
+    const { provider } = await createProvider();
+    const first = await createBooking(provider, '10:00');
+    const second = await createBooking(provider, '12:00');
+
+    await review(first.booking, first.token, 4);
+    expect((await Provider.findById(provider._id)).rating).toMatchObject({ average: 4, count: 1 });
+
+    await review(second.booking, second.token, 5);
+    expect((await Provider.findById(provider._id)).rating).toMatchObject({ average: 4.5, count: 2 });
+  });
+});
@@ -0,0 +1,74 @@
+jest.mock('../utils/notifications');
+
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const db = require('./helpers/db');
+const { createApp, createUser } = require('./helpers/fixtures');
+const Session = require('../models/Session');
+
+const app = createApp({ '/api/auth': require('../routes/auth') });
+
+beforeAll(() => db.connect());
+afterEach(() => db.clear());
+afterAll(() => db.close());
+
+const login = async () => {
+  const { user } = await createUser();
+  const res = await request(app)
+    .post('/api/auth/login')
+    .send({ identifier: user.email, password: 'password123' });
+  expect(res.status).toBe(200);
+  return res.body;
+};
+
+const refresh = (refreshToken) => request(app)
+  .post('/api/auth/refresh')
+  .send({ refreshToken });
+
+describe('refresh tokens', () => {
+  it('issues short-lived access tokens', async () => {
+    const { token } = await login();
+
+    const { iat, exp } = jwt.decode(token);
+    expect(exp - iat).toBe(15 * 60);
+  });
+
+  it('rotates the refresh token on each use', async () => {
+    const { refreshToken } = await login();
+
+    const first = await refresh(refreshToken);
+    const second = await refresh(first.body.refreshToken);
+
+    expect(first.status).toBe(200);
+    expect(second.status).toBe(200);
+    expect(second.body.refreshToken).not.toBe(first.body.refreshToken);
+  });
+
+  it('revokes the session when a used refresh token comes back', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const { token, refreshToken } = await login();
+    const rotated = await refresh(refreshToken);
+
+    const reused = await refresh(refreshToken);
+
+    expect(reused.status).toBe(401);
+    const session = await Session.findById(jwt.decode(token).sessionId);
+    expect(session.revokedReason).toBe('token-reuse');
+
+    // Neither the thief's nor the rightful holder's tokens work any more
+    expect((await refresh(rotated.body.refreshToken)).status).toBe(401);
+    const me = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${rotated.body.token}`);
+    expect(me.status).toBe(401);
+  });
+
+  it('lets only one of concurrent refreshes with the same token through', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const { refreshToken } = await login();
+
+    const responses = await Promise.all([1, 2, 3].map(() => refresh(refreshToken)));
+
+    expect(responses.filter(res => res.status === 200)).toHaveLength(1);
+  });
+});
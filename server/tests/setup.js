@@ -0,0 +1,10 @@
+// Environment for the test suite. Anything that talks to the outside
+// (Stripe, identity providers) is pointed at local stand-ins by the tests.
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.OTP_SECRET = 'test-otp-secret';
+process.env.TWO_FACTOR_ENCRYPTION_KEY = 'test-2fa-key';
+process.env.STRIPE_SECRET_KEY = 'sk_test_123';
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test';
+process.env.TWILIO_ACCOUNT_SID = 'ACtest';
+process.env.TWILIO_AUTH_TOKEN = 'test';
@@ -0,0 +1,86 @@
+jest.mock('../utils/notifications');
+
+const request = require('supertest');
+const db = require('./helpers/db');
+const { createApp, createUser, createProvider, daysFromNow } = require('./helpers/fixtures');
+const SlotLock = require('../models/SlotLock');
+const Booking = require('../models/Booking');
+
+const app = createApp({ '/api/bookings': require('../routes/bookings') });
+
+beforeAll(() => db.connect());
+afterEach(() => db.clear());
+afterAll(() => db.close());
+
+describe('SlotLock', () => {
+  it('lets one request hold a provider day at a time', async () => {
+    const { provider } = await createProvider();
+    const date = new Date(daysFromNow(3));
+
+    const lock = await SlotLock.acquire(provider._id, date);
+    expect(lock).not.toBeNull();
+
+    // Retries for about a second, then gives up
+    await expect(SlotLock.acquire(provider._id, date)).resolves.toBeNull();
+
+    await SlotLock.release(lock);
+    await expect(SlotLock.acquire(provider._id, date)).resolves.not.toBeNull();
+  });
+
+  it('takes over an expired lock, and the old owner cannot release it', async () => {
+    const { provider } = await createProvider();
+    const date = new Date(daysFromNow(3));
+
+    const stale = await SlotLock.acquire(provider._id, date);
+    await SlotLock.updateOne({ _id: stale._id }, { expiresAt: new Date(Date.now() - 1000) });
+
+    const fresh = await SlotLock.acquire(provider._id, date);
+    expect(fresh).not.toBeNull();
+    expect(fresh.owner).not.toBe(stale.owner);
+
+    await SlotLock.release(stale);
+    await expect(SlotLock.countDocuments({ owner: fresh.owner })).resolves.toBe(1);
+  });
+});
+
+describe('POST /api/bookings', () => {
+  it('books a contested slot only once when requests race', async () => {
+    const { provider } = await createProvider();
+    const customers = await Promise.all([createUser(), createUser(), createUser()]);
+    const appointmentDate = daysFromNow(3);
+
+    const responses = await Promise.all(customers.map(({ token }) =>
+      request(app)
+        .post('/api/bookings')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ providerId: provider._id.toString(), serviceName: 'Haircut', appointmentDate, startTime: '10:00' })
+    ));
+
+    const statuses = responses.map(res => res.status).sort();
+    expect(statuses.filter(status => status === 201)).toHaveLength(1);
+    responses.filter(res => res.status !== 201).forEach(res => {
+      expect(res.body.message).toMatch(/already booked|being booked/);
+    });
+
+    await expect(Booking.countDocuments({ provider: provider._id })).resolves.toBe(1);
+    await expect(SlotLock.countDocuments()).resolves.toBe(0);
+  });
+
+  it('rejects a booking that overlaps an existing one', async () => {
+    const { provider } = await createProvider();
+    const [first, second] = await Promise.all([createUser(), createUser()]);
+    const appointmentDate = daysFromNow(3);
+    const book = ({ token }, startTime) => request(app)
+      .post('/api/bookings')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ providerId: provider._id.toString(), serviceName: 'Haircut', appointmentDate, startTime });
+
+    expect((await book(first, '10:00')).status).toBe(201);
+
+    const overlapping = await book(second, '10:30');
+    expect(overlapping.status).toBe(400);
+    expect(overlapping.body.message).toBe('Time slot is already booked');
+
+    expect((await book(second, '11:00')).status).toBe(201);
+  });
+});
@@ -0,0 +1,193 @@
+jest.mock('../utils/notifications');
+
+// Read by models/User when first required
+process.env.TWO_FACTOR_REQUIRED_ROLES = 'admin';
+
+const request = require('supertest');
+const db = require('./helpers/db');
+const { createApp, createUser } = require('./helpers/fixtures');
+const { generateTOTP, getTimeStep, verifyTOTP } = require('../utils/totp');
+const User = require('../models/User');
+
+const app = createApp({
+  '/api/auth': require('../routes/auth'),
+  '/api/auth/2fa': require('../routes/twoFactor')
+});
+
+beforeAll(() => db.connect());
+afterEach(() => db.clear());
+afterAll(() => db.close());
+
+// User with two-factor authentication on; resolves to
+// { user, token, secret, recoveryCodes }. Setup uses the current time step,
+// so codes for later steps are the next ones accepted.
+const createTwoFactorUser = async (overrides = {}) => {
+  const { user, token } = await createUser(overrides);
+  const { secret } = user.startTwoFactorSetup();
+  const recoveryCodes = user.enableTwoFactor(generateTOTP(secret));
+  await user.save();
+  return { user, token, secret, recoveryCodes };
+};
+
+const nextCode = (secret) => generateTOTP(secret, getTimeStep() + 1);
+
+const login = (user) => request(app)
+  .post('/api/auth/login')
+  .send({ identifier: user.email, password: 'password123' });
+
+const verify = (challengeToken, code) => request(app)
+  .post('/api/auth/2fa/verify')
+  .send({ challengeToken, code });
+
+describe('TOTP', () => {
+  // RFC 6238 appendix B, SHA1 with the ASCII key "12345678901234567890",
+  // cut down to our six digits
+  const secret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+  const vectors = [
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1111111111, '050471'],
+    [1234567890, '005924'],
+    [2000000000, '279037'],
+    [20000000000, '353130']
+  ];
+
+  it.each(vectors)('generates the RFC 6238 code at %i seconds', (seconds, code) => {
+    expect(generateTOTP(secret, getTimeStep(seconds * 1000))).toBe(code);
+  });
+
+  it.each(vectors)('accepts the RFC 6238 code at %i seconds', (seconds, code) => {
+    expect(verifyTOTP(secret, code, { now: seconds * 1000 })).toBe(getTimeStep(seconds * 1000));
+  });
+
+  it('accepts codes one step either side and nothing further', () => {
+    const now = 1111111111 * 1000;
+
+    expect(verifyTOTP(secret, '081804', { now })).toBe(getTimeStep(now) - 1);
+    expect(verifyTOTP(secret, '050471', { now: now + 60 * 1000 })).toBeNull();
+    expect(verifyTOTP(secret, '000000', { now })).toBeNull();
+  });
+});
+
+describe('two-factor login', () => {
+  it('asks for a code after the password and signs in with it', async () => {
+    const { user, secret } = await createTwoFactorUser();
+
+    const first = await login(user);
+    expect(first.status).toBe(200);
+    expect(first.body).toMatchObject({ requiresTwoFactor: true, challengeToken: expect.any(String) });
+    expect(first.body.token).toBeUndefined();
+
+    const res = await verify(first.body.challengeToken, nextCode(secret));
+
+    expect(res.status).toBe(200);
+    expect(res.body.token).toBeDefined();
+  });
+
+  it('accepts each app code only once', async () => {
+    const { user, secret } = await createTwoFactorUser();
+    const code = nextCode(secret);
+
+    const first = await verify((await login(user)).body.challengeToken, code);
+    const replay = await verify((await login(user)).body.challengeToken, code);
+
+    expect(first.status).toBe(200);
+    expect(replay.status).toBe(400);
+    expect(replay.body.token).toBeUndefined();
+  });
+
+  it('rejects the code used to confirm setup', async () => {
+    const { user, secret } = await createTwoFactorUser();
+
+    const res = await verify((await login(user)).body.challengeToken, generateTOTP(secret, user.twoFactor.lastUsedStep));
+
+    expect(res.status).toBe(400);
+  });
+
+  it('accepts each recovery code only once', async () => {
+    const { user, recoveryCodes } = await createTwoFactorUser();
+
+    const first = await verify((await login(user)).body.challengeToken, recoveryCodes[0]);
+    const replay = await verify((await login(user)).body.challengeToken, recoveryCodes[0]);
+
+    expect(first.status).toBe(200);
+    expect(first.body.recoveryCodesRemaining).toBe(recoveryCodes.length - 1);
+    expect(replay.status).toBe(400);
+  });
+
+  it('shares the OTP lockout after five wrong codes', async () => {
+    const { user, secret } = await createTwoFactorUser();
+    const { challengeToken } = (await login(user)).body;
+    const code = nextCode(secret);
+    const wrongCode = code === '000000' ? '111111' : '000000';
+
+    for (let i = 0; i < 5; i++) {
+      expect((await verify(challengeToken, wrongCode)).status).toBe(400);
+    }
+
+    const res = await verify(challengeToken, code);
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/Too many failed attempts/);
+
+    // Emailed and texted codes are locked out too
+    const locked = await User.findById(user._id);
+    locked.generateOTP();
+    await locked.save();
+    expect((await locked.verifyOTP('000000')).message).toMatch(/Too many failed attempts/);
+  });
+});
+
+describe('two-factor challenge tokens', () => {
+  it('does not accept a login challenge for setup', async () => {
+    const { user } = await createTwoFactorUser();
+    const { challengeToken } = (await login(user)).body;
+
+    const res = await request(app).post('/api/auth/2fa/setup').send({ challengeToken });
+
+    expect(res.status).toBe(401);
+  });
+
+  it('sets up a required role through the setup challenge and signs in', async () => {
+    const { user } = await createUser({ role: 'admin' });
+
+    const first = await login(user);
+    expect(first.body).toMatchObject({ twoFactorSetupRequired: true, challengeToken: expect.any(String) });
+    expect(first.body.token).toBeUndefined();
+    const { challengeToken } = first.body;
+
+    // Not a substitute for a second factor
+    expect((await verify(challengeToken, '000000')).status).toBe(400);
+
+    const setup = await request(app).post('/api/auth/2fa/setup').send({ challengeToken });
+    expect(setup.status).toBe(200);
+
+    const res = await request(app)
+      .post('/api/auth/2fa/enable')
+      .send({ challengeToken, code: generateTOTP(setup.body.secret) });
+
+    expect(res.status).toBe(200);
+    expect(res.body.recoveryCodes).toHaveLength(10);
+    expect(res.body.token).toBeDefined();
+    expect((await User.findById(user._id)).twoFactor.enabled).toBe(true);
+  });
+});
+
+describe('auth middleware', () => {
+  it('refuses a required role until two-factor authentication is set up', async () => {
+    const { token } = await createUser({ role: 'admin' });
+
+    const res = await request(app).get('/api/auth/2fa/status').set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(403);
+    expect(res.body.twoFactorSetupRequired).toBe(true);
+  });
+
+  it('lets a required role in once it is set up', async () => {
+    const { token } = await createTwoFactorUser({ role: 'admin' });
+
+    const res = await request(app).get('/api/auth/2fa/status').set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ enabled: true, required: true, recoveryCodesRemaining: 10 });
+  });
+});
@@ -0,0 +1,285 @@
+jest.mock('../utils/notifications');
+
+const express = require('express');
+const request = require('supertest');
+const db = require('./helpers/db');
+const stripeMockServer = require('./helpers/stripeMock');
+const { createApp, createUser, createProvider, daysFromNow } = require('./helpers/fixtures');
+const Booking = require('../models/Booking');
+const LedgerEntry = require('../models/LedgerEntry');
+const { sendEmail } = require('../utils/notifications');
+
+let app;
+let stripe;
+let stripeMock;
+let eventCount = 0;
+
+beforeAll(async () => {
+  stripeMock = await stripeMockServer.start();
+  stripe = require('../utils/stripe');
+  // The webhook router parses its own raw body, so it goes ahead of the JSON parser
+  app = express();
+  app.use('/api/payments/webhook', require('../routes/webhooks'));
+  app.use(createApp({
+    '/api/bookings': require('../routes/bookings'),
+    '/api/payments': require('../routes/payments'),
+    '/api/admin': require('../routes/admin')
+  }));
+  await db.connect();
+});
+afterEach(async () => {
+  await db.clear();
+  stripeMock.reset();
+  jest.clearAllMocks();
+});
+afterAll(async () => {
+  await db.close();
+  await stripeMock.close();
+});
+
+const sendEvent = (type, object, created = Math.floor(Date.now() / 1000)) => {
+  eventCount += 1;
+  const payload = JSON.stringify({ id: `evt_${eventCount}`, object: 'event', type, created, data: { object } });
+
+  return request(app)
+    .post('/api/payments/webhook')
+    .set('Content-Type', 'application/json')
+    .set('Stripe-Signature', stripe.webhooks.generateTestHeaderString({ payload, secret: process.env.STRIPE_WEBHOOK_SECRET }))
+    .send(payload);
+};
+
+// Book, pay through Stripe and deliver payment_intent.succeeded. Resolves
+// to { bookingId, paymentIntent, token, providerToken }.
+const createPaidBooking = async (providerOverrides) => {
+  const { provider, token: providerToken } = await createProvider(providerOverrides);
+  const { token } = await createUser();
+
+  const booked = await request(app)
+    .post('/api/bookings')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ providerId: provider._id.toString(), serviceName: 'Haircut', appointmentDate: daysFromNow(3), startTime: '10:00' });
+  expect(booked.status).toBe(201);
+
+  const intent = await request(app)
+    .post('/api/payments/create-payment-intent')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ bookingId: booked.body.booking._id });
+  expect(intent.status).toBe(200);
+
+  const paymentIntent = stripeMock.succeed(intent.body.paymentIntentId);
+  expect((await sendEvent('payment_intent.succeeded', paymentIntent)).status).toBe(200);
+
+  return { bookingId: booked.body.booking._id, paymentIntent, token, providerToken };
+};
+
+// charge.refunded as current API versions send it, without charge.refunds
+const chargeRefunded = (paymentIntent, amountRefunded) => ({
+  id: paymentIntent.latest_charge,
+  object: 'charge',
+  payment_intent: paymentIntent.id,
+  amount: paymentIntent.amount,
+  amount_refunded: amountRefunded,
+  currency: paymentIntent.currency,
+  refunded: amountRefunded === paymentIntent.amount
+});
+
+describe('charge.refunded webhook', () => {
+  it('records refunds issued from the Stripe dashboard', async () => {
+    const { bookingId, paymentIntent } = await createPaidBooking();
+    const first = stripeMock.addRefund(paymentIntent.id, 1000);
+    const second = stripeMock.addRefund(paymentIntent.id, 500);
+
+    const res = await sendEvent('charge.refunded', chargeRefunded(paymentIntent, 1500));
+
+    expect(res.status).toBe(200);
+    const booking = await Booking.findById(bookingId);
+    expect(booking.cancellation.refundStatus).toBe('processed');
+    expect(booking.cancellation.refundAmount).toBe(15);
+    expect([first.id, second.id]).toContain(booking.cancellation.stripeRefundId);
+
+    const entries = await LedgerEntry.find({ booking: bookingId, type: 'refund' });
+    expect(entries.reduce((sum, entry) => sum + entry.amount, 0)).toBe(-1500);
+  });
+
+  it('records each refund once across repeated events', async () => {
+    const { bookingId, paymentIntent } = await createPaidBooking();
+    stripeMock.addRefund(paymentIntent.id, 1000);
+    await sendEvent('charge.refunded', chargeRefunded(paymentIntent, 1000));
+
+    stripeMock.addRefund(paymentIntent.id, 500);
+    await sendEvent('charge.refunded', chargeRefunded(paymentIntent, 1500));
+
+    const entries = await LedgerEntry.find({ booking: bookingId, type: 'refund' });
+    expect(new Set(entries.map(entry => entry.reference)).size).toBe(2);
+    expect(entries.reduce((sum, entry) => sum + entry.amount, 0)).toBe(-1500);
+  });
+});
+
+const dispute = (paymentIntent, status) => ({
+  id: `dp_${paymentIntent.id}`,
+  object: 'dispute',
+  payment_intent: paymentIntent.id,
+  charge: paymentIntent.latest_charge,
+  amount: paymentIntent.amount,
+  currency: paymentIntent.currency,
+  reason: 'fraudulent',
+  status,
+  created: Math.floor(Date.now() / 1000)
+});
+
+describe('dispute webhooks delivered out of order', () => {
+  it('still notifies about a dispute whose created event arrives last', async () => {
+    const { bookingId, paymentIntent } = await createPaidBooking();
+    const created = Math.floor(Date.now() / 1000);
+
+    await sendEvent('charge.dispute.updated', dispute(paymentIntent, 'under_review'), created + 60);
+    const res = await sendEvent('charge.dispute.created', dispute(paymentIntent, 'needs_response'), created);
+
+    expect(res.status).toBe(200);
+    expect(sendEmail).toHaveBeenCalledWith(expect.any(String), 'Payment Disputed', expect.any(String));
+
+    // The older snapshot doesn't overwrite the newer status
+    const booking = await Booking.findById(bookingId);
+    expect(booking.dispute.status).toBe('under_review');
+  });
+
+  it('skips stale updates', async () => {
+    const { bookingId, paymentIntent } = await createPaidBooking();
+    const created = Math.floor(Date.now() / 1000);
+
+    await sendEvent('charge.dispute.updated', dispute(paymentIntent, 'under_review'), created + 60);
+    const res = await sendEvent('charge.dispute.updated', dispute(paymentIntent, 'needs_response'), created);
+
+    expect(res.body.skipped).toBe(true);
+    const booking = await Booking.findById(bookingId);
+    expect(booking.dispute.status).toBe('under_review');
+  });
+});
+
+describe('POST /api/admin/disputes/:bookingId/evidence', () => {
+  const openDispute = async () => {
+    const { bookingId, paymentIntent } = await createPaidBooking();
+    await sendEvent('charge.dispute.created', dispute(paymentIntent, 'needs_response'));
+    const { token } = await createUser({ role: 'admin' });
+    return { bookingId, adminToken: token };
+  };
+
+  it('only saves a draft when submit is "false"', async () => {
+    const { bookingId, adminToken } = await openDispute();
+
+    const res = await request(app)
+      .post(`/api/admin/disputes/${bookingId}/evidence`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ submit: 'false' });
+
+    expect(res.status).toBe(200);
+    const [update] = stripeMock.requests.filter(r => r.path.startsWith('/v1/disputes/'));
+    expect(update.params.submit).toBe(false);
+    expect(update.params.evidence.cancellation_policy_disclosure).not.toMatch(/confirmation email/);
+    expect((await Booking.findById(bookingId)).dispute.evidenceSubmittedAt).toBeUndefined();
+  });
+
+  it('rejects a submit flag that is not a boolean', async () => {
+    const { bookingId, adminToken } = await openDispute();
+
+    const res = await request(app)
+      .post(`/api/admin/disputes/${bookingId}/evidence`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ submit: 'later' });
+
+    expect(res.status).toBe(400);
+    expect(stripeMock.requests.filter(r => r.path.startsWith('/v1/disputes/'))).toHaveLength(0);
+  });
+});
+
+const cancelAsProvider = (bookingId, providerToken) => request(app)
+  .put(`/api/bookings/${bookingId}/status`)
+  .set('Authorization', `Bearer ${providerToken}`)
+  .send({ status: 'cancelled', notes: 'Studio closed' });
+
+describe('booking cancellation', () => {
+  it('refunds a paid booking the provider cancels through the status route', async () => {
+    const { bookingId, paymentIntent, providerToken } = await createPaidBooking();
+
+    const res = await cancelAsProvider(bookingId, providerToken);
+
+    expect(res.status).toBe(200);
+    expect(stripeMock.requestsTo('POST', '/v1/refunds')).toEqual([
+      expect.objectContaining({ params: expect.objectContaining({ payment_intent: paymentIntent.id, amount: 5000 }) })
+    ]);
+    const booking = await Booking.findById(bookingId);
+    expect(booking.status).toBe('cancelled');
+    expect(booking.cancellation).toMatchObject({ cancelledBy: 'provider', refundAmount: 50, refundStatus: 'processed' });
+  });
+
+  it('lets providers cancel through /cancel', async () => {
+    const { bookingId, providerToken } = await createPaidBooking();
+
+    const res = await request(app)
+      .put(`/api/bookings/${bookingId}/cancel`)
+      .set('Authorization', `Bearer ${providerToken}`)
+      .send({ reason: 'Studio closed' });
+
+    expect(res.status).toBe(200);
+    expect((await Booking.findById(bookingId)).cancellation).toMatchObject({ cancelledBy: 'provider', refundAmount: 50 });
+  });
+
+  it('cancels the balance of a deposit booking', async () => {
+    const { bookingId, providerToken } = await createPaidBooking({
+      services: [{ name: 'Haircut', duration: 60, price: 50, taxable: false, deposit: { type: 'fixed', value: 10 } }]
+    });
+
+    await cancelAsProvider(bookingId, providerToken);
+
+    const booking = await Booking.findById(bookingId);
+    expect(booking.payment.balance.status).toBe('cancelled');
+    expect(booking.cancellation.refundAmount).toBe(10);
+  });
+});
+
+describe('refund.updated webhook', () => {
+  const cancel = async () => {
+    const paid = await createPaidBooking();
+    const res = await request(app)
+      .put(`/api/bookings/${paid.bookingId}/cancel`)
+      .set('Authorization', `Bearer ${paid.token}`)
+      .send({});
+    expect(res.status).toBe(200);
+    return { ...paid, booking: await Booking.findById(paid.bookingId) };
+  };
+
+  it('lets a refund that failed on Stripe be issued again', async () => {
+    const { bookingId, booking, providerToken } = await cancel();
+    const refund = stripeMock.refunds.get(booking.cancellation.stripeRefundId);
+
+    await sendEvent('refund.updated', { ...refund, status: 'failed', failure_reason: 'expired_or_canceled_card' });
+    expect((await Booking.findById(bookingId)).cancellation.refundStatus).toBe('failed');
+
+    const res = await request(app)
+      .post('/api/payments/refund')
+      .set('Authorization', `Bearer ${providerToken}`)
+      .send({ bookingId });
+
+    expect(res.status).toBe(200);
+    const requests = stripeMock.requestsTo('POST', '/v1/refunds');
+    expect(requests).toHaveLength(2);
+    expect(requests[1].idempotencyKey).not.toBe(requests[0].idempotencyKey);
+
+    const retried = await Booking.findById(bookingId);
+    expect(retried.cancellation.stripeRefundId).not.toBe(refund.id);
+    expect(retried.cancellation.refundStatus).toBe('processed');
+  });
+
+  it('only records other refunds of the payment in the ledger', async () => {
+    const { bookingId, booking, paymentIntent } = await cancel();
+    const partial = stripeMock.addRefund(paymentIntent.id, 500);
+
+    await sendEvent('refund.updated', partial);
+
+    const updated = await Booking.findById(bookingId);
+    expect(updated.cancellation.stripeRefundId).toBe(booking.cancellation.stripeRefundId);
+    expect(updated.cancellation.refundStatus).toBe('processed');
+    const entries = await LedgerEntry.find({ booking: bookingId, type: 'refund', reference: partial.id });
+    expect(entries.reduce((sum, entry) => sum + entry.amount, 0)).toBe(-500);
+  });
+});
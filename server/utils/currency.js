@@ -0,0 +1,52 @@
+// Currency used when a service doesn't set one
+const DEFAULT_CURRENCY = (process.env.DEFAULT_CURRENCY || 'usd').toLowerCase();
+
+// Currencies Stripe charges in whole units rather than cents
+// https://stripe.com/docs/currencies#zero-decimal
+const ZERO_DECIMAL_CURRENCIES = [
+  'bif', 'clp', 'djf', 'gnf', 'jpy', 'kmf', 'krw', 'mga',
+  'pyg', 'rwf', 'ugx', 'vnd', 'vuv', 'xaf', 'xof', 'xpf'
+];
+
+const SUPPORTED_CURRENCIES = Intl.supportedValuesOf('currency').map(c => c.toLowerCase());
+
+const isValidCurrency = (currency) => {
+  return typeof currency === 'string' && SUPPORTED_CURRENCIES.includes(currency.toLowerCase());
+};
+
+const isZeroDecimal = (currency = DEFAULT_CURRENCY) => {
+  return ZERO_DECIMAL_CURRENCIES.includes(currency.toLowerCase());
+};
+
+// Convert an amount to the smallest unit Stripe expects (e.g. cents)
+const toMinorUnits = (amount, currency) => {
+  return isZeroDecimal(currency) ? Math.round(amount) : Math.round(amount * 100);
+};
+
+// Convert an amount in the smallest currency unit back to a decimal amount
+const fromMinorUnits = (amount, currency) => {
+  return isZeroDecimal(currency) ? amount : amount / 100;
+};
+
+// Round an amount to the precision of its currency
+const roundAmount = (amount, currency) => {
+  return fromMinorUnits(toMinorUnits(amount, currency), currency);
+};
+
+// Format an amount for display, e.g. "$12.50" or "¥1,200"
+const formatAmount = (amount, currency = DEFAULT_CURRENCY) => {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: currency.toUpperCase()
+  }).format(amount);
+};
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  isValidCurrency,
+  isZeroDecimal,
+  toMinorUnits,
+  fromMinorUnits,
+  roundAmount,
+  formatAmount
+};
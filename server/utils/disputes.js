@@ -0,0 +1,149 @@
+const User = require('../models/User');
+const { recordReversal } = require('./ledger');
+const { sendEmail } = require('./notifications');
+const { fromMinorUnits, formatAmount } = require('./currency');
+
+// Stripe dispute statuses that still accept evidence
+const OPEN_DISPUTE_STATUSES = ['warning_needs_response', 'needs_response'];
+
+// Stripe dispute statuses once a dispute is over
+const CLOSED_DISPUTE_STATUSES = ['won', 'lost', 'warning_closed'];
+
+// Copy a Stripe dispute onto the booking (does not save)
+const applyDispute = (booking, dispute) => {
+  const record = booking.dispute;
+
+  record.stripeDisputeId = dispute.id;
+  record.status = dispute.status;
+  record.reason = dispute.reason;
+  record.amount = fromMinorUnits(dispute.amount, dispute.currency);
+  record.openedAt = record.openedAt || new Date(dispute.created * 1000);
+
+  if (dispute.evidence_details?.due_by) {
+    record.evidenceDueBy = new Date(dispute.evidence_details.due_by * 1000);
+  }
+
+  if (CLOSED_DISPUTE_STATUSES.includes(dispute.status)) {
+    record.outcome = dispute.status;
+    record.closedAt = record.closedAt || new Date();
+  }
+};
+
+// Record a lost dispute in the ledger. Won disputes return the funds, so
+// nothing changes hands overall.
+const recordDisputeOutcome = (booking, dispute) => {
+  if (dispute.status !== 'lost') {
+    return Promise.resolve([]);
+  }
+
+  return recordReversal(booking, {
+    type: 'chargeback',
+    reference: dispute.id,
+    amount: dispute.amount,
+    description: `Chargeback lost (${dispute.reason})`
+  });
+};
+
+const formatTimestamp = (date) => (date ? new Date(date).toISOString() : 'n/a');
+
+// Evidence for Stripe assembled from the booking's own records. Fields
+// follow Stripe's dispute evidence object; admins can edit before submitting.
+const buildDisputeEvidence = (booking) => {
+  const customer = booking.customer;
+  const provider = booking.provider;
+  const policy = booking.policy || {};
+
+  const timeline = [
+    `Booked: ${formatTimestamp(booking.createdAt)}`,
+    `Paid: ${formatTimestamp(booking.payment.paidAt)}`,
+    `Appointment: ${formatTimestamp(booking.appointmentDateTime)} (${booking.startTime}-${booking.endTime} ${booking.timezone})`,
+    `Status: ${booking.status}`
+  ];
+
+  booking.rescheduleHistory.forEach((entry) => {
+    timeline.push(
+      `Rescheduled by ${entry.rescheduledBy} at ${formatTimestamp(entry.rescheduledAt)}: ` +
+      `${formatTimestamp(entry.originalDate).slice(0, 10)} ${entry.originalStartTime} -> ` +
+      `${formatTimestamp(entry.newDate).slice(0, 10)} ${entry.newStartTime}` +
+      (entry.reason ? ` (${entry.reason})` : '')
+    );
+  });
+
+  if (booking.status === 'cancelled') {
+    timeline.push(
+      `Cancelled by ${booking.cancellation.cancelledBy} at ${formatTimestamp(booking.cancellation.cancelledAt)}` +
+      (booking.cancellation.refundAmount
+        ? `, refunded ${formatAmount(booking.cancellation.refundAmount, booking.payment.currency)}`
+        : '')
+    );
+  }
+
+  if (booking.customerNotes || booking.notes) {
+    timeline.push(`Customer notes: ${booking.customerNotes || booking.notes}`);
+  }
+
+  if (booking.providerNotes) {
+    timeline.push(`Provider notes: ${booking.providerNotes}`);
+  }
+
+  const evidence = {
+    customer_name: customer ? `${customer.firstName} ${customer.lastName}` : undefined,
+    customer_email_address: customer?.email,
+    product_description: `${booking.service.name} (${booking.service.duration} minutes)` +
+      (provider?.businessName ? ` with ${provider.businessName}` : ''),
+    service_date: booking.appointmentDateTime.toISOString().slice(0, 10),
+    // Only what the booking records: the policy it was made under
+    cancellation_policy_disclosure:
+      `Cancellations are accepted up to ${policy.cancelCutoffHours} hours before the appointment, ` +
+      'under the policy recorded with the booking when it was made.',
+    refund_policy_disclosure: (policy.refundTiers || [])
+      .map(tier => `${tier.refundPercent}% refund when cancelled ${tier.hoursBefore}+ hours before`)
+      .join('; '),
+    uncategorized_text: timeline.join('\n')
+  };
+
+  if (booking.status === 'completed') {
+    evidence.cancellation_rebuttal = 'The booking was not cancelled and the service was provided as scheduled.';
+  }
+
+  return evidence;
+};
+
+// Email the provider and all admins about a dispute. Expects the booking's
+// provider to be populated. Failures are logged so they never stop the
+// dispute itself from being recorded.
+const notifyDispute = async (booking, subject, message) => {
+  try {
+    const recipients = await User.find({
+      $or: [{ _id: booking.provider.user }, { role: 'admin' }]
+    }).select('email firstName role');
+
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>${subject}</h2>
+        <p>${message}</p>
+
+        <div style="background-color: #f5f5f5; padding: 20px; border-radius: 5px; margin: 20px 0;">
+          <p><strong>Booking:</strong> ${booking._id}</p>
+          <p><strong>Service:</strong> ${booking.service.name}</p>
+          <p><strong>Amount:</strong> ${formatAmount(booking.dispute.amount, booking.payment.currency)}</p>
+          <p><strong>Reason:</strong> ${booking.dispute.reason}</p>
+          <p><strong>Status:</strong> ${booking.dispute.status}</p>
+        </div>
+      </div>
+    `;
+
+    await Promise.all(recipients.map(user => sendEmail(user.email, subject, html)));
+  } catch (error) {
+    console.error(`Error sending dispute notification for booking ${booking._id}:`, error.message);
+  }
+};
+
+module.exports = {
+  OPEN_DISPUTE_STATUSES,
+  CLOSED_DISPUTE_STATUSES,
+  applyDispute,
+  recordDisputeOutcome,
+  buildDisputeEvidence,
+  notifyDispute
+};
@@ -0,0 +1,14 @@
+// Percentage of each booking payment the platform keeps as its commission
+const PLATFORM_FEE_PERCENT = process.env.PLATFORM_FEE_PERCENT !== undefined
+  ? parseFloat(process.env.PLATFORM_FEE_PERCENT)
+  : 10;
+
+// Platform fee in the smallest currency unit for a charge of amountInCents
+const calculatePlatformFee = (amountInCents) => {
+  return Math.round(amountInCents * PLATFORM_FEE_PERCENT / 100);
+};
+
+module.exports = {
+  PLATFORM_FEE_PERCENT,
+  calculatePlatformFee
+};
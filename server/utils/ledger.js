@@ -0,0 +1,146 @@
+const LedgerEntry = require('../models/LedgerEntry');
+const { calculatePlatformFee } = require('./fees');
+const { toMinorUnits } = require('./currency');
+
+// Accept populated or unpopulated references
+const idOf = (ref) => (ref && ref._id) || ref;
+
+const baseEntry = (booking) => ({
+  booking: booking._id,
+  provider: idOf(booking.provider),
+  customer: idOf(booking.customer),
+  currency: booking.payment.currency
+});
+
+// Gross amount and platform fee of a booking's upfront payment, in the
+// smallest currency unit
+const getPaymentSplit = (booking) => {
+  const gross = toMinorUnits(booking.getUpfrontAmount(), booking.payment.currency);
+  const platformFee = booking.payment.applicationFeeAmount !== undefined
+    ? booking.payment.applicationFeeAmount
+    : calculatePlatformFee(gross);
+
+  return { gross, platformFee };
+};
+
+// Record a charge and how it splits between platform and provider
+const recordSplit = (base, { reference, amount, platformFee, description }) => {
+  return LedgerEntry.record([
+    {
+      ...base,
+      type: 'charge',
+      amount,
+      reference,
+      key: `${reference}:charge`,
+      description
+    },
+    {
+      ...base,
+      type: 'platform_fee',
+      party: 'platform',
+      amount: platformFee,
+      reference,
+      key: `${reference}:platform_fee`
+    },
+    {
+      ...base,
+      type: 'provider_share',
+      party: 'provider',
+      amount: amount - platformFee,
+      reference,
+      key: `${reference}:provider_share`
+    }
+  ]);
+};
+
+// Record a successful charge for a booking
+const recordCharge = (booking, { reference, amount, platformFee }) => {
+  return recordSplit(baseEntry(booking), {
+    reference,
+    amount,
+    platformFee,
+    description: `Payment for ${booking.service.name}`
+  });
+};
+
+// Record a paid package purchase
+const recordPackagePayment = (purchase) => {
+  const amount = toMinorUnits(purchase.getTotal(), purchase.currency);
+  const platformFee = purchase.payment.applicationFeeAmount !== undefined
+    ? purchase.payment.applicationFeeAmount
+    : calculatePlatformFee(amount);
+
+  return recordSplit({
+    packagePurchase: purchase._id,
+    provider: idOf(purchase.provider),
+    customer: idOf(purchase.customer),
+    currency: purchase.currency
+  }, {
+    reference: purchase.payment.stripePaymentIntentId,
+    amount,
+    platformFee,
+    description: `Package: ${purchase.name}`
+  });
+};
+
+// Record the booking's upfront payment (full price or deposit) once Stripe confirms it
+const recordPayment = (booking) => {
+  const { gross, platformFee } = getPaymentSplit(booking);
+
+  return recordCharge(booking, {
+    reference: booking.payment.stripePaymentIntentId,
+    amount: gross,
+    platformFee
+  });
+};
+
+// Record money leaving the platform (refund or chargeback), taken from the
+// platform and provider in the same proportion as the upfront payment's split
+const recordReversal = (booking, { type, reference, amount, description }) => {
+  const base = baseEntry(booking);
+  const { gross, platformFee } = getPaymentSplit(booking);
+  const platformPortion = gross > 0 ? Math.round(amount * platformFee / gross) : 0;
+
+  return LedgerEntry.record([
+    {
+      ...base,
+      type,
+      party: 'platform',
+      amount: -platformPortion,
+      reference,
+      key: `${reference}:platform`,
+      description
+    },
+    {
+      ...base,
+      type,
+      party: 'provider',
+      amount: -(amount - platformPortion),
+      reference,
+      key: `${reference}:provider`,
+      description
+    }
+  ]);
+};
+
+// Record a Stripe refund once it has succeeded
+const recordRefund = (booking, refund) => {
+  if (refund.status !== 'succeeded') {
+    return Promise.resolve([]);
+  }
+
+  return recordReversal(booking, {
+    type: 'refund',
+    reference: refund.id,
+    amount: refund.amount,
+    description: booking.cancellation.reason || 'Refund'
+  });
+};
+
+module.exports = {
+  recordCharge,
+  recordPayment,
+  recordPackagePayment,
+  recordReversal,
+  recordRefund
+};
@@ -1,5 +1,7 @@
 const twilio = require('twilio');
 const nodemailer = require('nodemailer');
+const { formatAmount } = require('./currency');
+const { buildReceipt, renderReceiptPDF } = require('./receipts');
 
 // Initialize Twilio client
 const twilioClient = twilio(
@@ -18,6 +20,24 @@ const emailTransporter = nodemailer.createTransport({
   }
 });
 
+// Render an appointment's date and time in the zone it was booked in
+const formatAppointmentDate = (booking) => {
+  return booking.appointmentDateTime.toLocaleDateString('en-US', {
+    timeZone: booking.timezone,
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  });
+};
+
+const formatAppointmentTime = (booking) => {
+  return `${booking.startTime} - ${booking.endTime} (${booking.timezone})`;
+};
+
+// Render an amount in the booking's currency
+const formatPrice = (booking, amount) => formatAmount(amount, booking.payment.currency);
+
 // Send OTP via SMS
 const sendOTP = async (phoneNumber, otp) => {
   try {
@@ -35,15 +55,33 @@ const sendOTP = async (phoneNumber, otp) => {
   }
 };
 
+// Send a plain SMS message
+const sendSMS = async (phoneNumber, body) => {
+  try {
+    const message = await twilioClient.messages.create({
+      body,
+      from: process.env.TWILIO_PHONE_NUMBER,
+      to: phoneNumber
+    });
+    
+    console.log('SMS sent successfully:', message.sid);
+    return { success: true, messageId: message.sid };
+  } catch (error) {
+    console.error('Error sending SMS:', error);
+    throw new Error('Failed to send SMS');
+  }
+};
+
 // Send email notification
-const sendEmail = async (to, subject, html, text) => {
+const sendEmail = async (to, subject, html, text, attachments) => {
   try {
     const mailOptions = {
       from: process.env.EMAIL_USER,
       to,
       subject,
       html,
-      text
+      text,
+      attachments
     };
 
     const result = await emailTransporter.sendMail(mailOptions);
@@ -55,6 +93,33 @@ const sendEmail = async (to, subject, html, text) => {
   }
 };
 
+// Send OTP via email
+const sendOTPEmail = async (user, otp) => {
+  const subject = 'Your verification code';
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2>Verification Code</h2>
+      <p>Hello ${user.firstName},</p>
+      <p>Your verification code is:</p>
+      
+      <div style="background-color: #f5f5f5; padding: 20px; border-radius: 5px; margin: 20px 0; text-align: center;">
+        <span style="font-size: 28px; letter-spacing: 6px; font-weight: bold;">${otp}</span>
+      </div>
+      
+      <p>This code will expire in 10 minutes. If you didn't request it, you can ignore this email.</p>
+    </div>
+  `;
+  const text = `Your verification code is: ${otp}. This code will expire in 10 minutes.`;
+
+  return sendEmail(user.email, subject, html, text);
+};
+
+// Send an OTP to the user over the chosen channel ('sms' or 'email'),
+// defaulting to the user's preference
+const deliverOTP = (user, otp, channel = user.otpChannel) => {
+  return channel === 'email' ? sendOTPEmail(user, otp) : sendOTP(user.phone, otp);
+};
+
 // Send booking confirmation email
 const sendBookingConfirmation = async (customer, booking) => {
   const subject = 'Booking Confirmation';
@@ -67,20 +132,48 @@ const sendBookingConfirmation = async (customer, booking) => {
       <div style="background-color: #f5f5f5; padding: 20px; border-radius: 5px; margin: 20px 0;">
         <h3>Appointment Details</h3>
         <p><strong>Service:</strong> ${booking.service.name}</p>
-        <p><strong>Date:</strong> ${new Date(booking.appointmentDate).toLocaleDateString()}</p>
-        <p><strong>Time:</strong> ${booking.startTime} - ${booking.endTime}</p>
+        <p><strong>Date:</strong> ${formatAppointmentDate(booking)}</p>
+        <p><strong>Time:</strong> ${formatAppointmentTime(booking)}</p>
         <p><strong>Duration:</strong> ${booking.service.duration} minutes</p>
-        <p><strong>Total Amount:</strong> $${booking.payment.amount}</p>
+        ${booking.payment.discount?.amount ? `
+        <p><strong>Discount (${booking.payment.discount.code}):</strong> -${formatPrice(booking, booking.payment.discount.amount)}</p>
+        ` : ''}
+        ${booking.payment.tax?.amount ? `
+        <p><strong>Subtotal:</strong> ${formatPrice(booking, booking.payment.subtotal)}</p>
+        <p><strong>${booking.payment.tax.name} (${booking.payment.tax.rate}%):</strong> ${formatPrice(booking, booking.payment.tax.amount)}</p>
+        ` : ''}
+        <p><strong>Total Amount:</strong> ${formatPrice(booking, booking.payment.amount)}</p>
+        ${booking.payment.schedule === 'deposit' ? `
+        <p><strong>Deposit Paid:</strong> ${formatPrice(booking, booking.payment.depositAmount)}</p>
+        <p><strong>Balance Due ${booking.payment.balanceDue === 'in-person' ? 'at Appointment' : 'on Completion'}:</strong> ${formatPrice(booking, booking.payment.balance.amount)}</p>
+        ` : ''}
       </div>
       
       <p>Please arrive 10 minutes before your scheduled time.</p>
-      <p>If you need to cancel or reschedule, please do so at least 2 hours in advance.</p>
+      <p>If you need to cancel, please do so at least ${booking.policy.cancelCutoffHours} hours in advance.</p>
       
       <p>Thank you for choosing our service!</p>
     </div>
   `;
 
-  return sendEmail(customer.email, subject, html);
+  // Only paid bookings get a receipt, e.g. not ones a provider confirms
+  // before payment. A receipt that fails to render shouldn't hold up the
+  // confirmation.
+  const attachments = [];
+  if (booking.payment.status === 'succeeded') {
+    try {
+      const receipt = await buildReceipt(booking);
+      attachments.push({
+        filename: `${receipt.invoiceNumber}.pdf`,
+        content: await renderReceiptPDF(receipt),
+        contentType: 'application/pdf'
+      });
+    } catch (error) {
+      console.error(`Error generating receipt for booking ${booking._id}:`, error.message);
+    }
+  }
+
+  return sendEmail(customer.email, subject, html, undefined, attachments);
 };
 
 // Send booking reminder
@@ -95,8 +188,8 @@ const sendBookingReminder = async (customer, booking) => {
       <div style="background-color: #f5f5f5; padding: 20px; border-radius: 5px; margin: 20px 0;">
         <h3>Appointment Details</h3>
         <p><strong>Service:</strong> ${booking.service.name}</p>
-        <p><strong>Date:</strong> ${new Date(booking.appointmentDate).toLocaleDateString()}</p>
-        <p><strong>Time:</strong> ${booking.startTime} - ${booking.endTime}</p>
+        <p><strong>Date:</strong> ${formatAppointmentDate(booking)}</p>
+        <p><strong>Time:</strong> ${formatAppointmentTime(booking)}</p>
       </div>
       
       <p>We look forward to seeing you!</p>
@@ -106,6 +199,13 @@ const sendBookingReminder = async (customer, booking) => {
   return sendEmail(customer.email, subject, html);
 };
 
+// Send booking reminder via SMS
+const sendBookingReminderSMS = async (customer, booking) => {
+  const body = `Reminder: your ${booking.service.name} appointment is on ${formatAppointmentDate(booking)} at ${formatAppointmentTime(booking)}.`;
+
+  return sendSMS(customer.phone, body);
+};
+
 // Send booking cancellation notification
 const sendBookingCancellation = async (customer, booking, reason) => {
   const subject = 'Booking Cancelled';
@@ -118,8 +218,8 @@ const sendBookingCancellation = async (customer, booking, reason) => {
       <div style="background-color: #f5f5f5; padding: 20px; border-radius: 5px; margin: 20px 0;">
         <h3>Cancelled Appointment</h3>
         <p><strong>Service:</strong> ${booking.service.name}</p>
-        <p><strong>Date:</strong> ${new Date(booking.appointmentDate).toLocaleDateString()}</p>
-        <p><strong>Time:</strong> ${booking.startTime} - ${booking.endTime}</p>
+        <p><strong>Date:</strong> ${formatAppointmentDate(booking)}</p>
+        <p><strong>Time:</strong> ${formatAppointmentTime(booking)}</p>
         <p><strong>Reason:</strong> ${reason}</p>
       </div>
       
@@ -132,9 +232,13 @@ const sendBookingCancellation = async (customer, booking, reason) => {
 
 module.exports = {
   sendOTP,
+  sendOTPEmail,
+  deliverOTP,
+  sendSMS,
   sendEmail,
   sendBookingConfirmation,
   sendBookingReminder,
+  sendBookingReminderSMS,
   sendBookingCancellation
 };
 
@@ -0,0 +1,143 @@
+const { Issuer, generators } = require('openid-client');
+
+// OpenID Connect providers users can sign in with, e.g. "google,apple".
+// Each one is configured with OIDC_<NAME>_ISSUER, OIDC_<NAME>_CLIENT_ID and
+// OIDC_<NAME>_CLIENT_SECRET, plus optional OIDC_<NAME>_LABEL, OIDC_<NAME>_SCOPE
+// and OIDC_<NAME>_RESPONSE_MODE (form_post for providers like Apple that
+// post the response). The issuer can be a local stand-in server for testing.
+const PROVIDER_NAMES = (process.env.OIDC_PROVIDERS || '')
+  .split(',')
+  .map(name => name.trim().toLowerCase())
+  .filter(Boolean);
+
+const DEFAULT_SCOPE = 'openid email profile';
+
+// Where providers send users back to; /<provider>/callback is appended
+const REDIRECT_BASE_URL = process.env.OIDC_REDIRECT_BASE_URL ||
+  `http://localhost:${process.env.PORT || 5000}/api/auth/oidc`;
+
+const envFor = (name, key) => process.env[`OIDC_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_${key}`];
+
+// Provider settings by name, or null if it isn't configured
+const getProvider = (name) => {
+  if (!PROVIDER_NAMES.includes(name)) {
+    return null;
+  }
+
+  const issuer = envFor(name, 'ISSUER');
+  const clientId = envFor(name, 'CLIENT_ID');
+  if (!issuer || !clientId) {
+    return null;
+  }
+
+  return {
+    name,
+    label: envFor(name, 'LABEL') || name.charAt(0).toUpperCase() + name.slice(1),
+    issuer,
+    clientId,
+    clientSecret: envFor(name, 'CLIENT_SECRET'),
+    scope: envFor(name, 'SCOPE') || DEFAULT_SCOPE,
+    responseMode: envFor(name, 'RESPONSE_MODE'),
+    redirectUri: `${REDIRECT_BASE_URL}/${name}/callback`
+  };
+};
+
+// Providers that are configured, for the login page
+const listProviders = () => {
+  return PROVIDER_NAMES
+    .map(getProvider)
+    .filter(Boolean)
+    .map(({ name, label }) => ({ name, label }));
+};
+
+// Clients are built from the provider's discovery document on first use.
+// A failed discovery isn't cached, so the next sign-in tries again.
+const clients = new Map();
+
+const getClient = (provider) => {
+  if (!clients.has(provider.name)) {
+    const client = Issuer.discover(provider.issuer)
+      .then(issuer => new issuer.Client({
+        client_id: provider.clientId,
+        client_secret: provider.clientSecret,
+        redirect_uris: [provider.redirectUri],
+        response_types: ['code'],
+        token_endpoint_auth_method: provider.clientSecret ? 'client_secret_basic' : 'none'
+      }))
+      .catch(error => {
+        clients.delete(provider.name);
+        throw error;
+      });
+    clients.set(provider.name, client);
+  }
+  return clients.get(provider.name);
+};
+
+// Start a sign-in. Returns the provider URL to send the user to and the
+// values to keep until the callback (state, nonce and PKCE verifier).
+const createAuthorizationRequest = async (provider) => {
+  const client = await getClient(provider);
+  const state = generators.state();
+  const nonce = generators.nonce();
+  const codeVerifier = generators.codeVerifier();
+
+  const url = client.authorizationUrl({
+    scope: provider.scope,
+    response_mode: provider.responseMode,
+    state,
+    nonce,
+    code_challenge: generators.codeChallenge(codeVerifier),
+    code_challenge_method: 'S256'
+  });
+
+  return { url, state, nonce, codeVerifier };
+};
+
+// Claims can come as booleans or, from some providers, as strings
+const isTrue = (value) => value === true || value === 'true';
+
+// Turn the provider's claims into the fields a user is matched and created by
+const toProfile = (claims) => {
+  const nameParts = (claims.name || '').trim().split(/\s+/).filter(Boolean);
+
+  return {
+    subject: claims.sub,
+    email: claims.email ? claims.email.toLowerCase() : undefined,
+    emailVerified: Boolean(claims.email) && isTrue(claims.email_verified),
+    firstName: claims.given_name || nameParts[0],
+    lastName: claims.family_name || (nameParts.length > 1 ? nameParts.slice(1).join(' ') : undefined),
+    phone: claims.phone_number && isTrue(claims.phone_number_verified) ? claims.phone_number : undefined
+  };
+};
+
+// Finish a sign-in from the provider's callback: exchange the code, check the
+// ID token against the stored state, nonce and verifier, and return the
+// user's profile. Throws if the provider reports an error or anything fails
+// to check out.
+const handleCallback = async (provider, req, { state, nonce, codeVerifier }) => {
+  const client = await getClient(provider);
+  const params = client.callbackParams(req);
+
+  const tokenSet = await client.callback(provider.redirectUri, params, {
+    state,
+    nonce,
+    code_verifier: codeVerifier
+  });
+
+  let claims = tokenSet.claims();
+
+  // ID tokens often leave out profile claims the userinfo endpoint has
+  if (client.issuer.userinfo_endpoint && tokenSet.access_token) {
+    const userinfo = await client.userinfo(tokenSet);
+    claims = { ...userinfo, ...claims };
+  }
+
+  return toProfile(claims);
+};
+
+module.exports = {
+  getProvider,
+  listProviders,
+  createAuthorizationRequest,
+  handleCallback
+};
@@ -0,0 +1,342 @@
+const stripe = require('./stripe');
+const User = require('../models/User');
+const Booking = require('../models/Booking');
+const PackagePurchase = require('../models/PackagePurchase');
+const TaxRate = require('../models/TaxRate');
+const { calculatePlatformFee } = require('./fees');
+const { recordCharge, recordPackagePayment } = require('./ledger');
+const { DEFAULT_CURRENCY, roundAmount, toMinorUnits } = require('./currency');
+
+// Subtotal, tax and total for booking a provider's service, after any
+// discount. Tax comes from the rate for the provider's address and only
+// applies to taxable services.
+const calculateBookingPrice = async (provider, service, discountAmount = 0) => {
+  const currency = service.currency || DEFAULT_CURRENCY;
+  const subtotal = roundAmount(service.price - discountAmount, currency);
+  const taxRate = service.taxable !== false
+    ? await TaxRate.findForAddress(provider.location?.address)
+    : null;
+
+  const tax = taxRate
+    ? { name: taxRate.name, rate: taxRate.rate, amount: roundAmount(subtotal * taxRate.rate / 100, currency) }
+    : { rate: 0, amount: 0 };
+
+  return {
+    subtotal,
+    tax,
+    total: roundAmount(subtotal + tax.amount, currency)
+  };
+};
+
+// Price of a package of a service's sessions, taxed like the service itself
+const calculatePackagePrice = (provider, pkg, service) => {
+  return calculateBookingPrice(provider, {
+    price: pkg.price,
+    currency: service.currency,
+    taxable: service.taxable
+  });
+};
+
+// Deposit owed at booking time for a service at the given price, or null if
+// it is paid in full
+const calculateDeposit = (service, price = service.price) => {
+  const deposit = service.deposit;
+  if (!deposit || !deposit.type || deposit.type === 'none' || !(deposit.value > 0)) {
+    return null;
+  }
+
+  const amount = deposit.type === 'percent'
+    ? roundAmount(price * deposit.value / 100, service.currency || DEFAULT_CURRENCY)
+    : deposit.value;
+
+  // A deposit covering the whole price is just a full payment
+  return amount < price ? amount : null;
+};
+
+// Payment fields for a new booking of a service. price is what the customer
+// pays, which is below the service's list price when a discount applies.
+const buildBookingPayment = (service, price = service.price) => {
+  const depositAmount = calculateDeposit(service, price);
+
+  if (depositAmount === null) {
+    return { amount: price, schedule: 'full' };
+  }
+
+  return {
+    amount: price,
+    schedule: 'deposit',
+    depositAmount,
+    depositRefundable: service.deposit.refundable !== false,
+    balanceDue: service.deposit.balanceDue || 'on-completion',
+    balance: {
+      amount: roundAmount(price - depositAmount, service.currency || DEFAULT_CURRENCY),
+      status: 'pending'
+    }
+  };
+};
+
+// Stripe customer for a user, created on first use so cards can be saved
+const ensureStripeCustomer = async (userId) => {
+  const user = await User.findById(userId);
+
+  if (!user.stripeCustomerId) {
+    const customer = await stripe.customers.create({
+      email: user.email,
+      name: `${user.firstName} ${user.lastName}`,
+      phone: user.phone,
+      metadata: { userId: user._id.toString() }
+    }, {
+      idempotencyKey: `user-${user._id}-customer`
+    });
+
+    user.stripeCustomerId = customer.id;
+    await user.save();
+  }
+
+  return user.stripeCustomerId;
+};
+
+// PaymentIntent parameters for charging amountInCents against a booking.
+// paymentType ('booking' or 'balance') lets webhooks tell the two apart.
+const buildPaymentIntentParams = (booking, provider, amountInCents, paymentType) => {
+  const params = {
+    amount: amountInCents,
+    currency: booking.payment.currency,
+    metadata: {
+      bookingId: booking._id.toString(),
+      customerId: (booking.customer._id || booking.customer).toString(),
+      providerId: provider._id.toString(),
+      paymentType
+    },
+    description: `${paymentType === 'balance' ? 'Balance' : 'Payment'} for ${booking.service.name} with ${provider.businessName}`
+  };
+
+  return applyDestinationCharge(params, provider);
+};
+
+// Route funds to onboarded providers as a destination charge, keeping the
+// platform fee; otherwise the payment stays on the platform account
+const applyDestinationCharge = (params, provider) => {
+  if (provider.canReceivePayments) {
+    params.transfer_data = { destination: provider.stripeAccountId };
+    params.application_fee_amount = calculatePlatformFee(params.amount);
+  }
+
+  return params;
+};
+
+// PaymentIntent parameters for buying a package
+const buildPackagePaymentIntentParams = (purchase, provider) => {
+  return applyDestinationCharge({
+    amount: toMinorUnits(purchase.getTotal(), purchase.currency),
+    currency: purchase.currency,
+    metadata: {
+      packagePurchaseId: purchase._id.toString(),
+      customerId: purchase.customer.toString(),
+      providerId: provider._id.toString(),
+      paymentType: 'package'
+    },
+    description: `${purchase.name} with ${provider.businessName}`
+  }, provider);
+};
+
+// PaymentIntent statuses that can still be cancelled
+const CANCELLABLE_INTENT_STATUSES = [
+  'requires_payment_method',
+  'requires_confirmation',
+  'requires_action',
+  'requires_capture'
+];
+
+// PaymentIntent statuses the customer can still complete, so an earlier
+// attempt can be handed out again
+const REUSABLE_INTENT_STATUSES = [
+  'requires_payment_method',
+  'requires_confirmation',
+  'requires_action'
+];
+
+// Whether an open PaymentIntent charges what new parameters would
+const paymentIntentMatches = (paymentIntent, params) => {
+  return REUSABLE_INTENT_STATUSES.includes(paymentIntent.status) &&
+    paymentIntent.amount === params.amount &&
+    paymentIntent.currency === params.currency &&
+    (paymentIntent.transfer_data?.destination || undefined) === params.transfer_data?.destination &&
+    (paymentIntent.application_fee_amount || undefined) === params.application_fee_amount &&
+    (paymentIntent.customer || undefined) === params.customer &&
+    (paymentIntent.setup_future_usage || undefined) === params.setup_future_usage;
+};
+
+// Cancel an open PaymentIntent so it can no longer be confirmed. Returns
+// false when the customer has paid or a payment is in flight.
+const cancelPaymentIntent = async (paymentIntent) => {
+  if (CANCELLABLE_INTENT_STATUSES.includes(paymentIntent.status)) {
+    await stripe.paymentIntents.cancel(paymentIntent.id, {
+      cancellation_reason: 'abandoned'
+    });
+    return true;
+  }
+
+  return paymentIntent.status === 'canceled';
+};
+
+// Record a successful balance PaymentIntent on the booking (does not save)
+const applyBalancePayment = async (booking, paymentIntent) => {
+  const { balance } = booking.payment;
+
+  balance.stripePaymentIntentId = paymentIntent.id;
+  balance.status = 'succeeded';
+  balance.paidAt = balance.paidAt || new Date();
+  balance.failureReason = undefined;
+
+  await recordCharge(booking, {
+    reference: paymentIntent.id,
+    amount: paymentIntent.amount,
+    platformFee: paymentIntent.application_fee_amount || calculatePlatformFee(paymentIntent.amount)
+  });
+};
+
+// Activate a package purchase once its PaymentIntent succeeds and record
+// the payment. Safe to call again for an already active purchase.
+const applyPackagePayment = async (purchase, paymentIntent) => {
+  if (purchase.payment.status === 'succeeded') {
+    return purchase;
+  }
+
+  purchase.activate(paymentIntent);
+  await purchase.save();
+  await recordPackagePayment(purchase);
+
+  return purchase;
+};
+
+// Give back the package credit a cancelled booking was paid with. The
+// booking is marked first so the credit is only restored once.
+const restorePackageCredit = async (booking) => {
+  if (booking.payment.method !== 'package' || booking.payment.creditRestoredAt) {
+    return booking;
+  }
+
+  const marked = await Booking.findOneAndUpdate(
+    { _id: booking._id, 'payment.creditRestoredAt': { $exists: false } },
+    { $set: { 'payment.creditRestoredAt': new Date() } },
+    { new: true }
+  );
+
+  if (marked) {
+    await PackagePurchase.restoreCredit(booking.payment.packagePurchase);
+    booking.payment.creditRestoredAt = marked.payment.creditRestoredAt;
+  }
+
+  return booking;
+};
+
+// PaymentIntent statuses where the customer is in the middle of paying
+const IN_FLIGHT_INTENT_STATUSES = ['requires_confirmation', 'requires_action', 'processing'];
+
+// Check the balance PaymentIntent the customer may have opened through
+// POST /api/payments/balance-payment-intent. Records it if it has been
+// paid and cancels it if it was abandoned. Resolves to true when the
+// balance must not be charged now: it is paid or a payment is in flight.
+const checkOpenBalanceIntent = async (booking) => {
+  const { balance } = booking.payment;
+  if (!balance.stripePaymentIntentId) {
+    return false;
+  }
+
+  const paymentIntent = await stripe.paymentIntents.retrieve(balance.stripePaymentIntentId);
+
+  if (paymentIntent.status === 'succeeded') {
+    await applyBalancePayment(booking, paymentIntent);
+    await booking.save();
+    return true;
+  }
+
+  if (IN_FLIGHT_INTENT_STATUSES.includes(paymentIntent.status)) {
+    return true;
+  }
+
+  return !(await cancelPaymentIntent(paymentIntent));
+};
+
+// Settle the remaining balance of a deposit booking once it is completed:
+// marked as collected for in-person balances, otherwise charged off-session
+// to the card saved with the deposit. A failed charge is left for the
+// customer to pay through POST /api/payments/balance-payment-intent, and
+// nothing is charged while the customer is paying that way.
+const settleBalance = async (booking, provider) => {
+  const { payment } = booking;
+  const balance = payment.balance;
+
+  if (payment.schedule !== 'deposit' || !['pending', 'failed'].includes(balance.status)) {
+    return booking;
+  }
+
+  if (payment.balanceDue === 'in-person') {
+    balance.status = 'paid-in-person';
+    balance.paidAt = new Date();
+    await booking.save();
+    return booking;
+  }
+
+  if (!payment.stripePaymentMethodId) {
+    balance.status = 'failed';
+    balance.failureReason = 'No saved payment method';
+    await booking.save();
+    return booking;
+  }
+
+  try {
+    if (await checkOpenBalanceIntent(booking)) {
+      return booking;
+    }
+  } catch (error) {
+    // Try again next time rather than risk charging twice
+    console.error(`Balance check failed for booking ${booking._id}:`, error.message);
+    return booking;
+  }
+
+  const amount = toMinorUnits(balance.amount, payment.currency);
+
+  try {
+    const paymentIntent = await stripe.paymentIntents.create({
+      ...buildPaymentIntentParams(booking, provider, amount, 'balance'),
+      customer: payment.stripeCustomerId,
+      payment_method: payment.stripePaymentMethodId,
+      off_session: true,
+      confirm: true
+    }, {
+      idempotencyKey: `booking-${booking._id}-balance`
+    });
+
+    if (paymentIntent.status === 'succeeded') {
+      await applyBalancePayment(booking, paymentIntent);
+    } else {
+      balance.stripePaymentIntentId = paymentIntent.id;
+    }
+  } catch (error) {
+    console.error(`Balance charge failed for booking ${booking._id}:`, error.message);
+    balance.status = 'failed';
+    balance.failureReason = error.message;
+    balance.stripePaymentIntentId = error.raw?.payment_intent?.id;
+  }
+
+  await booking.save();
+  return booking;
+};
+
+module.exports = {
+  calculateBookingPrice,
+  calculatePackagePrice,
+  calculateDeposit,
+  buildBookingPayment,
+  ensureStripeCustomer,
+  buildPaymentIntentParams,
+  buildPackagePaymentIntentParams,
+  paymentIntentMatches,
+  cancelPaymentIntent,
+  applyBalancePayment,
+  applyPackagePayment,
+  restorePackageCredit,
+  settleBalance
+};
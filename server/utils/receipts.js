@@ -0,0 +1,271 @@
+const PDFDocument = require('pdfkit');
+const Booking = require('../models/Booking');
+const Provider = require('../models/Provider');
+const User = require('../models/User');
+const Counter = require('../models/Counter');
+const { formatAmount } = require('./currency');
+
+// Accept populated or unpopulated references
+const idOf = (ref) => (ref && ref._id) || ref;
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatDate = (date, timeZone) => new Date(date).toLocaleDateString('en-US', {
+  timeZone,
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric'
+});
+
+// How long a request may hold a booking's invoice while numbering it before
+// another request takes over, e.g. after a crash
+const INVOICE_CLAIM_TIMEOUT = 30 * 1000;
+const INVOICE_ATTEMPTS = 10;
+const INVOICE_RETRY_DELAY = 100;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Give the booking an invoice number the first time a receipt is issued.
+// Numbers come from a single sequence, e.g. INV-000042. The booking is
+// claimed before a number is taken so concurrent receipts don't use up
+// numbers they then throw away, leaving gaps in the sequence.
+const ensureInvoiceNumber = async (booking) => {
+  if (booking.invoice?.number) {
+    return booking.invoice.number;
+  }
+
+  for (let attempt = 1; attempt <= INVOICE_ATTEMPTS; attempt++) {
+    const now = new Date();
+    const claimed = await Booking.findOneAndUpdate(
+      {
+        _id: booking._id,
+        'invoice.number': { $exists: false },
+        $or: [
+          { 'invoice.claimedAt': { $exists: false } },
+          { 'invoice.claimedAt': { $lt: new Date(now.getTime() - INVOICE_CLAIM_TIMEOUT) } }
+        ]
+      },
+      { $set: { 'invoice.claimedAt': now } }
+    );
+
+    if (claimed) {
+      const sequence = await Counter.next('invoice');
+      const updated = await Booking.findOneAndUpdate(
+        { _id: booking._id, 'invoice.claimedAt': now },
+        {
+          $set: { 'invoice.number': `INV-${String(sequence).padStart(6, '0')}`, 'invoice.issuedAt': new Date() },
+          $unset: { 'invoice.claimedAt': 1 }
+        },
+        { new: true }
+      );
+
+      if (updated) {
+        booking.invoice = updated.invoice;
+        return booking.invoice.number;
+      }
+    }
+
+    // Another request is numbering the booking; use theirs once it's saved
+    const current = await Booking.findById(booking._id).select('invoice');
+    if (current.invoice?.number) {
+      booking.invoice = current.invoice;
+      return booking.invoice.number;
+    }
+
+    if (attempt < INVOICE_ATTEMPTS) {
+      await sleep(INVOICE_RETRY_DELAY);
+    }
+  }
+
+  throw new Error(`Timed out waiting for an invoice number for booking ${booking._id}`);
+};
+
+// Everything shown on a booking's receipt. Only paid bookings have one.
+const buildReceipt = async (booking) => {
+  await ensureInvoiceNumber(booking);
+
+  const provider = await Provider.findById(idOf(booking.provider)).select('businessName location');
+  const customer = await User.findById(idOf(booking.customer)).select('firstName lastName email');
+
+  const { payment, cancellation } = booking;
+  const currency = payment.currency;
+  const address = provider.location?.address || {};
+
+  const payments = [{
+    description: payment.schedule === 'deposit' ? 'Deposit' : 'Payment',
+    amount: booking.getUpfrontAmount(),
+    date: payment.paidAt
+  }];
+
+  if (payment.schedule === 'deposit' && ['succeeded', 'paid-in-person'].includes(payment.balance.status)) {
+    payments.push({
+      description: payment.balance.status === 'paid-in-person' ? 'Balance (paid in person)' : 'Balance',
+      amount: payment.balance.amount,
+      date: payment.balance.paidAt
+    });
+  }
+
+  const refunds = [];
+  if (cancellation?.refundStatus === 'processed' && cancellation.refundAmount > 0) {
+    refunds.push({
+      description: 'Refund',
+      amount: cancellation.refundAmount,
+      date: cancellation.refundedAt
+    });
+  }
+
+  const amountPaid = payments.reduce((sum, p) => sum + p.amount, 0);
+  const amountRefunded = refunds.reduce((sum, r) => sum + r.amount, 0);
+
+  return {
+    invoiceNumber: booking.invoice.number,
+    issuedAt: booking.invoice.issuedAt,
+    currency,
+    timezone: booking.timezone,
+    provider: {
+      businessName: provider.businessName,
+      address: [address.street, address.city, [address.state, address.zipCode].filter(Boolean).join(' '), address.country]
+        .filter(Boolean)
+        .join(', ')
+    },
+    customer: {
+      name: `${customer.firstName} ${customer.lastName}`,
+      email: customer.email
+    },
+    service: {
+      name: booking.service.name,
+      duration: booking.service.duration,
+      appointmentDate: booking.appointmentDateTime,
+      startTime: booking.startTime,
+      endTime: booking.endTime
+    },
+    breakdown: booking.getPriceBreakdown(),
+    payments,
+    refunds,
+    amountPaid,
+    amountRefunded,
+    paymentDate: payment.paidAt
+  };
+};
+
+// Label/amount rows of a receipt's price breakdown
+const getBreakdownRows = (receipt) => {
+  const { breakdown, currency } = receipt;
+  const rows = [['Price', formatAmount(breakdown.price, currency)]];
+
+  if (breakdown.discount) {
+    rows.push(['Discount', `-${formatAmount(breakdown.discount, currency)}`]);
+  }
+
+  if (breakdown.packageCredit) {
+    rows.push(['Package credit', `-${formatAmount(breakdown.packageCredit, currency)}`]);
+  }
+
+  rows.push(['Subtotal', formatAmount(breakdown.subtotal, currency)]);
+
+  if (breakdown.tax) {
+    rows.push([`${breakdown.taxName || 'Tax'} (${breakdown.taxRate}%)`, formatAmount(breakdown.tax, currency)]);
+  }
+
+  rows.push(['Total', formatAmount(breakdown.total, currency)]);
+  return rows;
+};
+
+// Receipt as a standalone HTML page
+const renderReceiptHTML = (receipt) => {
+  const { currency, timezone } = receipt;
+  const row = (label, value) => `
+        <tr><td style="padding: 4px 0;">${escapeHtml(label)}</td><td style="padding: 4px 0; text-align: right;">${escapeHtml(value)}</td></tr>`;
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Receipt ${escapeHtml(receipt.invoiceNumber)}</title>
+</head>
+<body>
+  <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+    <h2>Receipt</h2>
+    <p><strong>Invoice:</strong> ${escapeHtml(receipt.invoiceNumber)}<br>
+    <strong>Issued:</strong> ${escapeHtml(formatDate(receipt.issuedAt, timezone))}<br>
+    <strong>Payment date:</strong> ${escapeHtml(formatDate(receipt.paymentDate, timezone))}</p>
+
+    <p><strong>${escapeHtml(receipt.provider.businessName)}</strong><br>
+    ${escapeHtml(receipt.provider.address)}</p>
+
+    <p><strong>Billed to:</strong> ${escapeHtml(receipt.customer.name)}<br>
+    ${escapeHtml(receipt.customer.email)}</p>
+
+    <div style="background-color: #f5f5f5; padding: 20px; border-radius: 5px; margin: 20px 0;">
+      <h3>${escapeHtml(receipt.service.name)}</h3>
+      <p>${escapeHtml(formatDate(receipt.service.appointmentDate, timezone))}, ${escapeHtml(receipt.service.startTime)} - ${escapeHtml(receipt.service.endTime)} (${escapeHtml(timezone)})</p>
+      <table style="width: 100%; border-collapse: collapse;">${getBreakdownRows(receipt).map(([label, value]) => row(label, value)).join('')}
+      </table>
+    </div>
+
+    <table style="width: 100%; border-collapse: collapse;">${receipt.payments.map(p => row(`${p.description} (${formatDate(p.date, timezone)})`, formatAmount(p.amount, currency))).join('')}${receipt.refunds.map(r => row(`${r.description} (${formatDate(r.date, timezone)})`, `-${formatAmount(r.amount, currency)}`)).join('')}${row('Net amount paid', formatAmount(receipt.amountPaid - receipt.amountRefunded, currency))}
+    </table>
+  </div>
+</body>
+</html>`;
+};
+
+// Receipt as a PDF, resolved as a Buffer
+const renderReceiptPDF = (receipt) => {
+  const { currency, timezone } = receipt;
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const row = (label, value) => {
+      const y = doc.y;
+      doc.text(label, 50, y, { width: 350 });
+      doc.text(value, 400, y, { width: 145, align: 'right' });
+      doc.x = 50;
+    };
+
+    doc.fontSize(20).text('Receipt');
+    doc.moveDown(0.5).fontSize(10);
+    doc.text(`Invoice: ${receipt.invoiceNumber}`);
+    doc.text(`Issued: ${formatDate(receipt.issuedAt, timezone)}`);
+    doc.text(`Payment date: ${formatDate(receipt.paymentDate, timezone)}`);
+
+    doc.moveDown().fontSize(12).text(receipt.provider.businessName);
+    doc.fontSize(10).text(receipt.provider.address);
+
+    doc.moveDown().text(`Billed to: ${receipt.customer.name}`);
+    doc.text(receipt.customer.email);
+
+    doc.moveDown().fontSize(12).text(receipt.service.name);
+    doc.fontSize(10).text(
+      `${formatDate(receipt.service.appointmentDate, timezone)}, ` +
+      `${receipt.service.startTime} - ${receipt.service.endTime} (${timezone})`
+    );
+    doc.moveDown(0.5);
+    getBreakdownRows(receipt).forEach(([label, value]) => row(label, value));
+
+    doc.moveDown();
+    receipt.payments.forEach(p => row(`${p.description} (${formatDate(p.date, timezone)})`, formatAmount(p.amount, currency)));
+    receipt.refunds.forEach(r => row(`${r.description} (${formatDate(r.date, timezone)})`, `-${formatAmount(r.amount, currency)}`));
+    row('Net amount paid', formatAmount(receipt.amountPaid - receipt.amountRefunded, currency));
+
+    doc.end();
+  });
+};
+
+module.exports = {
+  ensureInvoiceNumber,
+  buildReceipt,
+  renderReceiptHTML,
+  renderReceiptPDF
+};
@@ -0,0 +1,139 @@
+const stripe = require('./stripe');
+const { recordRefund } = require('./ledger');
+const { restorePackageCredit } = require('./payments');
+const { toMinorUnits } = require('./currency');
+
+// Stripe refund status -> booking.cancellation.refundStatus
+const REFUND_STATUSES = {
+  pending: 'pending',
+  requires_action: 'pending',
+  succeeded: 'processed',
+  failed: 'failed',
+  canceled: 'failed'
+};
+
+const toRefundStatus = (stripeStatus) => REFUND_STATUSES[stripeStatus] || 'pending';
+
+// Note a failed refund attempt on the booking (does not save)
+const markRefundFailed = (cancellation, reason) => {
+  cancellation.refundAttempts = (cancellation.refundAttempts || 0) + 1;
+  cancellation.refundStatus = 'failed';
+  cancellation.refundFailureReason = reason;
+};
+
+// Copy a Stripe refund's outcome onto the booking (does not save) and
+// record it in the ledger once it has succeeded
+const applyRefund = async (booking, refund) => {
+  const { cancellation } = booking;
+  const refundStatus = toRefundStatus(refund.status);
+  const alreadyFailed = cancellation.stripeRefundId === refund.id && cancellation.refundStatus === 'failed';
+
+  if (refundStatus === 'failed') {
+    if (!alreadyFailed) {
+      markRefundFailed(cancellation, refund.failure_reason || undefined);
+    }
+  } else {
+    cancellation.refundStatus = refundStatus;
+    cancellation.refundFailureReason = undefined;
+  }
+  cancellation.stripeRefundId = refund.id;
+
+  if (refund.status === 'succeeded' && !cancellation.refundedAt) {
+    cancellation.refundedAt = new Date();
+  }
+
+  await recordRefund(booking, refund);
+};
+
+// Whether the booking's refund can be issued (again): it has none yet, or
+// the last one failed
+const canIssueRefund = (booking) => {
+  const { cancellation } = booking;
+  return !cancellation.stripeRefundId || cancellation.refundStatus === 'failed';
+};
+
+// Issue the Stripe refund recorded in booking.cancellation.refundAmount.
+// Safe to call repeatedly: an issued refund is only repeated once it has
+// failed, and the idempotency key makes concurrent or retried calls resolve
+// to one refund. Each failed attempt moves on to a fresh key.
+const refundBooking = async (booking, reason) => {
+  const { cancellation, payment } = booking;
+
+  if (!canIssueRefund(booking) || !(cancellation.refundAmount > 0)) {
+    return booking;
+  }
+
+  const refundParams = {
+    payment_intent: payment.stripePaymentIntentId,
+    amount: toMinorUnits(cancellation.refundAmount, payment.currency),
+    reason: 'requested_by_customer',
+    metadata: {
+      bookingId: booking._id.toString(),
+      reason: reason || 'Booking cancelled'
+    }
+  };
+
+  // Destination charges: pull the refund back from the provider and return
+  // the platform fee proportionally
+  if (payment.transferDestination) {
+    refundParams.reverse_transfer = true;
+    refundParams.refund_application_fee = true;
+  }
+
+  try {
+    const attempts = cancellation.refundAttempts || 0;
+    const refund = await stripe.refunds.create(refundParams, {
+      idempotencyKey: `booking-${booking._id}-refund${attempts ? `-${attempts}` : ''}`
+    });
+
+    await applyRefund(booking, refund);
+  } catch (error) {
+    console.error(`Refund failed for booking ${booking._id}:`, error.message);
+    markRefundFailed(cancellation, error.message);
+  }
+
+  await booking.save();
+  return booking;
+};
+
+// Cancel a booking and refund what is owed: the policy's share when the
+// customer cancels, everything refundable when the provider does. The
+// cancellation stands even if Stripe fails; the refund can be retried
+// through POST /api/payments/refund.
+const cancelBooking = async (booking, { cancelledBy, reason }) => {
+  const { payment } = booking;
+
+  let refundAmount = 0;
+  if (payment.status === 'succeeded') {
+    refundAmount = cancelledBy === 'customer' ? booking.calculateRefund() : booking.getRefundableAmount();
+  }
+
+  booking.status = 'cancelled';
+  booking.cancellation = {
+    cancelledBy,
+    cancelledAt: new Date(),
+    reason,
+    refundAmount,
+    refundStatus: refundAmount > 0 ? 'pending' : undefined
+  };
+
+  // A deposit booking's balance will never be collected
+  if (payment.schedule === 'deposit' && ['pending', 'failed'].includes(payment.balance.status)) {
+    payment.balance.status = 'cancelled';
+  }
+
+  await booking.save();
+
+  await refundBooking(booking, reason);
+  await restorePackageCredit(booking);
+
+  return booking;
+};
+
+module.exports = {
+  toRefundStatus,
+  applyRefund,
+  canIssueRefund,
+  refundBooking,
+  cancelBooking
+};
@@ -0,0 +1,128 @@
+// Time helpers shared by provider availability and booking routes.
+// Times of day are "HH:MM" wall-clock strings in the provider's time zone;
+// appointment dates are calendar dates stored as UTC midnight.
+
+// Time zone used for providers that have not set one
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'UTC';
+
+// Minutes an unpaid booking holds its slot before it is released
+const BOOKING_HOLD_MINUTES = parseInt(process.env.BOOKING_HOLD_MINUTES) || 15;
+
+// Minutes between candidate slot start times
+const SLOT_INTERVAL = 30;
+
+// Booking statuses that occupy a provider's time
+const ACTIVE_BOOKING_STATUSES = ['pending', 'confirmed'];
+
+// Convert "HH:MM" to minutes since midnight
+const timeToMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Convert minutes since midnight to "HH:MM"
+const minutesToTime = (totalMinutes) => {
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+};
+
+// Half-open interval overlap check: [startA, endA) vs [startB, endB)
+const rangesOverlap = (startA, endA, startB, endB) => startA < endB && startB < endA;
+
+// Weekday name as used in availability.workingDays (e.g. 'monday')
+const getDayName = (date) => {
+  return new Date(date)
+    .toLocaleDateString('en-US', { weekday: 'long', timeZone: 'UTC' })
+    .toLowerCase();
+};
+
+// Intl formatters are expensive to build, so keep one per time zone
+const zoneFormatters = new Map();
+
+const getZoneFormatter = (timeZone) => {
+  if (!zoneFormatters.has(timeZone)) {
+    zoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return zoneFormatters.get(timeZone);
+};
+
+// Check that a string is an IANA time zone known to the runtime
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) {
+    return false;
+  }
+
+  try {
+    getZoneFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Wall-clock fields of an instant in a time zone
+const getZonedParts = (instant, timeZone) => {
+  const parts = {};
+  getZoneFormatter(timeZone).formatToParts(instant).forEach(({ type, value }) => {
+    if (type !== 'literal') {
+      parts[type] = Number(value);
+    }
+  });
+  return parts;
+};
+
+// Minutes the time zone is ahead of UTC at an instant
+const getTimeZoneOffset = (instant, timeZone) => {
+  const parts = getZonedParts(instant, timeZone);
+  const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUTC - instant.getTime()) / 60000);
+};
+
+// Combine a stored appointment date and "HH:MM" in a time zone into a point in time
+const toDateTime = (date, time, timeZone = DEFAULT_TIMEZONE) => {
+  const day = new Date(date);
+  const [hours, minutes] = time.split(':').map(Number);
+  const wallClock = Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), hours, minutes);
+
+  // The offset at the first guess may be on the other side of a DST change,
+  // so re-check it at the resulting instant
+  const guessOffset = getTimeZoneOffset(new Date(wallClock), timeZone);
+  const instant = wallClock - guessOffset * 60000;
+  const actualOffset = getTimeZoneOffset(new Date(instant), timeZone);
+
+  return new Date(wallClock - actualOffset * 60000);
+};
+
+// "HH:MM" wall-clock time of an instant in a time zone
+const formatTime = (instant, timeZone = DEFAULT_TIMEZONE) => {
+  const parts = getZonedParts(instant, timeZone);
+  return minutesToTime(parts.hour * 60 + parts.minute);
+};
+
+// Calendar date key (YYYY-MM-DD) for grouping and comparing dates
+const toDateKey = (date) => new Date(date).toISOString().split('T')[0];
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  BOOKING_HOLD_MINUTES,
+  SLOT_INTERVAL,
+  ACTIVE_BOOKING_STATUSES,
+  timeToMinutes,
+  minutesToTime,
+  rangesOverlap,
+  getDayName,
+  isValidTimeZone,
+  toDateTime,
+  formatTime,
+  toDateKey
+};
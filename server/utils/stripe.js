@@ -0,0 +1,11 @@
+const Stripe = require('stripe');
+
+// Shared Stripe client for routes and background jobs.
+// STRIPE_API_HOST/PORT/PROTOCOL point it at a local mock such as stripe-mock.
+const stripe = Stripe(process.env.STRIPE_SECRET_KEY, {
+  host: process.env.STRIPE_API_HOST || undefined,
+  port: process.env.STRIPE_API_PORT || undefined,
+  protocol: process.env.STRIPE_API_PROTOCOL || undefined
+});
+
+module.exports = stripe;
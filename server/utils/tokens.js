@@ -0,0 +1,108 @@
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+// Access tokens are short-lived; clients renew them with the refresh token.
+// JWT_EXPIRE is deliberately not read: older setups used it for week-long tokens.
+const ACCESS_TOKEN_EXPIRE = process.env.ACCESS_TOKEN_EXPIRE || '15m';
+
+const signAccessToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sessionId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRE
+  });
+};
+
+// Challenge tokens stand in for a half-finished login, e.g. between the
+// password and the two-factor code. They carry no session, so the auth
+// middleware never accepts them.
+const CHALLENGE_TOKEN_EXPIRE = process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m';
+
+const signChallengeToken = (userId, purpose) => {
+  return jwt.sign({ userId, purpose }, process.env.JWT_SECRET, {
+    expiresIn: CHALLENGE_TOKEN_EXPIRE
+  });
+};
+
+// User ID from a challenge token issued for the purpose, or null
+const verifyChallengeToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === purpose ? decoded.userId : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Start a session for a user signing in on this request's device and
+// return its access and refresh tokens
+const issueTokens = async (userId, req) => {
+  const { session, refreshToken } = await Session.start(userId, {
+    userAgent: req.get('User-Agent'),
+    ip: req.ip
+  });
+
+  return {
+    token: signAccessToken(userId, session._id),
+    refreshToken
+  };
+};
+
+// Finish signing in a user who has passed the password or OTP check. Returns
+// the response body: tokens and the user, or a challenge token when a second
+// factor is still needed (skipTwoFactor once it has been checked).
+const signIn = async (user, req, { skipTwoFactor = false } = {}) => {
+  if (!skipTwoFactor && user.twoFactor?.enabled) {
+    return {
+      requiresTwoFactor: true,
+      challengeToken: signChallengeToken(user._id, '2fa-login')
+    };
+  }
+
+  if (!skipTwoFactor && user.isTwoFactorRequired()) {
+    return {
+      twoFactorSetupRequired: true,
+      challengeToken: signChallengeToken(user._id, '2fa-setup')
+    };
+  }
+
+  user.lastLogin = new Date();
+  await user.save();
+
+  const { token, refreshToken } = await issueTokens(user._id, req);
+
+  return {
+    token,
+    refreshToken,
+    user: {
+      id: user._id,
+      email: user.email,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      role: user.role,
+      isVerified: user.isVerified
+    }
+  };
+};
+
+// New access and refresh tokens for a refresh token, or null if it is not
+// valid (unknown, expired, revoked or already used)
+const refreshTokens = async (refreshToken) => {
+  const rotated = await Session.rotate(refreshToken);
+  if (!rotated) {
+    return null;
+  }
+
+  return {
+    session: rotated.session,
+    token: signAccessToken(rotated.session.user, rotated.session._id),
+    refreshToken: rotated.refreshToken
+  };
+};
+
+module.exports = {
+  signAccessToken,
+  signChallengeToken,
+  verifyChallengeToken,
+  issueTokens,
+  signIn,
+  refreshTokens
+};
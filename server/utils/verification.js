@@ -0,0 +1,39 @@
+const OtpDelivery = require('../models/OtpDelivery');
+const { deliverOTP } = require('./notifications');
+
+// Where a code sent over the channel went, for response messages
+const describeDestination = (channel) => channel === 'email' ? 'email address' : 'phone number';
+
+// Generate a new code for the user and send it over the channel, unless the
+// user is locked out or has been sent too many codes. Resolves to null once
+// sent, or to the seconds to wait before asking again.
+const sendVerificationCode = async (user, channel = user.otpChannel) => {
+  const lockedFor = user.getOTPLockoutSeconds();
+  if (lockedFor) {
+    return lockedFor;
+  }
+
+  const retryAfter = await OtpDelivery.claim({
+    user: user._id,
+    channel,
+    destination: channel === 'email' ? user.email : user.phone
+  });
+  if (retryAfter) {
+    return retryAfter;
+  }
+
+  const otp = user.generateOTP();
+  await user.save();
+
+  if (process.env.NODE_ENV !== 'production') {
+    console.log(`📱 OTP for ${user._id}:`, otp);
+  }
+
+  await deliverOTP(user, otp, channel);
+  return null;
+};
+
+module.exports = {
+  describeDestination,
+  sendVerificationCode
+};